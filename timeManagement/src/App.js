@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useEffect } from 'react';
 import 'bootstrap/dist/css/bootstrap.min.css';
 import 'animate.css';
 import './App.css';
@@ -6,105 +6,512 @@ import EnergySelector from './components/EnergySelector';
 import RoleBuckets from './components/RoleBuckets';
 import MetroTime from './components/MetroTime';
 import DailyControl from './components/DailyControl';
+import FocusTimer from './components/FocusTimer';
+import ReminderSettings from './components/ReminderSettings';
+import WarningSettings from './components/WarningSettings';
+import BurnoutWarnings from './components/BurnoutWarnings';
 import EnergyVisualization from './components/EnergyVisualization';
 import Header from './components/Header';
 import TheorySection from './components/TheorySection';
 import CourseContent from './components/CourseContent';
+import CheckInHistory from './components/CheckInHistory';
+import EnergyAnalytics from './components/EnergyAnalytics';
+import EnergyForecast from './components/EnergyForecast';
+import MeetingTimeline from './components/MeetingTimeline';
+import TaskLibraryEditor from './components/TaskLibraryEditor';
+import RoleManager from './components/RoleManager';
+import TaskList from './components/TaskList';
+import Planner from './components/Planner';
+import WeeklyReview from './components/WeeklyReview';
+import TimeSheet from './components/TimeSheet';
+import DataBackup from './components/DataBackup';
+import MyReflections from './components/MyReflections';
+import PracticeBanner from './components/PracticeBanner';
+import UpdateBanner from './components/UpdateBanner';
+import usePersistentState from './hooks/usePersistentState';
+import useReducedMotion from './hooks/useReducedMotion';
+import useServiceWorker from './hooks/useServiceWorker';
+import useReminders from './hooks/useReminders';
+import useHashRoute from './hooks/useHashRoute';
+import { STORAGE_KEYS } from './utils/storage';
+import { createCheckIn } from './utils/checkIns';
+import { createTask } from './utils/tasks';
+import { createIdea, IDEA_STATUS } from './utils/ideas';
+import { deleteVoiceNote } from './utils/voiceNotes';
+import { emptyPlans } from './utils/plans';
+import { emptyLearning } from './utils/learning';
+import { defaultReminders } from './utils/reminders';
+import { defaultWarnings, evaluateWarnings, snoozeWarning } from './utils/warnings';
+import {
+  emptyPractice,
+  PRACTICE_EVENTS,
+  startPractice,
+  cancelPractice,
+  completePractice,
+  activePracticeFor
+} from './utils/practice';
+import { findRole } from './utils/roles';
+import { ENERGY_SCORES } from './utils/analytics';
+import { defaultTaskLibrary } from './data/defaultTasks';
+import { defaultRoles } from './data/defaultRoles';
 
 function App() {
-  const [selectedEnergy, setSelectedEnergy] = useState(null);
-  const [selectedRole, setSelectedRole] = useState(null);
+  const [selectedEnergy, setSelectedEnergy] = usePersistentState(STORAGE_KEYS.selectedEnergy, null);
+  const [selectedRole, setSelectedRole] = usePersistentState(STORAGE_KEYS.selectedRole, null);
+  const [checkIns, setCheckIns] = usePersistentState(STORAGE_KEYS.checkIns, []);
+  const [roles, setRoles] = usePersistentState(STORAGE_KEYS.roles, defaultRoles);
+  const [taskLibrary, setTaskLibrary] = usePersistentState(STORAGE_KEYS.taskLibrary, defaultTaskLibrary);
+  const [tasks, setTasks] = usePersistentState(STORAGE_KEYS.tasks, []);
+  const [ideas, setIdeas] = usePersistentState(STORAGE_KEYS.ideas, []);
+  const [plans, setPlans] = usePersistentState(STORAGE_KEYS.plans, emptyPlans);
+  const [learning, setLearning] = usePersistentState(STORAGE_KEYS.learning, emptyLearning);
+  const [practice, setPractice] = usePersistentState(STORAGE_KEYS.practice, emptyPractice);
+  const [reminders, setReminders] = usePersistentState(STORAGE_KEYS.reminders, defaultReminders);
+  const [warningSettings, setWarningSettings] = usePersistentState(STORAGE_KEYS.warnings, defaultWarnings);
+  const [reducedMotion, setReducedMotion] = useReducedMotion();
+  const { online, updateReady, reloadToUpdate } = useServiceWorker();
+  const [route, navigate] = useHashRoute();
+  const page = route.section;
+  const warnings = evaluateWarnings({ checkIns, tasks, roles }, warningSettings);
 
+  const notePractice = (event) => {
+    setPractice(prev => completePractice(prev, event));
+  };
+
+  const applyPrinciple = (principle) => {
+    const { tool, preset = {} } = principle.apply;
+    setPractice(prev => startPractice(prev, principle));
+    const role = preset.role && findRole(roles, preset.role);
+    const presetRole = role && !role.archived ? role.id : undefined;
+    if (presetRole) {
+      setSelectedRole(presetRole);
+    }
+    // The section restores its selection from the URL, so the preset survives a reload
+    navigate(tool, presetRole);
+  };
+
+  const selectEnergy = (energy) => {
+    setSelectedEnergy(energy);
+    notePractice(PRACTICE_EVENTS.energy);
+    navigate('energy', energy);
+  };
+
+  const selectRole = (roleId) => {
+    setSelectedRole(roleId);
+    navigate('roles', roleId);
+  };
+
+  // Selections carried in the URL win, so bookmarks and the back button restore them
   useEffect(() => {
-    // Add smooth scroll behavior
-    document.documentElement.style.scrollBehavior = 'smooth';
-  }, []);
+    if (route.section === 'energy' && Object.keys(ENERGY_SCORES).includes(route.param)) {
+      setSelectedEnergy(route.param);
+    }
+    if (route.section === 'roles' && route.param && findRole(roles, route.param)) {
+      setSelectedRole(route.param);
+    }
+  }, [route, roles, setSelectedEnergy, setSelectedRole]);
+
+  // A new page starts at the top; deep links within a page scroll on their own
+  useEffect(() => {
+    window.scrollTo(0, 0);
+  }, [page]);
+
+  const addCheckIn = (answers) => {
+    const checkIn = createCheckIn(answers);
+    setCheckIns(prev => [...prev, checkIn]);
+    if (checkIn.task) notePractice(PRACTICE_EVENTS.checkIn);
+    return checkIn;
+  };
+
+  // An answer to a reminder notification counts as a check-in with the current role
+  const replyEnergy = (energy) => {
+    selectEnergy(energy);
+    addCheckIn({ energy, role: selectedRole });
+  };
+
+  useReminders({
+    settings: reminders,
+    setSettings: setReminders,
+    currentRole: selectedRole,
+    onEnergyReply: replyEnergy
+  });
+
+  const updateCheckIn = (id, changes) => {
+    setCheckIns(prev => prev.map(checkIn => (
+      checkIn.id === id ? { ...checkIn, ...changes } : checkIn
+    )));
+  };
+
+  const deleteCheckIn = (id) => {
+    setCheckIns(prev => prev.filter(checkIn => checkIn.id !== id));
+  };
+
+  const addTask = (fields) => {
+    const task = createTask(fields);
+    setTasks(prev => [...prev, task]);
+    return task;
+  };
+
+  const updateTask = (id, changes) => {
+    setTasks(prev => prev.map(task => (task.id === id ? { ...task, ...changes } : task)));
+  };
+
+  const completeTask = (id) => {
+    updateTask(id, { completedAt: new Date().toISOString() });
+    notePractice(PRACTICE_EVENTS.task);
+  };
+
+  const reopenTask = (id) => updateTask(id, { completedAt: null });
+
+  const deleteTask = (id) => {
+    setTasks(prev => prev.filter(task => task.id !== id));
+  };
+
+  const addIdea = (fields) => {
+    const idea = createIdea(fields);
+    setIdeas(prev => [...prev, idea]);
+    return idea;
+  };
+
+  const updateIdea = (id, changes) => {
+    setIdeas(prev => prev.map(idea => (idea.id === id ? { ...idea, ...changes } : idea)));
+  };
+
+  const deleteIdea = (id) => {
+    const idea = ideas.find(i => i.id === id);
+    if (idea && idea.hasAudio) {
+      deleteVoiceNote(id).catch(() => {});
+    }
+    setIdeas(prev => prev.filter(i => i.id !== id));
+  };
+
+  const convertIdea = (id, taskFields) => {
+    const task = addTask(taskFields);
+    updateIdea(id, { status: IDEA_STATUS.converted, taskId: task.id });
+  };
+
+  useEffect(() => {
+    // Smooth scrolling and animate.css effects only when motion is welcome
+    document.documentElement.style.scrollBehavior = reducedMotion ? 'auto' : 'smooth';
+    document.body.classList.toggle('reduce-motion', reducedMotion);
+  }, [reducedMotion]);
 
   return (
     <div className="App">
-      <Header />
+      <Header
+        currentRoute={page}
+        reducedMotion={reducedMotion}
+        onToggleReducedMotion={() => setReducedMotion(!reducedMotion)}
+        online={online}
+      />
+      <UpdateBanner visible={updateReady} onReload={reloadToUpdate} />
       
       <div className="container-fluid px-4 py-5">
-        {/* Hero Section */}
-        <div className="row mb-5">
-          <div className="col-12 text-center animate__animated animate__fadeInDown">
-            <h1 className="display-3 fw-bold text-white mb-3">
-              <i className="fas fa-bolt me-3"></i>
-              Energy Time Manager
-            </h1>
-            <p className="lead text-white-50 mb-4">
-              Don't manage time. Manage energy, roles, and intent.
-            </p>
-            <div className="quote-box animate__animated animate__fadeInUp animate__delay-1s">
-              <p className="h5 text-white">
-                <i className="fas fa-quote-left me-2"></i>
-                You don't fight your day — you flow with it.
-                <i className="fas fa-quote-right ms-2"></i>
-              </p>
+        {page === 'energy' && (
+          <>
+            {/* Hero Section */}
+            <div className="row mb-5">
+              <div className="col-12 text-center animate__animated animate__fadeInDown">
+                <h1 className="display-3 fw-bold text-white mb-3">
+                  <i className="fas fa-bolt me-3"></i>
+                  Energy Time Manager
+                </h1>
+                <p className="lead text-white-50 mb-4">
+                  Don't manage time. Manage energy, roles, and intent.
+                </p>
+                <div className="quote-box animate__animated animate__fadeInUp animate__delay-1s">
+                  <p className="h5 text-white">
+                    <i className="fas fa-quote-left me-2"></i>
+                    You don't fight your day — you flow with it.
+                    <i className="fas fa-quote-right ms-2"></i>
+                  </p>
+                </div>
+              </div>
+            </div>
+
+            {/* Burnout Warnings */}
+            {warnings.length > 0 && (
+              <div className="row mb-5">
+                <div className="col-12">
+                  <BurnoutWarnings
+                    warnings={warnings}
+                    onSnooze={(id) => setWarningSettings(prev => snoozeWarning(prev, id))}
+                  />
+                </div>
+              </div>
+            )}
+
+            {/* Energy Selector Section */}
+            <div className="row mb-5">
+              <div className="col-12">
+                <EnergySelector 
+                  selectedEnergy={selectedEnergy} 
+                  onEnergySelect={selectEnergy}
+                  taskLibrary={taskLibrary}
+                  tasks={tasks}
+                  onCompleteTask={completeTask}
+                />
+              </div>
+            </div>
+
+            {/* Three.js Visualization */}
+            {selectedEnergy && (
+              <div className="row mb-5 animate__animated animate__fadeIn">
+                <div className="col-12">
+                  <EnergyVisualization
+                    energyLevel={selectedEnergy}
+                    checkIns={checkIns}
+                    tasks={tasks}
+                    roles={roles}
+                    reducedMotion={reducedMotion}
+                  />
+                </div>
+              </div>
+            )}
+          </>
+        )}
+
+        {/* Energy Pattern Analytics */}
+        {page === 'analytics' && (
+          <div className="row mb-5">
+            <div className="col-12">
+              <EnergyAnalytics roles={roles} checkIns={checkIns} />
             </div>
           </div>
-        </div>
+        )}
 
-        {/* Energy Selector Section */}
-        <div className="row mb-5">
-          <div className="col-12">
-            <EnergySelector 
-              selectedEnergy={selectedEnergy} 
-              onEnergySelect={setSelectedEnergy} 
-            />
+        {/* Tomorrow's Energy Forecast */}
+        {page === 'forecast' && (
+          <div className="row mb-5">
+            <div className="col-12">
+              <EnergyForecast roles={roles} checkIns={checkIns} />
+            </div>
           </div>
-        </div>
+        )}
 
-        {/* Three.js Visualization */}
-        {selectedEnergy && (
-          <div className="row mb-5 animate__animated animate__fadeIn">
+        {/* Meetings on the Energy Timeline */}
+        {page === 'meetings' && (
+          <div className="row mb-5">
             <div className="col-12">
-              <EnergyVisualization energyLevel={selectedEnergy} />
+              <MeetingTimeline roles={roles} checkIns={checkIns} />
             </div>
           </div>
         )}
 
         {/* Role-Based Buckets */}
-        <div className="row mb-5">
-          <div className="col-12">
-            <RoleBuckets 
-              selectedRole={selectedRole}
-              onRoleSelect={setSelectedRole}
-              currentEnergy={selectedEnergy}
-            />
+        {page === 'roles' && (
+          <div className="row mb-5">
+            <div className="col-12">
+              <RoleBuckets 
+                roles={roles}
+                selectedRole={selectedRole}
+                onRoleSelect={selectRole}
+                currentEnergy={selectedEnergy}
+                taskLibrary={taskLibrary}
+                tasks={tasks}
+                onCompleteTask={completeTask}
+              />
+              <RoleManager
+                roles={roles}
+                onChange={setRoles}
+              />
+              <TaskLibraryEditor
+                roles={roles}
+                taskLibrary={taskLibrary}
+                onChange={setTaskLibrary}
+              />
+            </div>
           </div>
-        </div>
+        )}
+
+        {/* Task List */}
+        {page === 'tasks' && (
+          <div className="row mb-5">
+            <div className="col-12">
+              <TaskList
+                roles={roles}
+                tasks={tasks}
+                currentEnergy={selectedEnergy}
+                onAdd={addTask}
+                onComplete={completeTask}
+                onReopen={reopenTask}
+                onDelete={deleteTask}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Daily / Weekly / Long-term Plans */}
+        {page === 'planner' && (
+          <div className="row mb-5">
+            <div className="col-12">
+              <Planner
+                roles={roles}
+                plans={plans}
+                currentEnergy={selectedEnergy}
+                onChange={setPlans}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Guided Weekly Review */}
+        {page === 'review' && (
+          <div className="row mb-5">
+            <div className="col-12">
+              <WeeklyReview
+                roles={roles}
+                checkIns={checkIns}
+                tasks={tasks}
+                ideas={ideas}
+                plans={plans}
+                selectedId={route.param}
+                onSelect={(id) => navigate('review', id)}
+              />
+            </div>
+          </div>
+        )}
 
         {/* Metro Time Section */}
-        <div className="row mb-5">
-          <div className="col-12">
-            <MetroTime />
+        {page === 'metro' && (
+          <div className="row mb-5">
+            <div className="col-12">
+              <MetroTime
+                roles={roles}
+                ideas={ideas}
+                onAddIdea={addIdea}
+                onUpdateIdea={updateIdea}
+                onDeleteIdea={deleteIdea}
+                onConvertIdea={convertIdea}
+                practice={activePracticeFor(practice, 'metro')}
+                onCommuteSaved={() => notePractice(PRACTICE_EVENTS.commute)}
+              />
+            </div>
           </div>
-        </div>
+        )}
 
         {/* Daily Control Questions */}
-        <div className="row mb-5">
+        {page === 'control' && (
+          <div className="row mb-5">
+            <div className="col-12">
+              <DailyControl 
+                roles={roles}
+                tasks={tasks}
+                currentEnergy={selectedEnergy}
+                currentRole={selectedRole}
+                onEnergySelect={setSelectedEnergy}
+                onRoleSelect={setSelectedRole}
+                onCheckIn={addCheckIn}
+                onCompleteTask={completeTask}
+                practice={activePracticeFor(practice, 'control')}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Focus Sessions - kept mounted so a running session still notifies when it ends */}
+        <div className={`row mb-5 ${page === 'focus' ? '' : 'd-none'}`}>
           <div className="col-12">
-            <DailyControl 
+            <FocusTimer
+              roles={roles}
+              tasks={tasks}
               currentEnergy={selectedEnergy}
               currentRole={selectedRole}
+              onCompleteTask={completeTask}
             />
           </div>
         </div>
 
+        {/* Check-in Reminders */}
+        {page === 'reminders' && (
+          <div className="row mb-5">
+            <div className="col-12">
+              <ReminderSettings
+                settings={reminders}
+                onChange={setReminders}
+                roles={roles}
+                currentRole={selectedRole}
+              />
+              <WarningSettings
+                settings={warningSettings}
+                onChange={setWarningSettings}
+                activeWarnings={warnings}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Check-in Journal */}
+        {page === 'history' && (
+          <div className="row mb-5">
+            <div className="col-12">
+              <CheckInHistory
+                roles={roles}
+                checkIns={checkIns}
+                highlightId={route.param}
+                onUpdate={updateCheckIn}
+                onDelete={deleteCheckIn}
+              />
+            </div>
+          </div>
+        )}
+
         {/* Theory Section - Become More */}
-        <div className="row mb-5">
-          <div className="col-12">
-            <TheorySection />
+        {page === 'theory' && (
+          <div className="row mb-5">
+            <div className="col-12">
+              <TheorySection
+                learning={learning}
+                onLearningChange={setLearning}
+                practice={practice}
+                onApply={applyPrinciple}
+                expandedId={route.param}
+                onExpand={(id) => navigate('theory', id)}
+              />
+            </div>
           </div>
-        </div>
+        )}
 
         {/* Course Content Section */}
-        <div className="row mb-5">
-          <div className="col-12">
-            <CourseContent />
+        {page === 'course' && (
+          <div className="row mb-5">
+            <div className="col-12">
+              <CourseContent
+                learning={learning}
+                onLearningChange={setLearning}
+                lessonId={route.param}
+                onLessonChange={(id) => navigate('course', id)}
+              />
+            </div>
           </div>
-        </div>
+        )}
+
+        {/* Quiz Results and Reflections */}
+        {page === 'reflections' && (
+          <div className="row mb-5">
+            <div className="col-12">
+              <MyReflections learning={learning} onChange={setLearning} />
+            </div>
+          </div>
+        )}
+
+        {/* Time Management Sheet */}
+        {page === 'sheet' && (
+          <div className="row mb-5">
+            <div className="col-12">
+              <TimeSheet roles={roles} />
+            </div>
+          </div>
+        )}
+
+        {/* Export / Import */}
+        {page === 'data' && (
+          <div className="row mb-5">
+            <div className="col-12">
+              <DataBackup />
+            </div>
+          </div>
+        )}
 
         {/* Footer */}
         <div className="row">
@@ -116,6 +523,11 @@ function App() {
           </div>
         </div>
       </div>
+
+      <PracticeBanner
+        practice={practice.active}
+        onCancel={() => setPractice(prev => cancelPractice(prev))}
+      />
     </div>
   );
 }
@@ -0,0 +1,40 @@
+import React from 'react';
+import './BurnoutWarnings.css';
+import { routeHref } from '../utils/routes';
+
+const BurnoutWarnings = ({ warnings, onSnooze }) => {
+  return (
+    <div className="burnout-warnings animate__animated animate__fadeIn">
+      {warnings.map((warning) => (
+        <div key={warning.id} className="burnout-warning" role="status">
+          <div className="burnout-warning-icon">
+            <i className={`fas ${warning.icon}`}></i>
+          </div>
+          <div className="flex-grow-1">
+            <h5 className="fw-bold mb-1">{warning.title}</h5>
+            <p className="mb-3">{warning.message}</p>
+            <div className="d-flex flex-wrap gap-2">
+              {warning.suggestions.map((suggestion) => (
+                <a key={suggestion.href} className="btn btn-sm btn-light burnout-suggestion" href={suggestion.href}>
+                  <i className={`fas ${suggestion.icon} me-2`}></i>
+                  {suggestion.label}
+                </a>
+              ))}
+              <button className="btn btn-sm btn-link text-white" onClick={() => onSnooze(warning.id)}>
+                Not today
+              </button>
+            </div>
+          </div>
+        </div>
+      ))}
+      <p className="small text-white-50 text-end mb-0">
+        <a className="text-white-50" href={routeHref('reminders')}>
+          <i className="fas fa-sliders-h me-1"></i>
+          Change these warnings
+        </a>
+      </p>
+    </div>
+  );
+};
+
+export default BurnoutWarnings;
@@ -0,0 +1,240 @@
+import React, { useState, useEffect } from 'react';
+import './CheckInHistory.css';
+import { sortByNewest } from '../utils/checkIns';
+import { toDateKey, toLocalInputValue, formatTime, formatDay } from '../utils/dates';
+import { routeHref } from '../utils/routes';
+
+const PAGE_SIZE = 10;
+
+const CheckInHistory = ({ roles, checkIns, highlightId, onUpdate, onDelete }) => {
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+
+  const energyOptions = [
+    { id: 'high', name: 'High', color: '#ff6b6b' },
+    { id: 'medium', name: 'Medium', color: '#4ecdc4' },
+    { id: 'low', name: 'Low', color: '#95a5a6' }
+  ];
+
+  const roleOptions = roles;
+
+  const findOption = (options, id) => options.find((option) => option.id === id);
+
+  const sorted = sortByNewest(checkIns);
+  // A linked check-in (#/history/<id>) is always shown, however far back it is
+  const highlightIndex = sorted.findIndex((checkIn) => checkIn.id === highlightId);
+  const visible = sorted.slice(0, Math.max(visibleCount, highlightIndex + 1));
+  const highlightFound = highlightIndex !== -1;
+
+  useEffect(() => {
+    if (!highlightFound) return undefined;
+    const timeout = setTimeout(() => {
+      const element = document.getElementById(`check-in-${highlightId}`);
+      if (element) element.scrollIntoView({ block: 'center' });
+    }, 100);
+    return () => clearTimeout(timeout);
+  }, [highlightId, highlightFound]);
+
+  // Group the visible entries under one heading per calendar day
+  const days = visible.reduce((groups, checkIn) => {
+    const key = toDateKey(checkIn.timestamp);
+    const group = groups.find((g) => g.key === key);
+    if (group) {
+      group.entries.push(checkIn);
+    } else {
+      groups.push({ key, label: formatDay(checkIn.timestamp), entries: [checkIn] });
+    }
+    return groups;
+  }, []);
+
+  const startEditing = (checkIn) => {
+    setEditingId(checkIn.id);
+    setDraft({
+      timestamp: toLocalInputValue(checkIn.timestamp),
+      energy: checkIn.energy || '',
+      role: checkIn.role || '',
+      task: checkIn.task || ''
+    });
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setDraft(null);
+  };
+
+  const saveEditing = () => {
+    onUpdate(editingId, {
+      timestamp: new Date(draft.timestamp).toISOString(),
+      energy: draft.energy || null,
+      role: draft.role || null,
+      task: draft.task.trim()
+    });
+    cancelEditing();
+  };
+
+  const handleDelete = (id) => {
+    if (window.confirm('Delete this check-in?')) {
+      onDelete(id);
+    }
+  };
+
+  const renderBadge = (option, icon) => (
+    option && (
+      <span className="history-badge" style={{ backgroundColor: option.color }}>
+        <i className={`fas ${icon} me-1`}></i>
+        {option.name}
+      </span>
+    )
+  );
+
+  return (
+    <div id="history" className="check-in-history-section">
+      <div className="text-center mb-4 animate__animated animate__fadeInDown">
+        <h2 className="display-5 text-white fw-bold mb-3">
+          <i className="fas fa-history me-2"></i>
+          Check-in Journal
+        </h2>
+        <p className="lead text-white-50">
+          Every check-in you log, so you can learn your own rhythm.
+        </p>
+      </div>
+
+      {sorted.length === 0 ? (
+        <div className="history-empty text-center">
+          <i className="fas fa-feather-alt mb-3"></i>
+          <p className="mb-0">
+            No check-ins yet. Answer the three questions under <a href={routeHref('control')}>Control</a> and hit <strong>Log Check-in</strong>.
+          </p>
+        </div>
+      ) : (
+        <div className="history-card animate__animated animate__fadeInUp">
+          {days.map((day) => (
+            <div key={day.key} className="history-day mb-4">
+              <h5 className="history-day-label">
+                <i className="fas fa-calendar-day me-2"></i>
+                {day.label}
+              </h5>
+
+              {day.entries.map((checkIn) => (
+                <div
+                  key={checkIn.id}
+                  id={`check-in-${checkIn.id}`}
+                  className={`history-entry ${checkIn.id === highlightId ? 'highlighted' : ''}`}
+                >
+                  {editingId === checkIn.id ? (
+                    <div className="history-edit row g-2 align-items-center">
+                      <div className="col-md-3">
+                        <input
+                          type="datetime-local"
+                          className="form-control form-control-sm"
+                          value={draft.timestamp}
+                          onChange={(e) => setDraft({ ...draft, timestamp: e.target.value })}
+                        />
+                      </div>
+                      <div className="col-md-2">
+                        <select
+                          className="form-select form-select-sm"
+                          value={draft.energy}
+                          onChange={(e) => setDraft({ ...draft, energy: e.target.value })}
+                        >
+                          <option value="">No energy</option>
+                          {energyOptions.map((option) => (
+                            <option key={option.id} value={option.id}>{option.name}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="col-md-2">
+                        <select
+                          className="form-select form-select-sm"
+                          value={draft.role}
+                          onChange={(e) => setDraft({ ...draft, role: e.target.value })}
+                        >
+                          <option value="">No role</option>
+                          {roleOptions
+                            .filter((option) => !option.archived || option.id === draft.role)
+                            .map((option) => (
+                              <option key={option.id} value={option.id}>{option.name}</option>
+                            ))}
+                        </select>
+                      </div>
+                      <div className="col-md-3">
+                        <input
+                          type="text"
+                          className="form-control form-control-sm"
+                          placeholder="Smallest useful task"
+                          value={draft.task}
+                          onChange={(e) => setDraft({ ...draft, task: e.target.value })}
+                        />
+                      </div>
+                      <div className="col-md-2 text-end">
+                        <button
+                          className="btn btn-sm btn-success me-2"
+                          onClick={saveEditing}
+                          disabled={!draft.timestamp}
+                        >
+                          <i className="fas fa-check"></i>
+                        </button>
+                        <button className="btn btn-sm btn-outline-secondary" onClick={cancelEditing}>
+                          <i className="fas fa-times"></i>
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="d-flex align-items-center flex-wrap gap-2">
+                      <span className="history-time">
+                        <i className="fas fa-clock me-1"></i>
+                        {formatTime(checkIn.timestamp)}
+                      </span>
+                      {renderBadge(findOption(energyOptions, checkIn.energy), 'fa-bolt')}
+                      {renderBadge(findOption(roleOptions, checkIn.role), 'fa-user-tie')}
+                      <span className="history-task flex-grow-1">
+                        {checkIn.task || <em className="text-muted">No task noted</em>}
+                      </span>
+                      <a
+                        className="btn btn-sm btn-outline-secondary"
+                        href={routeHref('history', checkIn.id)}
+                        aria-label="Link to this check-in"
+                        title="Link to this check-in"
+                      >
+                        <i className="fas fa-link"></i>
+                      </a>
+                      <button
+                        className="btn btn-sm btn-outline-primary"
+                        onClick={() => startEditing(checkIn)}
+                        aria-label="Edit check-in"
+                      >
+                        <i className="fas fa-pen"></i>
+                      </button>
+                      <button
+                        className="btn btn-sm btn-outline-danger"
+                        onClick={() => handleDelete(checkIn.id)}
+                        aria-label="Delete check-in"
+                      >
+                        <i className="fas fa-trash"></i>
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          ))}
+
+          {sorted.length > visibleCount && (
+            <div className="text-center">
+              <button
+                className="btn btn-outline-primary"
+                onClick={() => setVisibleCount(visibleCount + PAGE_SIZE)}
+              >
+                <i className="fas fa-chevron-down me-2"></i>
+                Show older check-ins
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CheckInHistory;
@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from 'react';
+import './CommuteSession.css';
+import usePersistentState from '../hooks/usePersistentState';
+import { STORAGE_KEYS } from '../utils/storage';
+import { formatDay, formatTime, formatDuration } from '../utils/dates';
+import {
+  LEG_MINUTES,
+  DAILY_BUDGET_MINUTES,
+  startCommute,
+  sessionMinutes,
+  weeklyCommuteSummary
+} from '../utils/commute';
+
+const CommuteSession = ({ categories, selectedCategory, onCategorySelect, onSessionSaved }) => {
+  const [sessions, setSessions] = usePersistentState(STORAGE_KEYS.commuteSessions, []);
+  const [activeSession, setActiveSession] = usePersistentState(STORAGE_KEYS.activeCommute, null);
+  const [leg, setLeg] = useState('up');
+  const [endingSession, setEndingSession] = useState(null);
+  const [note, setNote] = useState('');
+  const [now, setNow] = useState(new Date());
+
+  // Tick once a second while a leg is running; the start time is persisted, so a reload resumes it
+  useEffect(() => {
+    if (!activeSession) return undefined;
+    const interval = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(interval);
+  }, [activeSession]);
+
+  const category = categories.find((c) => c.category === (activeSession ? activeSession.category : selectedCategory));
+  const elapsedSeconds = activeSession
+    ? Math.max(0, Math.floor((now - new Date(activeSession.startedAt)) / 1000))
+    : 0;
+  const summary = weeklyCommuteSummary(sessions);
+  const recentSessions = [...sessions]
+    .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+    .slice(0, 5);
+
+  const handleStart = () => {
+    if (!selectedCategory) return;
+    setNow(new Date());
+    setActiveSession(startCommute({ leg, category: selectedCategory }));
+  };
+
+  // The leg is logged as soon as it ends, so a reload or leaving the page
+  // before the note is written doesn't lose it; the note just edits it.
+  // It only counts as practice once it's kept, since it can still be discarded.
+  const handleEnd = () => {
+    const ended = { ...activeSession, endedAt: new Date().toISOString() };
+    setSessions((prev) => [...prev, ended]);
+    setEndingSession(ended);
+    setActiveSession(null);
+    setNote('');
+    // The return trip is usually next
+    setLeg(ended.leg === 'up' ? 'down' : 'up');
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    setSessions((prev) => prev.map((session) => (
+      session.id === endingSession.id ? { ...session, note: note.trim() } : session
+    )));
+    setEndingSession(null);
+    if (onSessionSaved) onSessionSaved();
+  };
+
+  const handleDiscard = () => {
+    setSessions((prev) => prev.filter((session) => session.id !== endingSession.id));
+    setEndingSession(null);
+  };
+
+  const clock = `${String(Math.floor(elapsedSeconds / 60)).padStart(2, '0')}:${String(elapsedSeconds % 60).padStart(2, '0')}`;
+
+  return (
+    <div className="commute-session">
+      <div className="row g-4">
+        <div className="col-lg-7">
+          <div className="commute-runner">
+            <h4 className="fw-bold mb-3">
+              <i className="fas fa-stopwatch me-2 text-primary"></i>
+              Commute Session
+            </h4>
+
+            {activeSession && (
+              <div className="text-center animate__animated animate__fadeIn">
+                <p className="text-muted mb-1">
+                  <i className={`fas fa-arrow-${activeSession.leg === 'up' ? 'right' : 'left'} me-2`}></i>
+                  {activeSession.leg === 'up' ? 'Up' : 'Down'} leg · {activeSession.category}
+                </p>
+                <div className="commute-clock" style={{ color: category ? category.color : '#667eea' }}>
+                  {clock}
+                </div>
+                <div className="progress commute-progress mb-3">
+                  <div
+                    className="progress-bar"
+                    style={{
+                      width: `${Math.min(100, (elapsedSeconds / 60 / LEG_MINUTES) * 100)}%`,
+                      backgroundColor: category ? category.color : '#667eea'
+                    }}
+                  ></div>
+                </div>
+                <button className="btn btn-danger" onClick={handleEnd}>
+                  <i className="fas fa-flag-checkered me-2"></i>
+                  End Leg
+                </button>
+              </div>
+            )}
+
+            {!activeSession && endingSession && (
+              <form className="animate__animated animate__fadeIn" onSubmit={handleSave}>
+                <p className="mb-2">
+                  <strong>{formatDuration(sessionMinutes(endingSession))}</strong> of {endingSession.category}.
+                  What did you do?
+                </p>
+                <div className="commute-suggestions mb-2">
+                  {(categories.find((c) => c.category === endingSession.category) || { activities: [] })
+                    .activities.map((activity) => (
+                      <button
+                        key={activity}
+                        type="button"
+                        className="btn btn-sm btn-outline-secondary"
+                        onClick={() => setNote(note ? `${note}, ${activity}` : activity)}
+                      >
+                        {activity}
+                      </button>
+                    ))}
+                </div>
+                <textarea
+                  className="form-control mb-3"
+                  rows="2"
+                  placeholder="e.g. Two episodes of a product podcast"
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                />
+                <div className="d-flex gap-2">
+                  <button type="submit" className="btn btn-primary">
+                    <i className="fas fa-save me-2"></i>
+                    Save Note
+                  </button>
+                  <button type="button" className="btn btn-outline-secondary" onClick={handleDiscard}>
+                    Discard
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {!activeSession && !endingSession && (
+              <div>
+                <div className="btn-group mb-3" role="group" aria-label="Commute leg">
+                  <button
+                    className={`btn ${leg === 'up' ? 'btn-primary' : 'btn-outline-primary'}`}
+                    onClick={() => setLeg('up')}
+                  >
+                    <i className="fas fa-arrow-right me-2"></i>
+                    Up
+                  </button>
+                  <button
+                    className={`btn ${leg === 'down' ? 'btn-primary' : 'btn-outline-primary'}`}
+                    onClick={() => setLeg('down')}
+                  >
+                    <i className="fas fa-arrow-left me-2"></i>
+                    Down
+                  </button>
+                </div>
+                <div className="commute-categories mb-3">
+                  {categories.map((c) => (
+                    <button
+                      key={c.category}
+                      className={`commute-category ${selectedCategory === c.category ? 'active' : ''}`}
+                      style={{
+                        borderColor: c.color,
+                        backgroundColor: selectedCategory === c.category ? c.color : 'transparent',
+                        color: selectedCategory === c.category ? '#fff' : c.color
+                      }}
+                      onClick={() => onCategorySelect(c.category)}
+                    >
+                      <i className={`fas ${c.icon} me-2`}></i>
+                      {c.category}
+                    </button>
+                  ))}
+                </div>
+                <button className="btn btn-success btn-lg" onClick={handleStart} disabled={!selectedCategory}>
+                  <i className="fas fa-play me-2"></i>
+                  Start {leg === 'up' ? 'Up' : 'Down'} Leg
+                </button>
+                {!selectedCategory && (
+                  <p className="small text-muted mt-2 mb-0">Pick what you'll do on this leg first.</p>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="col-lg-5">
+          <div className="commute-week">
+            <h5 className="fw-bold mb-1">
+              <i className="fas fa-calendar-week me-2 text-primary"></i>
+              This Week
+            </h5>
+            <p className="small text-muted mb-3">
+              {formatDuration(summary.total)} of {formatDuration(summary.budget)} commute budget used
+            </p>
+            {summary.days.map((day) => (
+              <div key={day.key} className="commute-day-row">
+                <span className="commute-day-label">{day.label}</span>
+                <div className="commute-day-track">
+                  <div
+                    className={`commute-day-bar ${day.minutes > DAILY_BUDGET_MINUTES ? 'over' : ''}`}
+                    style={{ width: `${Math.min(100, (day.minutes / DAILY_BUDGET_MINUTES) * 100)}%` }}
+                  ></div>
+                </div>
+                <span className="commute-day-minutes">{day.minutes ? formatDuration(day.minutes) : '-'}</span>
+              </div>
+            ))}
+
+            {recentSessions.length > 0 && (
+              <ul className="list-unstyled small mt-3 mb-0">
+                {recentSessions.map((session) => (
+                  <li key={session.id} className="commute-log-item">
+                    <strong>{formatDay(session.startedAt)}, {formatTime(session.startedAt)}</strong>
+                    {' · '}{session.leg === 'up' ? 'Up' : 'Down'} · {session.category} · {formatDuration(sessionMinutes(session))}
+                    {session.note && <span className="d-block text-muted">{session.note}</span>}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CommuteSession;
@@ -1,12 +1,58 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import './DailyControl.css';
+import usePersistentState from '../hooks/usePersistentState';
+import { STORAGE_KEYS } from '../utils/storage';
+import { formatTime } from '../utils/dates';
+import { getActiveRoles, findRole } from '../utils/roles';
+import { recommendTasks } from '../utils/recommendations';
 
-const DailyControl = ({ currentEnergy, currentRole }) => {
-  const [answers, setAnswers] = useState({
+const RECOMMENDATION_COUNT = 3;
+
+const DailyControl = ({
+  roles,
+  tasks,
+  currentEnergy,
+  currentRole,
+  onEnergySelect,
+  onRoleSelect,
+  onCheckIn,
+  onCompleteTask,
+  practice
+}) => {
+  const [answers, setAnswers] = usePersistentState(STORAGE_KEYS.dailyAnswers, {
     role: '',
     energy: '',
     task: ''
   });
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+  const taskInputRef = useRef(null);
+  const practiceStartedAt = practice && practice.startedAt;
+
+  // A principle being practised here starts at the smallest-task question
+  useEffect(() => {
+    if (practiceStartedAt && taskInputRef.current) {
+      taskInputRef.current.focus({ preventScroll: true });
+    }
+  }, [practiceStartedAt]);
+
+  // Role and energy are the app-wide selection, so a pick here is what the rest
+  // of the app sees and what gets logged. Older saved answers fill in until then.
+  const roleAnswer = currentRole || answers.role;
+  const energyAnswer = currentEnergy || answers.energy;
+  const selected = { role: roleAnswer, energy: energyAnswer };
+
+  const energyOptions = [
+    { id: 'high', label: 'High' },
+    { id: 'medium', label: 'Medium' },
+    { id: 'low', label: 'Low' }
+  ];
+
+  const labelFor = (options, id) => {
+    const option = options.find((o) => o.id === String(id).toLowerCase());
+    return option ? option.label : id;
+  };
+
+  const roleOptions = getActiveRoles(roles).map((role) => ({ id: role.id, label: role.name }));
 
   const questions = [
     {
@@ -14,23 +60,25 @@ const DailyControl = ({ currentEnergy, currentRole }) => {
       icon: 'fa-user-tie',
       question: 'What role am I in right now?',
       color: '#3498db',
-      options: ['Office', 'Product', 'Growth', 'Recovery'],
-      answer: currentRole || answers.role
+      options: roleOptions,
+      // Archived roles are hidden from the options but still have a name
+      answer: roleAnswer && ((findRole(roles, roleAnswer) || {}).name || roleAnswer)
     },
     {
       id: 'energy',
       icon: 'fa-bolt',
       question: 'What energy level do I have?',
       color: '#e74c3c',
-      options: ['High', 'Medium', 'Low'],
-      answer: currentEnergy || answers.energy
+      options: energyOptions,
+      answer: energyAnswer && labelFor(energyOptions, energyAnswer)
     },
     {
       id: 'task',
       icon: 'fa-tasks',
       question: 'What is the smallest useful task I can do?',
       color: '#2ecc71',
-      placeholder: 'e.g., "Just open the file", "Write 3 lines", "Note one idea"',
+      placeholder: (practice && practice.preset && practice.preset.prompt)
+        || 'e.g., "Just open the file", "Write 3 lines", "Note one idea"',
       answer: answers.task
     }
   ];
@@ -42,6 +90,37 @@ const DailyControl = ({ currentEnergy, currentRole }) => {
     }));
   };
 
+  const handleOptionSelect = (questionId, value) => {
+    handleAnswerChange(questionId, value);
+    if (questionId === 'role') onRoleSelect(value);
+    if (questionId === 'energy') onEnergySelect(value);
+  };
+
+  const isSelected = (questionId, optionId) =>
+    String(selected[questionId] || '').toLowerCase() === optionId;
+
+  const normalizedRole = roleAnswer ? String(roleAnswer).toLowerCase() : null;
+  const normalizedEnergy = energyAnswer ? String(energyAnswer).toLowerCase() : null;
+  const recommendations = recommendTasks(tasks, {
+    energy: normalizedEnergy,
+    role: normalizedRole,
+    roleName: (findRole(roles, normalizedRole) || {}).name
+  }).filter((r) => r.fits).slice(0, RECOMMENDATION_COUNT);
+
+  const canCheckIn = Boolean(roleAnswer || energyAnswer || (answers.task || '').trim());
+
+  const handleCheckIn = () => {
+    if (!canCheckIn) return;
+    const checkIn = onCheckIn({
+      role: roleAnswer,
+      energy: energyAnswer,
+      task: answers.task
+    });
+    setLastSavedAt(checkIn.timestamp);
+    // Role and energy usually carry over; the next small task is a fresh question
+    handleAnswerChange('task', '');
+  };
+
   const momentumTips = [
     {
       icon: 'fa-rocket',
@@ -94,23 +173,24 @@ const DailyControl = ({ currentEnergy, currentRole }) => {
               
               {q.options ? (
                 <div className="options-list">
-                  {q.options.map((option, idx) => (
+                  {q.options.map((option) => (
                     <button
-                      key={idx}
-                      className={`option-btn ${answers[q.id]?.toLowerCase() === option.toLowerCase() ? 'active' : ''}`}
-                      onClick={() => handleAnswerChange(q.id, option)}
+                      key={option.id}
+                      className={`option-btn ${isSelected(q.id, option.id) ? 'active' : ''}`}
+                      onClick={() => handleOptionSelect(q.id, option.id)}
                       style={{
                         borderColor: q.color,
-                        color: answers[q.id]?.toLowerCase() === option.toLowerCase() ? '#fff' : q.color,
-                        backgroundColor: answers[q.id]?.toLowerCase() === option.toLowerCase() ? q.color : 'transparent'
+                        color: isSelected(q.id, option.id) ? '#fff' : q.color,
+                        backgroundColor: isSelected(q.id, option.id) ? q.color : 'transparent'
                       }}
                     >
-                      {option}
+                      {option.label}
                     </button>
                   ))}
                 </div>
               ) : (
                 <input
+                  ref={taskInputRef}
                   type="text"
                   className="form-control task-input"
                   placeholder={q.placeholder}
@@ -131,6 +211,77 @@ const DailyControl = ({ currentEnergy, currentRole }) => {
         ))}
       </div>
 
+      <div className="recommendation-panel mb-5 animate__animated animate__fadeIn">
+        <h4 className="fw-bold text-white mb-3">
+          <i className="fas fa-compass me-2 text-warning"></i>
+          What should I do now?
+        </h4>
+        {recommendations.length === 0 ? (
+          <p className="text-white-50 mb-0">
+            {tasks.some((task) => !task.completedAt)
+              ? 'None of your open tasks fit this energy. Shrink one until it feels easy.'
+              : 'Add a few tasks to My Tasks and the best next one will show up here.'}
+          </p>
+        ) : (
+          <div className="row g-3">
+            {recommendations.map(({ task, reasons }, index) => (
+              <div key={task.id} className="col-md-4">
+                <div className={`recommendation-card ${index === 0 ? 'top-pick' : ''}`}>
+                  {index === 0 && (
+                    <span className="top-pick-badge">
+                      <i className="fas fa-star me-1"></i>
+                      Best next task
+                    </span>
+                  )}
+                  <h5 className="fw-bold mb-2">{task.title}</h5>
+                  <ul className="list-unstyled small mb-3">
+                    {reasons.map((reason) => (
+                      <li key={reason}>
+                        <i className="fas fa-check me-2 text-success"></i>
+                        {reason}
+                      </li>
+                    ))}
+                  </ul>
+                  <div className="d-flex gap-2">
+                    <button
+                      className="btn btn-sm btn-outline-primary"
+                      onClick={() => handleAnswerChange('task', task.title)}
+                    >
+                      <i className="fas fa-hand-pointer me-1"></i>
+                      Do this
+                    </button>
+                    <button
+                      className="btn btn-sm btn-outline-success"
+                      onClick={() => onCompleteTask(task.id)}
+                    >
+                      <i className="fas fa-check me-1"></i>
+                      Done
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="check-in-bar text-center mb-5 animate__animated animate__fadeIn">
+        <button
+          className="btn btn-light btn-lg check-in-btn"
+          onClick={handleCheckIn}
+          disabled={!canCheckIn}
+        >
+          <i className="fas fa-save me-2"></i>
+          Log Check-in
+        </button>
+        {lastSavedAt && (
+          <p className="text-white-50 mt-3 mb-0">
+            <i className="fas fa-check me-2"></i>
+            Check-in saved at {formatTime(lastSavedAt)}
+          </p>
+        )}
+      </div>
+
       <div className="momentum-section">
         <div className="text-center mb-4">
           <h3 className="text-white fw-bold mb-3">
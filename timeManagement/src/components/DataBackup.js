@@ -0,0 +1,222 @@
+import React, { useState } from 'react';
+import './DataBackup.css';
+import { STORAGE_KEYS, loadAllState, saveState, removeState } from '../utils/storage';
+import { formatDay, formatTime, toDateKey } from '../utils/dates';
+import { downloadFile } from '../utils/download';
+import { createBackup, readBackup, combineData, summarizeData } from '../utils/backup';
+import {
+  loadVoiceNote,
+  saveVoiceNote,
+  clearVoiceNotes,
+  blobToDataUrl,
+  dataUrlToBlob
+} from '../utils/voiceNotes';
+
+const summaryLabels = {
+  checkIns: 'check-ins',
+  tasks: 'tasks',
+  ideas: 'ideas',
+  commuteSessions: 'commute legs',
+  focusSessions: 'focus sessions',
+  roles: 'roles'
+};
+
+const DataBackup = () => {
+  const [includeVoice, setIncludeVoice] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [pending, setPending] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [importing, setImporting] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const handleExport = () => {
+    const data = loadAllState();
+    const withAudio = includeVoice ? (data.ideas || []).filter((idea) => idea.hasAudio) : [];
+    setExporting(true);
+    setMessage(null);
+
+    Promise.all(withAudio.map((idea) => loadVoiceNote(idea.id)
+      .then((blob) => (blob ? blobToDataUrl(blob) : null))
+      .then((url) => [idea.id, url])
+      .catch(() => [idea.id, null])))
+      .then((notes) => {
+        const voiceNotes = notes.reduce((all, [id, url]) => (url ? { ...all, [id]: url } : all), {});
+        downloadFile(
+          `energy-time-manager-backup-${toDateKey(new Date())}.json`,
+          JSON.stringify(createBackup(data, voiceNotes), null, 2),
+          'application/json'
+        );
+        setMessage({ type: 'success', text: 'Backup downloaded. Import it on your other browser or machine.' });
+      })
+      .finally(() => setExporting(false));
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setMessage(null);
+    file.text()
+      .then((text) => setPending({ fileName: file.name, ...readBackup(text) }))
+      .catch(() => setMessage({ type: 'danger', text: `${file.name} could not be read.` }));
+  };
+
+  const handleImport = () => {
+    const { backup } = pending;
+    if (mode === 'replace' && !window.confirm('Replace everything on this device with the backup? This cannot be undone.')) {
+      return;
+    }
+    setImporting(true);
+
+    const result = combineData(loadAllState(), backup.data, mode);
+    Object.values(STORAGE_KEYS).forEach((key) => {
+      if (result[key] === undefined) {
+        removeState(key);
+      } else {
+        saveState(key, result[key]);
+      }
+    });
+
+    const notes = Object.entries(backup.voiceNotes);
+    const clearFirst = mode === 'replace' ? clearVoiceNotes() : Promise.resolve();
+    clearFirst
+      .then(() => Promise.all(notes.map(([id, url]) => dataUrlToBlob(url).then((blob) => saveVoiceNote(id, blob)))))
+      .catch(() => {})
+      // Every section reads its saved state on load, so start afresh
+      .then(() => window.location.reload());
+  };
+
+  const pendingSummary = pending && pending.backup ? summarizeData(pending.backup.data) : [];
+
+  return (
+    <div id="data" className="data-backup-section">
+      <div className="text-center mb-4 animate__animated animate__fadeInDown">
+        <h2 className="display-5 text-white fw-bold mb-3">
+          <i className="fas fa-database me-2"></i>
+          Your Data
+        </h2>
+        <p className="lead text-white-50">
+          Everything lives in this browser. Take it with you when you switch browsers or machines.
+        </p>
+      </div>
+
+      <div className="row g-4">
+        <div className="col-lg-5">
+          <div className="backup-card animate__animated animate__fadeInUp">
+            <h5 className="fw-bold mb-2">
+              <i className="fas fa-file-export me-2 text-primary"></i>
+              Export
+            </h5>
+            <p className="small text-muted">
+              Check-ins, tasks, roles, plans, ideas, sessions, course progress, reflections and settings in one JSON file.
+            </p>
+            <div className="form-check mb-3">
+              <input
+                id="backup-voice"
+                type="checkbox"
+                className="form-check-input"
+                checked={includeVoice}
+                onChange={(e) => setIncludeVoice(e.target.checked)}
+              />
+              <label className="form-check-label" htmlFor="backup-voice">
+                Include voice recordings (makes the file larger)
+              </label>
+            </div>
+            <button className="btn btn-primary" onClick={handleExport} disabled={exporting}>
+              <i className={`fas ${exporting ? 'fa-spinner fa-spin' : 'fa-download'} me-2`}></i>
+              Export Backup
+            </button>
+          </div>
+        </div>
+
+        <div className="col-lg-7">
+          <div className="backup-card animate__animated animate__fadeInUp">
+            <h5 className="fw-bold mb-2">
+              <i className="fas fa-file-import me-2 text-success"></i>
+              Import
+            </h5>
+            <label className="btn btn-outline-primary mb-3">
+              <i className="fas fa-folder-open me-2"></i>
+              Choose Backup File
+              <input type="file" accept=".json,application/json" className="d-none" onChange={handleFile} />
+            </label>
+
+            {pending && (
+              <div className="backup-preview">
+                <p className="fw-bold mb-1">{pending.fileName}</p>
+                {pending.errors.length > 0 ? (
+                  <ul className="small text-danger mb-0">
+                    {pending.errors.map((error) => <li key={error}>{error}</li>)}
+                  </ul>
+                ) : (
+                  <>
+                    <p className="small text-muted mb-2">
+                      {pending.backup.exportedAt
+                        ? `Exported ${formatDay(pending.backup.exportedAt)}, ${formatTime(pending.backup.exportedAt)}`
+                        : 'Copied from browser storage'}
+                      {pendingSummary.length > 0 && ` · ${pendingSummary.map((s) => `${s.count} ${summaryLabels[s.key]}`).join(', ')}`}
+                      {Object.keys(pending.backup.voiceNotes).length > 0 && ` · ${Object.keys(pending.backup.voiceNotes).length} recordings`}
+                    </p>
+                    {pending.warnings.length > 0 && (
+                      <ul className="small text-warning mb-2">
+                        {pending.warnings.map((warning) => <li key={warning}>{warning}</li>)}
+                      </ul>
+                    )}
+                    <div className="backup-modes mb-3">
+                      <label className={`backup-mode ${mode === 'merge' ? 'active' : ''}`}>
+                        <input
+                          type="radio"
+                          name="backup-mode"
+                          className="form-check-input me-2"
+                          checked={mode === 'merge'}
+                          onChange={() => setMode('merge')}
+                        />
+                        <strong>Merge</strong>
+                        <span className="d-block small text-muted">
+                          Add the backup to what's here. Entries in both take the backup's copy; this device keeps its settings.
+                        </span>
+                      </label>
+                      <label className={`backup-mode ${mode === 'replace' ? 'active' : ''}`}>
+                        <input
+                          type="radio"
+                          name="backup-mode"
+                          className="form-check-input me-2"
+                          checked={mode === 'replace'}
+                          onChange={() => setMode('replace')}
+                        />
+                        <strong>Replace</strong>
+                        <span className="d-block small text-muted">
+                          Wipe this device's data and use the backup exactly as it is.
+                        </span>
+                      </label>
+                    </div>
+                    <div className="d-flex gap-2">
+                      <button
+                        className={`btn ${mode === 'replace' ? 'btn-danger' : 'btn-success'}`}
+                        onClick={handleImport}
+                        disabled={importing}
+                      >
+                        <i className={`fas ${importing ? 'fa-spinner fa-spin' : 'fa-upload'} me-2`}></i>
+                        {mode === 'replace' ? 'Replace My Data' : 'Merge Into My Data'}
+                      </button>
+                      <button className="btn btn-outline-secondary" onClick={() => setPending(null)} disabled={importing}>
+                        Cancel
+                      </button>
+                    </div>
+                    <p className="small text-muted mt-2 mb-0">The page reloads once the import is done.</p>
+                  </>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {message && (
+        <p className={`text-center small mt-3 mb-0 backup-message ${message.type}`}>{message.text}</p>
+      )}
+    </div>
+  );
+};
+
+export default DataBackup;
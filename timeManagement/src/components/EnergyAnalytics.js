@@ -0,0 +1,171 @@
+import React from 'react';
+import './EnergyAnalytics.css';
+import {
+  ENERGY_SCORES,
+  ENERGY_COLORS,
+  scoreToLevel,
+  energyByHour,
+  energyByWeekday,
+  roleDistributionByWeek,
+  taskStreaks
+} from '../utils/analytics';
+import { toDateKey, addDays } from '../utils/dates';
+
+const EnergyAnalytics = ({ roles, checkIns }) => {
+  const roleColors = roles.reduce((map, role) => ({ ...map, [role.id]: role }), {});
+
+  const maxScore = ENERGY_SCORES.high;
+
+  // Low / medium / high energy map onto the same colors as the energy cards
+  const scoreColor = (score) => ENERGY_COLORS[scoreToLevel(score)];
+
+  const hours = energyByHour(checkIns);
+  const weekdays = energyByWeekday(checkIns);
+  const weeks = roleDistributionByWeek(checkIns);
+  const streaks = taskStreaks(checkIns);
+  const maxWeekTotal = Math.max(1, ...weeks.map((week) => week.total));
+  // Archived roles only show up in the legend while they still appear in the chart
+  const legendRoles = roles.filter((role) => (
+    !role.archived || weeks.some((week) => week.roles[role.id])
+  ));
+
+  const taskDays = new Set(
+    checkIns.filter((c) => c.task && c.task.trim()).map((c) => toDateKey(c.timestamp))
+  );
+  const recentDays = Array.from({ length: 14 }, (_, index) => addDays(new Date(), index - 13));
+
+  const renderEnergyBars = (rows, labelFor) => (
+    <div className="analytics-bars">
+      {rows.map((row, index) => (
+        <div key={index} className="analytics-bar-column" title={
+          row.average ? `${row.average.toFixed(1)} avg from ${row.count} check-ins` : 'No check-ins'
+        }>
+          <div className="analytics-bar-track">
+            <div
+              className="analytics-bar"
+              style={{
+                height: `${((row.average || 0) / maxScore) * 100}%`,
+                backgroundColor: scoreColor(row.average || 0)
+              }}
+            ></div>
+          </div>
+          <span className="analytics-bar-label">{labelFor(row, index)}</span>
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <div id="analytics" className="energy-analytics-section">
+      <div className="text-center mb-4 animate__animated animate__fadeInDown">
+        <h2 className="display-5 text-white fw-bold mb-3">
+          <i className="fas fa-chart-bar me-2"></i>
+          Your Energy Patterns
+        </h2>
+        <p className="lead text-white-50">
+          Learn your own rhythm from the check-ins you log.
+        </p>
+      </div>
+
+      {checkIns.length === 0 ? (
+        <div className="analytics-empty text-center">
+          <i className="fas fa-seedling mb-3"></i>
+          <p className="mb-0">Log a few check-ins and your patterns will start to show up here.</p>
+        </div>
+      ) : (
+        <div className="row g-4">
+          <div className="col-lg-8">
+            <div className="analytics-card animate__animated animate__fadeInUp">
+              <h5 className="fw-bold mb-3">
+                <i className="fas fa-clock me-2"></i>
+                Energy by Hour of Day
+              </h5>
+              {renderEnergyBars(hours, (row) => (row.hour % 3 === 0 ? row.hour : ''))}
+            </div>
+          </div>
+
+          <div className="col-lg-4">
+            <div className="analytics-card animate__animated animate__fadeInUp">
+              <h5 className="fw-bold mb-3">
+                <i className="fas fa-calendar-week me-2"></i>
+                Energy by Day of Week
+              </h5>
+              {renderEnergyBars(weekdays, (row) => row.label)}
+            </div>
+          </div>
+
+          <div className="col-lg-8">
+            <div className="analytics-card animate__animated animate__fadeInUp">
+              <h5 className="fw-bold mb-3">
+                <i className="fas fa-layer-group me-2"></i>
+                Role Mix per Week
+              </h5>
+              {weeks.map((week) => (
+                <div key={week.weekStart} className="role-week-row">
+                  <span className="role-week-label">{week.weekStart.slice(5)}</span>
+                  <div className="role-week-track">
+                    {Object.entries(week.roles).map(([roleId, count]) => (
+                      <div
+                        key={roleId}
+                        className="role-week-segment"
+                        title={`${(roleColors[roleId] || {}).name || roleId}: ${count}`}
+                        style={{
+                          width: `${(count / maxWeekTotal) * 100}%`,
+                          backgroundColor: (roleColors[roleId] || {}).color || '#adb5bd'
+                        }}
+                      ></div>
+                    ))}
+                  </div>
+                  <span className="role-week-total">{week.total}</span>
+                </div>
+              ))}
+              <div className="role-legend mt-3">
+                {legendRoles.map((role) => (
+                  <span key={role.id} className="role-legend-item">
+                    <span className="role-legend-swatch" style={{ backgroundColor: role.color }}></span>
+                    {role.name}
+                  </span>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <div className="col-lg-4">
+            <div className="analytics-card animate__animated animate__fadeInUp">
+              <h5 className="fw-bold mb-3">
+                <i className="fas fa-fire me-2 text-danger"></i>
+                Smallest-Task Streak
+              </h5>
+              <div className="streak-stats">
+                <div>
+                  <span className="streak-number">{streaks.current}</span>
+                  <span className="streak-label">current</span>
+                </div>
+                <div>
+                  <span className="streak-number">{streaks.longest}</span>
+                  <span className="streak-label">longest</span>
+                </div>
+                <div>
+                  <span className="streak-number">{streaks.activeDays}</span>
+                  <span className="streak-label">days logged</span>
+                </div>
+              </div>
+              <div className="streak-days mt-3">
+                {recentDays.map((day) => (
+                  <span
+                    key={toDateKey(day)}
+                    className={`streak-day ${taskDays.has(toDateKey(day)) ? 'done' : ''}`}
+                    title={toDateKey(day)}
+                  ></span>
+                ))}
+              </div>
+              <p className="small text-muted mt-2 mb-0">Last 14 days</p>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EnergyAnalytics;
@@ -0,0 +1,155 @@
+import React from 'react';
+import './EnergyForecast.css';
+import { ENERGY_SCORES, ENERGY_COLORS } from '../utils/analytics';
+import { addDays, formatDay } from '../utils/dates';
+import { forecastDay, forecastBlocks } from '../utils/forecast';
+import { findRole } from '../utils/roles';
+
+const CHART_WIDTH = 680;
+const CHART_HEIGHT = 200;
+const CHART_PADDING = 24;
+
+const levelNames = {
+  high: 'High',
+  medium: 'Medium',
+  low: 'Low'
+};
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+const EnergyForecast = ({ roles, checkIns }) => {
+  const tomorrow = addDays(new Date(), 1);
+  const hours = forecastDay(checkIns, tomorrow);
+  const blocks = forecastBlocks(hours, roles);
+
+  const step = (CHART_WIDTH - CHART_PADDING * 2) / (hours.length - 1);
+  const x = (index) => CHART_PADDING + index * step;
+  const y = (score) => CHART_HEIGHT - CHART_PADDING
+    - ((score - ENERGY_SCORES.low) / (ENERGY_SCORES.high - ENERGY_SCORES.low)) * (CHART_HEIGHT - CHART_PADDING * 2);
+
+  // Hours without history break the curve instead of being guessed at
+  const segments = hours.reduce((lines, h, index) => {
+    if (h.score === null) {
+      lines.push([]);
+    } else {
+      lines[lines.length - 1].push(`${x(index)},${y(h.score)}`);
+    }
+    return lines;
+  }, [[]]).filter((points) => points.length > 1);
+
+  return (
+    <div id="forecast" className="energy-forecast-section">
+      <div className="text-center mb-4 animate__animated animate__fadeInDown">
+        <h2 className="display-5 text-white fw-bold mb-3">
+          <i className="fas fa-cloud-sun me-2"></i>
+          Tomorrow's Energy Forecast
+        </h2>
+        <p className="lead text-white-50">
+          A best guess for {formatDay(tomorrow)}, learned from your check-ins on this device.
+        </p>
+      </div>
+
+      {blocks.length === 0 ? (
+        <div className="forecast-empty text-center">
+          <i className="fas fa-seedling mb-3"></i>
+          <p className="mb-0">Log check-ins with an energy level for a week or two and a forecast will appear here.</p>
+        </div>
+      ) : (
+        <div className="row g-4">
+          <div className="col-lg-7">
+            <div className="forecast-card animate__animated animate__fadeInUp">
+              <h5 className="fw-bold mb-3">
+                <i className="fas fa-wave-square me-2"></i>
+                Energy Curve
+              </h5>
+              <svg
+                className="forecast-chart"
+                viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT + 20}`}
+                role="img"
+                aria-label="Forecast energy by hour for tomorrow"
+              >
+                {['low', 'medium', 'high'].map((level) => (
+                  <g key={level}>
+                    <line
+                      x1={CHART_PADDING}
+                      x2={CHART_WIDTH - CHART_PADDING}
+                      y1={y(ENERGY_SCORES[level])}
+                      y2={y(ENERGY_SCORES[level])}
+                      className="forecast-grid"
+                    />
+                    <text x={CHART_WIDTH - CHART_PADDING} y={y(ENERGY_SCORES[level]) - 4} className="forecast-grid-label">
+                      {levelNames[level]}
+                    </text>
+                  </g>
+                ))}
+                {segments.map((points, index) => (
+                  <polyline key={index} points={points.join(' ')} className="forecast-line" />
+                ))}
+                {hours.map((h, index) => (
+                  <g key={h.hour}>
+                    {h.score !== null && (
+                      <circle
+                        cx={x(index)}
+                        cy={y(h.score)}
+                        r="6"
+                        fill={ENERGY_COLORS[h.level]}
+                        fillOpacity={0.35 + h.confidence * 0.65}
+                      >
+                        <title>{`${formatHour(h.hour)}: ${levelNames[h.level]} (${Math.round(h.confidence * 100)}% confidence)`}</title>
+                      </circle>
+                    )}
+                    {h.hour % 3 === 0 && (
+                      <text x={x(index)} y={CHART_HEIGHT + 12} className="forecast-hour-label">
+                        {h.hour}
+                      </text>
+                    )}
+                  </g>
+                ))}
+              </svg>
+              <p className="small text-muted mb-0">
+                Fainter points rest on fewer check-ins. Gaps are hours you haven't logged yet.
+              </p>
+            </div>
+          </div>
+
+          <div className="col-lg-5">
+            <div className="forecast-card animate__animated animate__fadeInUp">
+              <h5 className="fw-bold mb-3">
+                <i className="fas fa-th-list me-2"></i>
+                Suggested Plan
+              </h5>
+              {blocks.map((block) => {
+                const role = findRole(roles, block.role);
+                return (
+                  <div
+                    key={block.start}
+                    className="forecast-block"
+                    style={{ borderLeftColor: ENERGY_COLORS[block.level] }}
+                  >
+                    <div className="d-flex justify-content-between flex-wrap gap-2">
+                      <strong>{formatHour(block.start)} - {formatHour(block.end)}</strong>
+                      <span className="forecast-level" style={{ backgroundColor: ENERGY_COLORS[block.level] }}>
+                        {levelNames[block.level]} energy
+                      </span>
+                    </div>
+                    <div className="small mt-1">
+                      {role && !role.archived && (
+                        <span className="me-2">
+                          <i className={`fas ${role.icon} me-1`} style={{ color: role.color }}></i>
+                          {role.name}
+                        </span>
+                      )}
+                      <span className="text-muted">{block.taskType}</span>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EnergyForecast;
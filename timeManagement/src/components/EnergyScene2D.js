@@ -0,0 +1,79 @@
+import React, { useMemo } from 'react';
+import './EnergyScene2D.css';
+
+const WIDTH = 600;
+const HEIGHT = 400;
+const DOT_COUNT = 160;
+const ORB_RADIUS = 60;
+
+// Fixed pseudo-random layout so the dots don't jump around between renders
+const dotLayout = () => {
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+  };
+  return Array.from({ length: DOT_COUNT }, () => ({
+    x: random() * WIDTH,
+    y: random() * HEIGHT,
+    r: 1.5 + random() * 2
+  }));
+};
+
+// SVG stand-in for the WebGL scene: used when WebGL is missing or motion is reduced.
+// It shows the same data - orb size, energy color and role bands - and only
+// spins when motion is allowed.
+const EnergyScene2D = ({ state, animate, description }) => {
+  const dots = useMemo(dotLayout, []);
+
+  // Dots take the color of the role band their height falls into
+  const colorFor = (y) => {
+    let cumulative = 0;
+    const ratio = 1 - y / HEIGHT;
+    const band = state.bands.find((b) => {
+      cumulative += b.share;
+      return ratio <= cumulative;
+    });
+    return (band || state.bands[state.bands.length - 1]).color;
+  };
+
+  // Medium energy turns once every 12 seconds; high energy is faster
+  const spinSeconds = 24 / state.speed;
+
+  return (
+    <svg
+      className="energy-scene-2d"
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      preserveAspectRatio="xMidYMid slice"
+      role="img"
+      aria-label={description}
+    >
+      <g
+        className={animate ? 'energy-scene-2d-drift' : ''}
+        style={{ animationDuration: `${spinSeconds * 4}s` }}
+      >
+        {dots.map((dot, index) => (
+          <circle key={index} cx={dot.x} cy={dot.y} r={dot.r} fill={colorFor(dot.y)} opacity="0.8" />
+        ))}
+      </g>
+      <g transform={`translate(${WIDTH / 2} ${HEIGHT / 2})`}>
+        <g
+          className={animate ? 'energy-scene-2d-spin' : ''}
+          style={{ animationDuration: `${spinSeconds}s` }}
+        >
+          <circle
+            r={ORB_RADIUS * state.orbScale}
+            fill={state.energyColor}
+            fillOpacity="0.15"
+            stroke={state.energyColor}
+            strokeWidth="3"
+            strokeDasharray="12 8"
+            className="energy-scene-2d-orb"
+          />
+        </g>
+      </g>
+    </svg>
+  );
+};
+
+export default EnergyScene2D;
@@ -0,0 +1,206 @@
+import React, { useEffect, useRef } from 'react';
+import * as THREE from 'three';
+
+// How far each frame moves towards the latest data (per 60fps frame)
+const EASE = 0.05;
+const PARTICLE_COUNT = 1000;
+const SPREAD = 10;
+
+const EnergyScene3D = ({ state, description, onUnavailable }) => {
+  const mountRef = useRef(null);
+  const targetRef = useRef(null);
+  const animationIdRef = useRef(null);
+
+  // Hand the latest data to the running scene; the animation loop eases towards it
+  useEffect(() => {
+    const bandColors = state.bands.map((band) => new THREE.Color(band.color));
+    const particleColors = new Float32Array(PARTICLE_COUNT * 3);
+    targetRef.current = {
+      orbScale: state.orbScale,
+      speed: state.speed,
+      color: new THREE.Color(state.energyColor),
+      // Particles are banded by height: each band's share of the height is its role's share
+      colorFor: (heightRatio) => {
+        let cumulative = 0;
+        const index = state.bands.findIndex((band) => {
+          cumulative += band.share;
+          return heightRatio <= cumulative;
+        });
+        return bandColors[index === -1 ? bandColors.length - 1 : index];
+      },
+      particleColors
+    };
+  }, [state]);
+
+  // The renderer is created once and lives as long as the component
+  useEffect(() => {
+    const mount = mountRef.current;
+    if (!mount) return undefined;
+
+    const scene = new THREE.Scene();
+    scene.background = null; // Transparent background
+
+    const camera = new THREE.PerspectiveCamera(75, mount.clientWidth / mount.clientHeight, 0.1, 1000);
+    camera.position.z = 5;
+
+    let renderer;
+    try {
+      renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+    } catch (e) {
+      // Detection said yes but the context still failed (lost GPU, blocklisted driver)
+      onUnavailable();
+      return undefined;
+    }
+    renderer.setSize(mount.clientWidth, mount.clientHeight);
+    renderer.setPixelRatio(window.devicePixelRatio);
+    mount.appendChild(renderer.domElement);
+
+    const initial = targetRef.current;
+
+    // Particles, colored by role band
+    const particlesGeometry = new THREE.BufferGeometry();
+    const posArray = new Float32Array(PARTICLE_COUNT * 3);
+    const colorArray = new Float32Array(PARTICLE_COUNT * 3);
+    const heightRatios = new Float32Array(PARTICLE_COUNT);
+
+    for (let i = 0; i < PARTICLE_COUNT; i++) {
+      const i3 = i * 3;
+      posArray[i3] = (Math.random() - 0.5) * SPREAD;
+      posArray[i3 + 1] = (Math.random() - 0.5) * SPREAD;
+      posArray[i3 + 2] = (Math.random() - 0.5) * SPREAD;
+      heightRatios[i] = posArray[i3 + 1] / SPREAD + 0.5;
+      initial.colorFor(heightRatios[i]).toArray(colorArray, i3);
+    }
+
+    // Start from these colors rather than fading in from black
+    initial.particleColors.set(colorArray);
+
+    particlesGeometry.setAttribute('position', new THREE.BufferAttribute(posArray, 3));
+    particlesGeometry.setAttribute('color', new THREE.BufferAttribute(colorArray, 3));
+
+    const particlesMaterial = new THREE.PointsMaterial({
+      size: 0.05,
+      vertexColors: true,
+      transparent: true,
+      opacity: 0.8
+    });
+
+    const particlesMesh = new THREE.Points(particlesGeometry, particlesMaterial);
+    scene.add(particlesMesh);
+
+    // Energy orb, sized by today's completed tasks
+    const orbGeometry = new THREE.SphereGeometry(0.5, 32, 32);
+    const orbMaterial = new THREE.MeshBasicMaterial({
+      color: initial.color.clone(),
+      transparent: true,
+      opacity: 0.6,
+      wireframe: true
+    });
+    const orb = new THREE.Mesh(orbGeometry, orbMaterial);
+    scene.add(orb);
+
+    const light = new THREE.PointLight(initial.color.clone(), 1.5, 100);
+    light.position.set(0, 0, 5);
+    scene.add(light);
+
+    const current = { orbScale: initial.orbScale, speed: initial.speed };
+    const clock = new THREE.Clock();
+    let phase = 0;
+    let shownTarget = initial;
+
+    const animate = () => {
+      animationIdRef.current = requestAnimationFrame(animate);
+
+      const target = targetRef.current;
+      const delta = clock.getDelta();
+      const ease = Math.min(1, EASE * delta * 60);
+
+      current.orbScale += (target.orbScale - current.orbScale) * ease;
+      current.speed += (target.speed - current.speed) * ease;
+      orbMaterial.color.lerp(target.color, ease);
+      light.color.lerp(target.color, ease);
+
+      // Medium energy (2) moves at the original pace
+      const pace = current.speed / 2;
+      phase += delta * pace;
+
+      particlesMesh.rotation.y += delta * 0.2 * pace;
+      particlesMesh.rotation.x += delta * 0.1 * pace;
+
+      orb.rotation.x += delta * 0.5 * pace;
+      orb.rotation.y += delta * 0.3 * pace;
+      orb.scale.setScalar(current.orbScale * (1 + Math.sin(phase) * 0.2));
+
+      const positions = particlesGeometry.attributes.position.array;
+      for (let i = 0; i < PARTICLE_COUNT; i++) {
+        const i3 = i * 3;
+        positions[i3 + 1] += Math.sin(phase + positions[i3]) * 0.001;
+      }
+      particlesGeometry.attributes.position.needsUpdate = true;
+
+      // New role mix: work out each particle's band color once, then fade towards it
+      if (target !== shownTarget) {
+        shownTarget = target;
+        for (let i = 0; i < PARTICLE_COUNT; i++) {
+          target.colorFor(heightRatios[i]).toArray(target.particleColors, i * 3);
+        }
+      }
+      const colors = particlesGeometry.attributes.color.array;
+      let settled = true;
+      for (let i = 0; i < colors.length; i++) {
+        const gap = target.particleColors[i] - colors[i];
+        if (Math.abs(gap) > 0.002) {
+          colors[i] += gap * ease;
+          settled = false;
+        }
+      }
+      if (!settled) particlesGeometry.attributes.color.needsUpdate = true;
+
+      light.intensity = 1 + (current.speed - 1) * 0.5 + Math.sin(phase * 2) * 0.5;
+
+      renderer.render(scene, camera);
+    };
+
+    animate();
+
+    const handleResize = () => {
+      camera.aspect = mount.clientWidth / mount.clientHeight;
+      camera.updateProjectionMatrix();
+      renderer.setSize(mount.clientWidth, mount.clientHeight);
+    };
+
+    window.addEventListener('resize', handleResize);
+
+    return () => {
+      window.removeEventListener('resize', handleResize);
+      if (animationIdRef.current) {
+        cancelAnimationFrame(animationIdRef.current);
+      }
+      if (renderer.domElement.parentNode === mount) {
+        mount.removeChild(renderer.domElement);
+      }
+      particlesGeometry.dispose();
+      particlesMaterial.dispose();
+      orbGeometry.dispose();
+      orbMaterial.dispose();
+      renderer.dispose();
+    };
+  }, [onUnavailable]);
+
+  return (
+    <div 
+      ref={mountRef} 
+      className="three-container"
+      role="img"
+      aria-label={description}
+      style={{ 
+        width: '100%', 
+        height: '400px',
+        borderRadius: '15px',
+        overflow: 'hidden'
+      }}
+    />
+  );
+};
+
+export default EnergyScene3D;
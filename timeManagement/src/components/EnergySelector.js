@@ -1,7 +1,10 @@
 import React from 'react';
 import './EnergySelector.css';
+import { GENERAL_BUCKET } from '../data/defaultTasks';
+import { getLibraryTasks } from '../utils/taskLibrary';
+import { getOpenTasksForEnergy } from '../utils/tasks';
 
-const EnergySelector = ({ selectedEnergy, onEnergySelect }) => {
+const EnergySelector = ({ selectedEnergy, onEnergySelect, taskLibrary, tasks, onCompleteTask }) => {
   const energyLevels = [
     {
       id: 'high',
@@ -9,14 +12,7 @@ const EnergySelector = ({ selectedEnergy, onEnergySelect }) => {
       icon: 'fa-bolt',
       color: '#ff6b6b',
       gradient: 'linear-gradient(135deg, #ff6b6b 0%, #ee5a6f 100%)',
-      description: 'Thinking, building, decisions',
-      tasks: [
-        'Product architecture thinking',
-        'Writing PRD / roadmap',
-        'Solving hard problems',
-        'Making important decisions',
-        'Creative brainstorming'
-      ]
+      description: 'Thinking, building, decisions'
     },
     {
       id: 'medium',
@@ -24,14 +20,7 @@ const EnergySelector = ({ selectedEnergy, onEnergySelect }) => {
       icon: 'fa-battery-half',
       color: '#4ecdc4',
       gradient: 'linear-gradient(135deg, #4ecdc4 0%, #44a08d 100%)',
-      description: 'Writing, planning, reviewing',
-      tasks: [
-        'Office emails & reviews',
-        'Product documentation',
-        'Planning next steps',
-        'Code reviews',
-        'Team communication'
-      ]
+      description: 'Writing, planning, reviewing'
     },
     {
       id: 'low',
@@ -39,14 +28,7 @@ const EnergySelector = ({ selectedEnergy, onEnergySelect }) => {
       icon: 'fa-battery-quarter',
       color: '#95a5a6',
       gradient: 'linear-gradient(135deg, #95a5a6 0%, #7f8c8d 100%)',
-      description: 'Learning, listening, organising',
-      tasks: [
-        'Listening to podcasts',
-        'Reading articles',
-        'Reviewing ideas',
-        'Watching tutorials',
-        'Light organizing'
-      ]
+      description: 'Learning, listening, organising'
     }
   ];
 
@@ -80,17 +62,46 @@ const EnergySelector = ({ selectedEnergy, onEnergySelect }) => {
                 <h3 className="card-title fw-bold mb-3">{energy.name}</h3>
                 <p className="card-text mb-4">{energy.description}</p>
                 
-                {selectedEnergy === energy.id && (
+                {selectedEnergy === energy.id && getOpenTasksForEnergy(tasks, energy.id).length > 0 && (
+                  <div className="tasks-list animate__animated animate__fadeIn">
+                    <h5 className="mb-3">
+                      <i className="fas fa-clipboard-check me-2"></i>
+                      Your Open Tasks That Fit:
+                    </h5>
+                    <ul className="list-unstyled text-start">
+                      {getOpenTasksForEnergy(tasks, energy.id).map((task) => (
+                        <li key={task.id} className="mb-2 d-flex align-items-center">
+                          <span className="flex-grow-1">
+                            <i className="fas fa-circle-notch me-2"></i>
+                            {task.title}
+                          </span>
+                          <button
+                            className="btn btn-sm btn-light ms-2"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              onCompleteTask(task.id);
+                            }}
+                            title="Mark done"
+                          >
+                            <i className="fas fa-check"></i>
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {selectedEnergy === energy.id && getOpenTasksForEnergy(tasks, energy.id).length === 0 && (
                   <div className="tasks-list animate__animated animate__fadeIn">
                     <h5 className="mb-3">
                       <i className="fas fa-tasks me-2"></i>
                       Suggested Tasks:
                     </h5>
                     <ul className="list-unstyled text-start">
-                      {energy.tasks.map((task, idx) => (
-                        <li key={idx} className="mb-2">
+                      {getLibraryTasks(taskLibrary, GENERAL_BUCKET, energy.id).map((task) => (
+                        <li key={task.id} className="mb-2">
                           <i className="fas fa-check-circle me-2"></i>
-                          {task}
+                          {task.text}
                         </li>
                       ))}
                     </ul>
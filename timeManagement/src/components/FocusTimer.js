@@ -0,0 +1,345 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './FocusTimer.css';
+import usePersistentState from '../hooks/usePersistentState';
+import { STORAGE_KEYS } from '../utils/storage';
+import { formatTime, formatDuration } from '../utils/dates';
+import { getActiveRoles, findRole } from '../utils/roles';
+import { isOpen } from '../utils/tasks';
+import {
+  FOCUS_PRESETS,
+  defaultFocusMinutes,
+  defaultBreakMinutes,
+  startFocus,
+  remainingSeconds,
+  finishFocus,
+  startBreak,
+  focusedMinutes,
+  focusToday
+} from '../utils/focus';
+import {
+  notificationsSupported,
+  notificationPermission,
+  requestNotificationPermission,
+  notify
+} from '../utils/notifications';
+
+const LOG_SIZE = 8;
+
+const energyNames = { high: 'High', medium: 'Medium', low: 'Low' };
+
+const formatClock = (seconds) =>
+  `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+
+const FocusTimer = ({ roles, tasks, currentEnergy, currentRole, onCompleteTask }) => {
+  const [log, setLog] = usePersistentState(STORAGE_KEYS.focusSessions, []);
+  const [active, setActive] = usePersistentState(STORAGE_KEYS.activeFocus, null);
+  const [notificationsOn, setNotificationsOn] = usePersistentState(STORAGE_KEYS.focusNotifications, false);
+  const [taskId, setTaskId] = useState('');
+  const [taskTitle, setTaskTitle] = useState('');
+  const [roleId, setRoleId] = useState(currentRole || '');
+  const [minutes, setMinutes] = useState(null);
+  const [finished, setFinished] = useState(null);
+  const [permissionNote, setPermissionNote] = useState('');
+  const [now, setNow] = useState(new Date());
+
+  const openTasks = tasks.filter(isOpen);
+  const activeRoles = getActiveRoles(roles);
+  const focusMinutes = minutes || defaultFocusMinutes(currentEnergy);
+  const remaining = active ? remainingSeconds(active, now) : 0;
+
+  // The role question in Daily Control carries over until a role is picked here
+  useEffect(() => {
+    if (currentRole) setRoleId((prev) => prev || currentRole);
+  }, [currentRole]);
+
+  // Tick while a session or break runs; start times are persisted, so a reload resumes it
+  useEffect(() => {
+    if (!active) return undefined;
+    const interval = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(interval);
+  }, [active]);
+
+  const alertUser = useCallback((title, body) => {
+    if (notificationsOn) notify(title, body);
+  }, [notificationsOn]);
+
+  const endFocus = useCallback((session) => {
+    const done = finishFocus(session);
+    setLog((prev) => [...prev, done]);
+    setActive(null);
+    setFinished(done);
+    if (done.completed) {
+      alertUser('Focus session done', `Time for a ${defaultBreakMinutes(done.energy)}-minute break.`);
+    }
+  }, [alertUser, setLog, setActive]);
+
+  useEffect(() => {
+    if (!active || remaining > 0) return;
+    if (active.phase === 'focus') {
+      endFocus(active);
+    } else {
+      setActive(null);
+      setFinished(null);
+      alertUser('Break is over', 'Ready for another focus session?');
+    }
+  }, [active, remaining, endFocus, alertUser, setActive]);
+
+  const handleTaskChange = (value) => {
+    setTaskId(value);
+    const task = openTasks.find((t) => t.id === value);
+    if (task) {
+      setTaskTitle(task.title);
+      if (task.role) setRoleId(task.role);
+    } else {
+      setTaskTitle('');
+    }
+  };
+
+  const handleStart = () => {
+    setNow(new Date());
+    setFinished(null);
+    setActive(startFocus({
+      minutes: focusMinutes,
+      taskId,
+      taskTitle,
+      role: roleId,
+      energy: currentEnergy
+    }));
+  };
+
+  const handleNotificationsToggle = () => {
+    if (notificationsOn) {
+      setNotificationsOn(false);
+      return;
+    }
+    requestNotificationPermission().then((permission) => {
+      setNotificationsOn(permission === 'granted');
+      setPermissionNote(permission === 'granted' ? '' : 'Notifications are blocked in this browser.');
+    });
+  };
+
+  const today = focusToday(log);
+  const recent = [...log]
+    .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+    .slice(0, LOG_SIZE);
+  const finishedTaskOpen = finished && finished.taskId && openTasks.some((t) => t.id === finished.taskId);
+  const activeRole = active && findRole(roles, active.role);
+
+  return (
+    <div id="focus" className="focus-timer-section">
+      <div className="text-center mb-4 animate__animated animate__fadeInDown">
+        <h2 className="display-5 text-white fw-bold mb-3">
+          <i className="fas fa-hourglass-half me-2"></i>
+          Focus Sessions
+        </h2>
+        <p className="lead text-white-50">
+          Sessions sized to your energy. Small enough to start, with a break built in.
+        </p>
+      </div>
+
+      <div className="row g-4">
+        <div className="col-lg-7">
+          <div className="focus-card">
+            {active && active.phase === 'focus' && (
+              <div className="text-center animate__animated animate__fadeIn">
+                <p className="text-muted mb-1">
+                  {active.taskTitle || 'Focus'}
+                  {activeRole && <> · <i className={`fas ${activeRole.icon} me-1`}></i>{activeRole.name}</>}
+                </p>
+                <div className="focus-clock">{formatClock(remaining)}</div>
+                <div className="progress focus-progress mb-3">
+                  <div
+                    className="progress-bar"
+                    style={{ width: `${100 - (remaining / (active.plannedMinutes * 60)) * 100}%` }}
+                  ></div>
+                </div>
+                <button className="btn btn-outline-danger" onClick={() => endFocus(active)}>
+                  <i className="fas fa-stop me-2"></i>
+                  End early
+                </button>
+              </div>
+            )}
+
+            {active && active.phase === 'break' && (
+              <div className="text-center focus-break animate__animated animate__fadeIn">
+                <p className="text-muted mb-1">Break</p>
+                <div className="focus-clock break">{formatClock(remaining)}</div>
+                <p className="lead mb-3">
+                  <i className="fas fa-mug-hot me-2"></i>
+                  {active.prompt}
+                </p>
+                <button
+                  className="btn btn-outline-secondary"
+                  onClick={() => {
+                    setActive(null);
+                    setFinished(null);
+                  }}
+                >
+                  End break
+                </button>
+              </div>
+            )}
+
+            {!active && finished && (
+              <div className="focus-finished animate__animated animate__fadeIn">
+                <h5 className="fw-bold">
+                  <i className={`fas ${finished.completed ? 'fa-check-circle text-success' : 'fa-flag text-warning'} me-2`}></i>
+                  {finished.completed ? 'Session complete!' : 'Session ended early'}
+                </h5>
+                <p>
+                  {formatDuration(focusedMinutes(finished))} of focus
+                  {finished.taskTitle && <> on <strong>{finished.taskTitle}</strong></>}.
+                  {finished.completed ? ' Step away for a few minutes before the next one.' : ' Any progress counts.'}
+                </p>
+                <div className="d-flex flex-wrap gap-2">
+                  {finishedTaskOpen && (
+                    <button
+                      className="btn btn-success"
+                      onClick={() => {
+                        onCompleteTask(finished.taskId);
+                        setTaskId('');
+                        setTaskTitle('');
+                      }}
+                    >
+                      <i className="fas fa-check me-2"></i>
+                      Mark task done
+                    </button>
+                  )}
+                  <button
+                    className="btn btn-primary focus-start-btn"
+                    onClick={() => {
+                      setNow(new Date());
+                      setActive(startBreak(finished, finished.energy));
+                    }}
+                  >
+                    <i className="fas fa-mug-hot me-2"></i>
+                    Take a {defaultBreakMinutes(finished.energy)}-min break
+                  </button>
+                  <button className="btn btn-outline-secondary" onClick={() => setFinished(null)}>
+                    Skip break
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {!active && !finished && (
+              <div>
+                <p className="mb-3">
+                  <i className="fas fa-bolt me-2 text-warning"></i>
+                  {currentEnergy
+                    ? <>{energyNames[currentEnergy]} energy: <strong>{defaultFocusMinutes(currentEnergy)} min</strong> focus, {defaultBreakMinutes(currentEnergy)} min break.</>
+                    : <>Pick your energy level above to size sessions. Until then: {defaultFocusMinutes(null)} min.</>}
+                </p>
+
+                <div className="row g-2 mb-3">
+                  <div className="col-md-6">
+                    <label className="form-label small text-muted">Working on</label>
+                    <select
+                      className="form-select"
+                      value={taskId}
+                      onChange={(e) => handleTaskChange(e.target.value)}
+                    >
+                      <option value="">Something else...</option>
+                      {openTasks.map((task) => (
+                        <option key={task.id} value={task.id}>{task.title}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="col-md-6">
+                    <label className="form-label small text-muted">Role</label>
+                    <select className="form-select" value={roleId} onChange={(e) => setRoleId(e.target.value)}>
+                      <option value="">No role</option>
+                      {activeRoles.map((role) => (
+                        <option key={role.id} value={role.id}>{role.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {!taskId && (
+                    <div className="col-12">
+                      <input
+                        type="text"
+                        className="form-control"
+                        placeholder="The smallest useful task, e.g. &quot;Draft the intro paragraph&quot;"
+                        value={taskTitle}
+                        onChange={(e) => setTaskTitle(e.target.value)}
+                      />
+                    </div>
+                  )}
+                </div>
+
+                <div className="focus-presets mb-3">
+                  {FOCUS_PRESETS.map((preset) => (
+                    <button
+                      key={preset}
+                      className={`btn btn-sm ${focusMinutes === preset ? 'btn-primary' : 'btn-outline-primary'}`}
+                      onClick={() => setMinutes(preset)}
+                    >
+                      {preset} min
+                    </button>
+                  ))}
+                </div>
+
+                <button className="btn btn-success btn-lg" onClick={handleStart}>
+                  <i className="fas fa-play me-2"></i>
+                  Start {focusMinutes}-min focus
+                </button>
+              </div>
+            )}
+
+            {notificationsSupported() && (
+              <div className="form-check form-switch mt-4">
+                <input
+                  className="form-check-input"
+                  type="checkbox"
+                  id="focus-notifications"
+                  checked={notificationsOn && notificationPermission() === 'granted'}
+                  onChange={handleNotificationsToggle}
+                />
+                <label className="form-check-label small" htmlFor="focus-notifications">
+                  Notify me when a session or break ends
+                </label>
+                {permissionNote && <div className="small text-danger">{permissionNote}</div>}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="col-lg-5">
+          <div className="focus-card">
+            <h5 className="fw-bold mb-3">
+              <i className="fas fa-list me-2"></i>
+              Session Log
+            </h5>
+            <div className="focus-today mb-3">
+              <span><strong>{today.sessions}</strong> sessions today</span>
+              <span><strong>{formatDuration(today.minutes)}</strong> focused</span>
+              <span><strong>{today.completed}</strong> full length</span>
+            </div>
+            {recent.length === 0 ? (
+              <p className="text-muted mb-0">Your finished sessions will show up here.</p>
+            ) : (
+              recent.map((session) => {
+                const role = findRole(roles, session.role);
+                return (
+                  <div key={session.id} className="focus-log-entry">
+                    <i className={`fas ${session.completed ? 'fa-check-circle text-success' : 'fa-flag text-warning'} me-2`}></i>
+                    <span className="focus-log-time">{formatTime(session.startedAt)}</span>
+                    <span className="flex-grow-1">{session.taskTitle || <em className="text-muted">Unnamed focus</em>}</span>
+                    {role && (
+                      <span className="focus-log-role" style={{ backgroundColor: role.color }}>{role.name}</span>
+                    )}
+                    <span className="text-muted small">
+                      {formatDuration(focusedMinutes(session))}/{formatDuration(session.plannedMinutes)}
+                    </span>
+                  </div>
+                );
+              })
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FocusTimer;
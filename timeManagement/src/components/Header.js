@@ -1,7 +1,29 @@
 import React, { useState } from 'react';
 import './Header.css';
+import { routeHref } from '../utils/routes';
 
-const Header = () => {
+const navItems = [
+  { route: 'energy', icon: 'fa-battery-full', label: 'Energy' },
+  { route: 'analytics', icon: 'fa-chart-bar', label: 'Patterns' },
+  { route: 'forecast', icon: 'fa-cloud-sun', label: 'Forecast' },
+  { route: 'meetings', icon: 'fa-calendar-day', label: 'Meetings' },
+  { route: 'roles', icon: 'fa-user-tie', label: 'Roles' },
+  { route: 'tasks', icon: 'fa-clipboard-check', label: 'Tasks' },
+  { route: 'planner', icon: 'fa-calendar-check', label: 'Plans' },
+  { route: 'review', icon: 'fa-clipboard-list', label: 'Review' },
+  { route: 'metro', icon: 'fa-subway', label: 'Metro' },
+  { route: 'control', icon: 'fa-question-circle', label: 'Control' },
+  { route: 'focus', icon: 'fa-hourglass-half', label: 'Focus' },
+  { route: 'reminders', icon: 'fa-bell', label: 'Reminders' },
+  { route: 'history', icon: 'fa-history', label: 'Journal' },
+  { route: 'theory', icon: 'fa-graduation-cap', label: 'Theory' },
+  { route: 'course', icon: 'fa-book-open', label: 'Course' },
+  { route: 'reflections', icon: 'fa-book-reader', label: 'Reflections' },
+  { route: 'sheet', icon: 'fa-table', label: 'Sheet' },
+  { route: 'data', icon: 'fa-database', label: 'Data' }
+];
+
+const Header = ({ currentRoute, reducedMotion, onToggleReducedMotion, online }) => {
   const [isOpen, setIsOpen] = useState(false);
 
   const toggleMenu = () => {
@@ -15,10 +37,16 @@ const Header = () => {
   return (
     <nav className="navbar navbar-expand-lg navbar-dark custom-navbar">
       <div className="container-fluid">
-        <a className="navbar-brand fw-bold" href="#">
+        <a className="navbar-brand fw-bold" href={routeHref('energy')}>
           <i className="fas fa-bolt me-2"></i>
           Energy Flow
         </a>
+        {!online && (
+          <span className="offline-badge me-auto" title="Everything you do is saved on this device">
+            <i className="fas fa-plane me-1"></i>
+            Offline
+          </span>
+        )}
         <button
           className="navbar-toggler"
           type="button"
@@ -29,37 +57,29 @@ const Header = () => {
         </button>
         <div className={`collapse navbar-collapse ${isOpen ? 'show' : ''}`} id="navbarNav">
           <ul className="navbar-nav ms-auto">
-            <li className="nav-item">
-              <a className="nav-link" href="#energy" onClick={handleLinkClick}>
-                <i className="fas fa-battery-full me-1"></i> Energy
-              </a>
-            </li>
-            <li className="nav-item">
-              <a className="nav-link" href="#roles" onClick={handleLinkClick}>
-                <i className="fas fa-user-tie me-1"></i> Roles
-              </a>
-            </li>
-            <li className="nav-item">
-              <a className="nav-link" href="#metro" onClick={handleLinkClick}>
-                <i className="fas fa-subway me-1"></i> Metro
-              </a>
-            </li>
-            <li className="nav-item">
-              <a className="nav-link" href="#control" onClick={handleLinkClick}>
-                <i className="fas fa-question-circle me-1"></i> Control
-              </a>
-            </li>
-            <li className="nav-item">
-              <a className="nav-link" href="#theory" onClick={handleLinkClick}>
-                <i className="fas fa-graduation-cap me-1"></i> Theory
-              </a>
-            </li>
-            <li className="nav-item">
-              <a className="nav-link" href="#course" onClick={handleLinkClick}>
-                <i className="fas fa-book-open me-1"></i> Course
-              </a>
-            </li>
+            {navItems.map((item) => (
+              <li key={item.route} className="nav-item">
+                <a
+                  className={`nav-link ${currentRoute === item.route ? 'active' : ''}`}
+                  href={routeHref(item.route)}
+                  aria-current={currentRoute === item.route ? 'page' : undefined}
+                  onClick={handleLinkClick}
+                >
+                  <i className={`fas ${item.icon} me-1`}></i> {item.label}
+                </a>
+              </li>
+            ))}
           </ul>
+          <button
+            type="button"
+            className={`btn btn-sm motion-toggle ms-lg-3 ${reducedMotion ? 'active' : ''}`}
+            onClick={onToggleReducedMotion}
+            aria-pressed={reducedMotion}
+            title={reducedMotion ? 'Animations are off' : 'Animations are on'}
+          >
+            <i className={`fas ${reducedMotion ? 'fa-pause-circle' : 'fa-play-circle'} me-1`}></i>
+            Reduce motion
+          </button>
         </div>
       </div>
     </nav>
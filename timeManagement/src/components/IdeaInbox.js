@@ -0,0 +1,323 @@
+import React, { useState, useEffect, useRef } from 'react';
+import './IdeaInbox.css';
+import VoiceNotePlayer from './VoiceNotePlayer';
+import { getActiveRoles, findRole } from '../utils/roles';
+import { IDEA_STATUS, getInbox } from '../utils/ideas';
+import { isRecordingSupported, saveVoiceNote } from '../utils/voiceNotes';
+import { TASK_SIZES } from '../utils/tasks';
+import { formatDay, formatTime } from '../utils/dates';
+
+const IdeaInbox = ({ roles, ideas, onAdd, onUpdate, onDelete, onConvert }) => {
+  const [view, setView] = useState('capture');
+  const [text, setText] = useState('');
+  const [role, setRole] = useState('');
+  const [isRecording, setIsRecording] = useState(false);
+  const [recording, setRecording] = useState(null);
+  const [recordError, setRecordError] = useState(null);
+  const [convertingId, setConvertingId] = useState(null);
+  const [taskDraft, setTaskDraft] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+  const recorderRef = useRef(null);
+  const startedAtRef = useRef(null);
+
+  const inbox = getInbox(ideas);
+  const archived = ideas.filter((idea) => idea.status === IDEA_STATUS.archived);
+  const activeRoles = getActiveRoles(roles);
+
+  // Release the microphone if the inbox unmounts mid-recording
+  useEffect(() => () => {
+    if (recorderRef.current && recorderRef.current.state !== 'inactive') {
+      recorderRef.current.stop();
+    }
+  }, []);
+
+  const startRecording = () => {
+    setRecordError(null);
+    navigator.mediaDevices.getUserMedia({ audio: true })
+      .then((stream) => {
+        const recorder = new MediaRecorder(stream);
+        const chunks = [];
+        recorder.ondataavailable = (e) => chunks.push(e.data);
+        recorder.onstop = () => {
+          stream.getTracks().forEach((track) => track.stop());
+          setRecording({
+            blob: new Blob(chunks, { type: recorder.mimeType || 'audio/webm' }),
+            seconds: Math.round((Date.now() - startedAtRef.current) / 1000)
+          });
+          setIsRecording(false);
+        };
+        recorderRef.current = recorder;
+        startedAtRef.current = Date.now();
+        recorder.start();
+        setIsRecording(true);
+      })
+      .catch(() => setRecordError('Microphone access was blocked. You can still type the idea.'));
+  };
+
+  const stopRecording = () => {
+    if (recorderRef.current) recorderRef.current.stop();
+  };
+
+  const handleCapture = (e) => {
+    e.preventDefault();
+    if (!text.trim() && !recording) return;
+    const idea = onAdd({
+      text,
+      role,
+      hasAudio: Boolean(recording),
+      audioSeconds: recording ? recording.seconds : 0
+    });
+    if (recording) {
+      saveVoiceNote(idea.id, recording.blob).catch(() => {
+        onUpdate(idea.id, { hasAudio: false });
+        setRecordError('The recording could not be saved on this device.');
+      });
+    }
+    setText('');
+    setRecording(null);
+  };
+
+  const startConverting = (idea) => {
+    setConvertingId(idea.id);
+    setTaskDraft({
+      title: idea.text || 'Follow up on voice note',
+      role: idea.role || '',
+      energy: 'medium',
+      size: 'small'
+    });
+  };
+
+  const handleConvert = (e) => {
+    e.preventDefault();
+    if (!taskDraft.title.trim()) return;
+    onConvert(convertingId, taskDraft);
+    setConvertingId(null);
+    setTaskDraft(null);
+  };
+
+  const renderIdea = (idea, actions) => {
+    const ideaRole = findRole(roles, idea.role);
+    return (
+      <li key={idea.id} className="idea-item">
+        <div className="d-flex justify-content-between align-items-start gap-2">
+          <div className="flex-grow-1">
+            <small className="text-muted d-block mb-1">
+              <i className="fas fa-clock me-1"></i>
+              {formatDay(idea.createdAt)}, {formatTime(idea.createdAt)}
+              {ideaRole && (
+                <span className="idea-role ms-2" style={{ backgroundColor: ideaRole.color }}>
+                  {ideaRole.name}
+                </span>
+              )}
+            </small>
+            {idea.text && <p className="mb-1">{idea.text}</p>}
+            {idea.hasAudio && <VoiceNotePlayer ideaId={idea.id} />}
+          </div>
+          <div className="idea-actions">{actions}</div>
+        </div>
+
+        {convertingId === idea.id && (
+          <form className="idea-convert-form row g-2 mt-2 animate__animated animate__fadeIn" onSubmit={handleConvert}>
+            <div className="col-md-5">
+              <input
+                type="text"
+                className="form-control form-control-sm"
+                value={taskDraft.title}
+                onChange={(e) => setTaskDraft({ ...taskDraft, title: e.target.value })}
+                aria-label="Task title"
+              />
+            </div>
+            <div className="col-md-2">
+              <select
+                className="form-select form-select-sm"
+                value={taskDraft.role}
+                onChange={(e) => setTaskDraft({ ...taskDraft, role: e.target.value })}
+                aria-label="Role"
+              >
+                <option value="">Any role</option>
+                {activeRoles.map((r) => (
+                  <option key={r.id} value={r.id}>{r.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="col-md-2">
+              <select
+                className="form-select form-select-sm"
+                value={taskDraft.energy}
+                onChange={(e) => setTaskDraft({ ...taskDraft, energy: e.target.value })}
+                aria-label="Energy required"
+              >
+                <option value="high">High energy</option>
+                <option value="medium">Medium energy</option>
+                <option value="low">Low energy</option>
+              </select>
+            </div>
+            <div className="col-md-2">
+              <select
+                className="form-select form-select-sm"
+                value={taskDraft.size}
+                onChange={(e) => setTaskDraft({ ...taskDraft, size: e.target.value })}
+                aria-label="Size"
+              >
+                {TASK_SIZES.map((size) => (
+                  <option key={size.id} value={size.id}>{size.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="col-md-1 d-grid">
+              <button type="submit" className="btn btn-sm btn-success" aria-label="Create task">
+                <i className="fas fa-check"></i>
+              </button>
+            </div>
+          </form>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div id="ideas" className="idea-inbox">
+      <div className="d-flex justify-content-between align-items-center flex-wrap gap-2 mb-3">
+        <h4 className="fw-bold mb-0">
+          <i className="fas fa-lightbulb me-2 text-warning"></i>
+          Idea Inbox
+        </h4>
+        <div className="btn-group" role="group" aria-label="Inbox view">
+          <button
+            className={`btn btn-sm ${view === 'capture' ? 'btn-warning' : 'btn-outline-warning'}`}
+            onClick={() => setView('capture')}
+          >
+            <i className="fas fa-pen me-1"></i>
+            Capture
+          </button>
+          <button
+            className={`btn btn-sm ${view === 'triage' ? 'btn-warning' : 'btn-outline-warning'}`}
+            onClick={() => setView('triage')}
+          >
+            <i className="fas fa-inbox me-1"></i>
+            Triage ({inbox.length})
+          </button>
+        </div>
+      </div>
+
+      {view === 'capture' && (
+        <form onSubmit={handleCapture} className="animate__animated animate__fadeIn">
+          <textarea
+            className="form-control mb-2"
+            rows="2"
+            placeholder="Dump the thought before the next station..."
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+          />
+          <div className="d-flex flex-wrap align-items-center gap-2">
+            {isRecordingSupported() && (
+              isRecording ? (
+                <button type="button" className="btn btn-danger recording-btn" onClick={stopRecording}>
+                  <i className="fas fa-stop me-2"></i>
+                  Stop
+                </button>
+              ) : (
+                <button type="button" className="btn btn-outline-danger" onClick={startRecording}>
+                  <i className="fas fa-microphone me-2"></i>
+                  {recording ? 'Re-record' : 'Voice note'}
+                </button>
+              )
+            )}
+            {recording && !isRecording && (
+              <span className="small text-muted">
+                <i className="fas fa-check-circle text-success me-1"></i>
+                {recording.seconds}s recorded
+              </span>
+            )}
+            <select
+              className="form-select form-select-sm idea-role-select"
+              value={role}
+              onChange={(e) => setRole(e.target.value)}
+              aria-label="Role tag"
+            >
+              <option value="">No role tag</option>
+              {activeRoles.map((r) => (
+                <option key={r.id} value={r.id}>{r.name}</option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              className="btn btn-warning ms-auto"
+              disabled={isRecording || (!text.trim() && !recording)}
+            >
+              <i className="fas fa-inbox me-2"></i>
+              Save Idea
+            </button>
+          </div>
+          {recordError && <p className="small text-danger mt-2 mb-0">{recordError}</p>}
+          {inbox.length > 0 && (
+            <p className="small text-muted mt-2 mb-0">
+              {inbox.length} idea{inbox.length === 1 ? '' : 's'} waiting for triage.
+            </p>
+          )}
+        </form>
+      )}
+
+      {view === 'triage' && (
+        <div className="animate__animated animate__fadeIn">
+          <ul className="list-unstyled mb-0">
+            {inbox.map((idea) => renderIdea(idea, (
+              <>
+                <button
+                  className="btn btn-sm btn-outline-success"
+                  onClick={() => startConverting(idea)}
+                  title="Turn into a task"
+                >
+                  <i className="fas fa-clipboard-check"></i>
+                </button>
+                <button
+                  className="btn btn-sm btn-outline-secondary"
+                  onClick={() => onUpdate(idea.id, { status: IDEA_STATUS.archived })}
+                  title="Archive"
+                >
+                  <i className="fas fa-archive"></i>
+                </button>
+              </>
+            )))}
+            {inbox.length === 0 && (
+              <li className="text-muted small">Inbox zero. Nothing left to triage.</li>
+            )}
+          </ul>
+
+          {archived.length > 0 && (
+            <div className="mt-3">
+              <button className="btn btn-sm btn-link px-0" onClick={() => setShowArchived(!showArchived)}>
+                <i className={`fas fa-chevron-${showArchived ? 'up' : 'down'} me-1`}></i>
+                Archived ({archived.length})
+              </button>
+              {showArchived && (
+                <ul className="list-unstyled mt-2 mb-0">
+                  {archived.map((idea) => renderIdea(idea, (
+                    <>
+                      <button
+                        className="btn btn-sm btn-outline-primary"
+                        onClick={() => onUpdate(idea.id, { status: IDEA_STATUS.inbox })}
+                        title="Back to inbox"
+                      >
+                        <i className="fas fa-undo"></i>
+                      </button>
+                      <button
+                        className="btn btn-sm btn-outline-danger"
+                        onClick={() => onDelete(idea.id)}
+                        title="Delete for good"
+                      >
+                        <i className="fas fa-trash"></i>
+                      </button>
+                    </>
+                  )))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default IdeaInbox;
@@ -0,0 +1,157 @@
+import React from 'react';
+import QuizBlock from './QuizBlock';
+import ReflectionBlock from './ReflectionBlock';
+import { entryKey, recordQuizAnswer, clearQuizAnswer, saveReflection } from '../utils/learning';
+
+const BlockTitle = ({ title, icon }) => {
+  if (!title) return null;
+  return (
+    <h5>
+      {icon && <i className={`fas ${icon} me-2`}></i>}
+      {title}
+    </h5>
+  );
+};
+
+const listIcons = {
+  check: 'fa-check-circle text-success',
+  cross: 'fa-times-circle text-danger'
+};
+
+const blockRenderers = {
+  paragraph: (block) => {
+    if (block.variant === 'intro') {
+      return (
+        <div className="content-block intro-block">
+          <p className="lead">{block.text}</p>
+        </div>
+      );
+    }
+    return (
+      <div className="content-block">
+        <p>
+          {block.label && <strong>{block.label}:</strong>} {block.text}
+        </p>
+      </div>
+    );
+  },
+
+  heading: (block) => (
+    <div className="content-block">
+      <BlockTitle title={block.text} icon={block.icon} />
+    </div>
+  ),
+
+  list: (block) => {
+    if (block.variant === 'tiles') {
+      return (
+        <div className="content-block metaphor-box">
+          <BlockTitle title={block.title} icon={block.icon} />
+          <div className="metaphor-items">
+            {block.items.map((item, idx) => (
+              <div key={idx} className="metaphor-item">
+                {item.icon && <i className={`fas ${item.icon} me-2`}></i>}
+                <strong>{item.text}</strong>
+              </div>
+            ))}
+          </div>
+        </div>
+      );
+    }
+    return (
+      <div className="content-block">
+        <BlockTitle title={block.title} icon={block.icon} />
+        <ul>
+          {block.items.map((item, idx) => (
+            <li key={idx}>
+              <i className={`fas ${listIcons[block.marker] || listIcons.check} me-2`}></i>
+              {item}
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  },
+
+  callout: (block) => (
+    <div className="content-block highlight-box">
+      <BlockTitle title={block.title} icon={block.icon} />
+      <p className="highlight-text">{block.text}</p>
+    </div>
+  ),
+
+  'plan-cards': (block) => (
+    <div className="content-block">
+      <BlockTitle title={block.title} icon={block.icon} />
+      <div className="plans-grid">
+        {block.items.map((plan, idx) => (
+          <div key={idx} className="plan-card">
+            <h6><i className="fas fa-star me-2"></i>{plan.name}</h6>
+            <p className="small">{plan.description}</p>
+          </div>
+        ))}
+      </div>
+    </div>
+  ),
+
+  quote: (block) => (
+    <div className="content-block">
+      <blockquote className="lesson-quote">
+        <i className="fas fa-quote-left me-2"></i>
+        {block.text}
+      </blockquote>
+    </div>
+  ),
+
+  action: (block) => (
+    <div className="content-block text-center">
+      <a className="btn btn-primary lesson-tool-btn" href={block.href}>
+        {block.icon && <i className={`fas ${block.icon} me-2`}></i>}
+        {block.label}
+      </a>
+    </div>
+  ),
+
+  quiz: (block, { key, owner, learning, onLearningChange }) => (
+    <div className="content-block">
+      <QuizBlock
+        block={block}
+        answer={learning.quizzes[key]}
+        onAnswer={(option) => onLearningChange(recordQuizAnswer(learning, key, {
+          owner,
+          question: block.question,
+          choice: option.text,
+          correct: Boolean(option.correct)
+        }))}
+        onRetry={() => onLearningChange(clearQuizAnswer(learning, key))}
+      />
+    </div>
+  ),
+
+  reflection: (block, { key, owner, learning, onLearningChange }) => (
+    <div className="content-block">
+      <ReflectionBlock
+        block={block}
+        reflection={learning.reflections[key]}
+        onSave={(text) => onLearningChange(saveReflection(learning, key, { owner, prompt: block.prompt, text }))}
+      />
+    </div>
+  )
+};
+
+// owner is the lesson or principle the blocks belong to: { id, title, source }
+const LessonBlocks = ({ blocks, owner, learning, onLearningChange }) => {
+  return (
+    <>
+      {blocks.map((block, idx) => {
+        // Unknown block types are skipped so newer lesson files don't break older builds
+        const render = blockRenderers[block.type];
+        if (!render) return null;
+        const context = { key: entryKey(owner.id, block, idx), owner, learning, onLearningChange };
+        return <React.Fragment key={idx}>{render(block, context)}</React.Fragment>;
+      })}
+    </>
+  );
+};
+
+export default LessonBlocks;
@@ -0,0 +1,266 @@
+import React, { useState } from 'react';
+import './MeetingTimeline.css';
+import usePersistentState from '../hooks/usePersistentState';
+import { STORAGE_KEYS, saveState, removeState } from '../utils/storage';
+import { ENERGY_COLORS } from '../utils/analytics';
+import { addDays, startOfDay, formatDay, formatTime } from '../utils/dates';
+import { forecastDay, forecastBlocks, FORECAST_START_HOUR, FORECAST_END_HOUR } from '../utils/forecast';
+import { parseIcs, upcomingEvents, eventsOnDay, overlayMeetings } from '../utils/calendar';
+import { findRole } from '../utils/roles';
+
+const levelNames = {
+  high: 'High',
+  medium: 'Medium',
+  low: 'Low'
+};
+
+const SPAN_MINUTES = (FORECAST_END_HOUR - FORECAST_START_HOUR) * 60;
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+// Horizontal position of a time on the timeline, clamped to the visible hours
+const toPercent = (date, day) => {
+  const start = new Date(day);
+  start.setHours(FORECAST_START_HOUR, 0, 0, 0);
+  const minutes = (new Date(date) - start) / 60000;
+  return Math.min(100, Math.max(0, (minutes / SPAN_MINUTES) * 100));
+};
+
+const MeetingTimeline = ({ roles, checkIns }) => {
+  const [calendar, setCalendar] = usePersistentState(STORAGE_KEYS.calendar, null);
+  const [dayOffset, setDayOffset] = useState(0);
+  const [importError, setImportError] = useState(null);
+
+  const day = startOfDay(addDays(new Date(), dayOffset));
+  const dayEvents = calendar ? eventsOnDay(calendar.events, day) : [];
+  const allDayEvents = dayEvents.filter((event) => event.allDay);
+  const timedEvents = dayEvents.filter((event) => !event.allDay);
+  const hours = overlayMeetings(forecastDay(checkIns, day), dayEvents, day);
+  const blocks = forecastBlocks(hours, roles);
+  const highHours = hours.filter((h) => h.level === 'high');
+  const conflicts = hours.filter((h) => h.conflict);
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text()
+      .then((text) => {
+        const parsed = parseIcs(text);
+        if (parsed.length === 0) {
+          setImportError(`No events found in ${file.name}. Is it an iCalendar (.ics) file?`);
+          return;
+        }
+        const events = upcomingEvents(parsed);
+        if (events.length === 0) {
+          setImportError(`${file.name} has no events from today on.`);
+          return;
+        }
+        const next = { fileName: file.name, importedAt: new Date().toISOString(), events };
+        // Save here rather than only through usePersistentState, to find out whether it fit
+        if (saveState(STORAGE_KEYS.calendar, next)) {
+          setImportError(null);
+        } else {
+          // Don't let an older calendar come back on reload in its place
+          removeState(STORAGE_KEYS.calendar);
+          setImportError(`${file.name} is too large to keep in this browser. Its meetings show until the page is reloaded.`);
+        }
+        setCalendar(next);
+      })
+      .catch(() => setImportError(`${file.name} could not be read.`));
+  };
+
+  return (
+    <div id="meetings" className="meeting-timeline-section">
+      <div className="text-center mb-4 animate__animated animate__fadeInDown">
+        <h2 className="display-5 text-white fw-bold mb-3">
+          <i className="fas fa-calendar-day me-2"></i>
+          Meetings & Energy
+        </h2>
+        <p className="lead text-white-50">
+          Office, commute and meetings are part of the system. See where they land on your energy.
+        </p>
+      </div>
+
+      <div className="timeline-card animate__animated animate__fadeInUp">
+        <div className="d-flex justify-content-between align-items-center flex-wrap gap-3 mb-3">
+          <div>
+            <label className="btn btn-primary mb-0">
+              <i className="fas fa-file-import me-2"></i>
+              {calendar ? 'Replace Calendar' : 'Import .ics File'}
+              <input type="file" accept=".ics,text/calendar" className="d-none" onChange={handleFile} />
+            </label>
+            {calendar && (
+              <button className="btn btn-outline-secondary ms-2" onClick={() => setCalendar(null)}>
+                <i className="fas fa-times me-2"></i>
+                Clear
+              </button>
+            )}
+          </div>
+          <div className="btn-group" role="group" aria-label="Timeline day">
+            {['Today', 'Tomorrow'].map((label, offset) => (
+              <button
+                key={label}
+                className={`btn ${dayOffset === offset ? 'btn-primary' : 'btn-outline-primary'}`}
+                onClick={() => setDayOffset(offset)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {importError && <p className="small text-danger">{importError}</p>}
+        <p className="small text-muted">
+          {calendar
+            ? `${calendar.fileName} · ${calendar.events.length} events · read on this device, nothing is uploaded.`
+            : 'Export your calendar as an .ics file and import it here. It is read on this device and never uploaded.'}
+        </p>
+
+        <h5 className="fw-bold mb-3">{formatDay(day)}</h5>
+
+        {allDayEvents.length > 0 && (
+          <div className="timeline-all-day mb-3">
+            {allDayEvents.map((event) => (
+              <span key={`${event.uid}-${event.start}`} className="timeline-all-day-item">
+                <i className="fas fa-calendar me-1"></i>
+                {event.summary}
+              </span>
+            ))}
+          </div>
+        )}
+
+        <div className="timeline-grid">
+          <div className="timeline-lane">
+            <span className="timeline-lane-label">Energy</span>
+            <div className="timeline-track">
+              {hours.map((h) => (
+                <div
+                  key={h.hour}
+                  className={`timeline-hour ${h.conflict ? 'conflict' : ''}`}
+                  style={{
+                    backgroundColor: h.level ? ENERGY_COLORS[h.level] : 'transparent',
+                    opacity: h.level ? 0.4 + h.confidence * 0.6 : 1
+                  }}
+                  title={`${formatHour(h.hour)}: ${h.level ? `${levelNames[h.level]} energy` : 'no forecast yet'}${h.meetingMinutes ? `, ${h.meetingMinutes} min in meetings` : ''}`}
+                >
+                  {h.conflict && <i className="fas fa-exclamation"></i>}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="timeline-lane">
+            <span className="timeline-lane-label">Role</span>
+            <div className="timeline-track">
+              {blocks.map((block) => {
+                const role = findRole(roles, block.role);
+                if (!role || role.archived) return null;
+                return (
+                  <div
+                    key={block.start}
+                    className="timeline-bar"
+                    style={{
+                      left: `${((block.start - FORECAST_START_HOUR) / (FORECAST_END_HOUR - FORECAST_START_HOUR)) * 100}%`,
+                      width: `${((block.end - block.start) / (FORECAST_END_HOUR - FORECAST_START_HOUR)) * 100}%`,
+                      backgroundColor: role.color
+                    }}
+                    title={`${formatHour(block.start)} - ${formatHour(block.end)}: ${role.name}`}
+                  >
+                    <i className={`fas ${role.icon}`}></i>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          <div className="timeline-lane">
+            <span className="timeline-lane-label">Meetings</span>
+            <div className="timeline-track">
+              {timedEvents.map((event) => (
+                <div
+                  key={`${event.uid}-${event.start}`}
+                  className={`timeline-bar timeline-meeting ${event.busy ? '' : 'free'}`}
+                  style={{
+                    left: `${toPercent(event.start, day)}%`,
+                    width: `${Math.max(0.5, toPercent(event.end, day) - toPercent(event.start, day))}%`
+                  }}
+                  title={`${formatTime(event.start)} - ${formatTime(event.end)}: ${event.summary}`}
+                ></div>
+              ))}
+            </div>
+          </div>
+
+          <div className="timeline-lane">
+            <span className="timeline-lane-label"></span>
+            <div className="timeline-track timeline-axis">
+              {hours.filter((h) => h.hour % 3 === 0).map((h) => (
+                <span
+                  key={h.hour}
+                  style={{ left: `${((h.hour - FORECAST_START_HOUR) / (FORECAST_END_HOUR - FORECAST_START_HOUR)) * 100}%` }}
+                >
+                  {h.hour}
+                </span>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div className="row g-4 mt-1">
+          <div className="col-lg-6">
+            <h6 className="fw-bold">
+              <i className="fas fa-bolt me-2 text-danger"></i>
+              High-Energy Slots
+            </h6>
+            {highHours.length === 0 ? (
+              <p className="small text-muted mb-0">
+                No high-energy hours forecast for this day yet. Check-ins with an energy level build the forecast.
+              </p>
+            ) : (
+              <>
+                <p className="small mb-2">
+                  {conflicts.length} of {highHours.length} high-energy hour{highHours.length === 1 ? ' is' : 's are'} taken by meetings.
+                </p>
+                {conflicts.map((h) => (
+                  <div key={h.hour} className="timeline-conflict">
+                    <strong>{formatHour(h.hour)}</strong>
+                    {' · '}{h.meetings.map((event) => event.summary).join(', ')}
+                  </div>
+                ))}
+                {conflicts.length > 0 && (
+                  <p className="small text-muted mt-2 mb-0">
+                    Try moving one of these, or keep its prep light and save deep work for a free high slot.
+                  </p>
+                )}
+              </>
+            )}
+          </div>
+          <div className="col-lg-6">
+            <h6 className="fw-bold">
+              <i className="fas fa-users me-2 text-primary"></i>
+              Meetings
+            </h6>
+            {timedEvents.length === 0 ? (
+              <p className="small text-muted mb-0">
+                {calendar ? 'Nothing booked - a good day for deep work.' : 'No calendar imported yet.'}
+              </p>
+            ) : (
+              <ul className="list-unstyled small mb-0">
+                {timedEvents.map((event) => (
+                  <li key={`${event.uid}-${event.start}`} className="timeline-meeting-item">
+                    <strong>{formatTime(event.start)} - {formatTime(event.end)}</strong>
+                    {' · '}{event.summary}
+                    {!event.busy && <span className="text-muted"> (free)</span>}
+                    {event.location && <span className="d-block text-muted">{event.location}</span>}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MeetingTimeline;
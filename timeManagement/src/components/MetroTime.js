@@ -1,8 +1,26 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import './MetroTime.css';
+import CommuteSession from './CommuteSession';
+import IdeaInbox from './IdeaInbox';
 
-const MetroTime = () => {
-  const [isExpanded, setIsExpanded] = useState(false);
+const MetroTime = ({
+  roles,
+  ideas,
+  onAddIdea,
+  onUpdateIdea,
+  onDeleteIdea,
+  onConvertIdea,
+  practice,
+  onCommuteSaved
+}) => {
+  const [selectedCategory, setSelectedCategory] = useState(null);
+  const presetCategory = practice && practice.preset && practice.preset.category;
+  const practiceStartedAt = practice && practice.startedAt;
+
+  // Practising a principle here picks its suggested activity for the next session
+  useEffect(() => {
+    if (presetCategory) setSelectedCategory(presetCategory);
+  }, [presetCategory, practiceStartedAt]);
 
   const metroActivities = [
     {
@@ -80,12 +98,34 @@ const MetroTime = () => {
           </div>
         </div>
 
+        <CommuteSession
+          categories={metroActivities}
+          selectedCategory={selectedCategory}
+          onCategorySelect={setSelectedCategory}
+          onSessionSaved={onCommuteSaved}
+        />
+
+        <IdeaInbox
+          roles={roles}
+          ideas={ideas}
+          onAdd={onAddIdea}
+          onUpdate={onUpdateIdea}
+          onDelete={onDeleteIdea}
+          onConvert={onConvertIdea}
+        />
+
         <div className="row g-4 mb-4">
           {metroActivities.map((activity, index) => (
             <div key={index} className="col-md-6 col-lg-3">
               <div 
-                className="metro-activity-card animate__animated animate__fadeInUp"
-                style={{ animationDelay: `${index * 0.1}s` }}
+                className={`metro-activity-card animate__animated animate__fadeInUp ${
+                  selectedCategory === activity.category ? 'selected' : ''
+                }`}
+                style={{
+                  animationDelay: `${index * 0.1}s`,
+                  borderColor: selectedCategory === activity.category ? activity.color : undefined
+                }}
+                onClick={() => setSelectedCategory(activity.category)}
               >
                 <div className="activity-icon" style={{ color: activity.color }}>
                   <i className={`fas ${activity.icon}`}></i>
@@ -0,0 +1,112 @@
+import React from 'react';
+import './MyReflections.css';
+import { formatDay } from '../utils/dates';
+import { LEARNING_SOURCES, quizScore, learningJournal, removeReflection } from '../utils/learning';
+import { routeHref } from '../utils/routes';
+
+// Each entry links straight back to its lesson or theory card
+const sourceRoutes = {
+  lesson: 'course',
+  principle: 'theory'
+};
+
+const MyReflections = ({ learning, onChange }) => {
+  const score = quizScore(learning);
+  const journal = learningJournal(learning);
+  const reflectionCount = Object.keys(learning.reflections).length;
+
+  const handleDeleteReflection = (entry) => {
+    if (window.confirm('Delete this reflection?')) {
+      onChange(removeReflection(learning, entry.key));
+    }
+  };
+
+  return (
+    <div id="reflections" className="reflections-section">
+      <div className="text-center mb-4 animate__animated animate__fadeInDown">
+        <h2 className="display-5 text-white fw-bold mb-3">
+          <i className="fas fa-book-reader me-2"></i>
+          My Reflections
+        </h2>
+        <p className="lead text-white-50">
+          Your quiz results and written reflections from the course and the theory cards.
+        </p>
+      </div>
+
+      <div className="reflections-card animate__animated animate__fadeInUp">
+        <div className="row g-3 text-center mb-4">
+          <div className="col-md-4">
+            <div className="reflection-stat">
+              <span className="reflection-stat-value">{score.answered}</span>
+              <span className="reflection-stat-label">Quizzes answered</span>
+            </div>
+          </div>
+          <div className="col-md-4">
+            <div className="reflection-stat">
+              <span className="reflection-stat-value">{score.answered ? `${score.percent}%` : '-'}</span>
+              <span className="reflection-stat-label">Answered correctly</span>
+            </div>
+          </div>
+          <div className="col-md-4">
+            <div className="reflection-stat">
+              <span className="reflection-stat-value">{reflectionCount}</span>
+              <span className="reflection-stat-label">Reflections written</span>
+            </div>
+          </div>
+        </div>
+
+        {journal.length === 0 ? (
+          <p className="text-center text-muted mb-0">
+            <i className="fas fa-feather-alt me-2"></i>
+            Nothing here yet. Open a lesson or a theory card, answer its quiz and write a reflection.
+          </p>
+        ) : (
+          journal.map(group => (
+            <div key={group.id} className="reflection-group">
+              <div className="d-flex align-items-center justify-content-between flex-wrap gap-2 mb-2">
+                <h5 className="mb-0 fw-bold">
+                  <span className="reflection-source me-2">{LEARNING_SOURCES[group.source]}</span>
+                  {group.title}
+                </h5>
+                <a className="btn btn-sm btn-outline-primary" href={routeHref(sourceRoutes[group.source], group.ownerId)}>
+                  <i className="fas fa-arrow-right me-1"></i>
+                  Go to {LEARNING_SOURCES[group.source].toLowerCase()}
+                </a>
+              </div>
+
+              {group.quizzes.map(entry => (
+                <div key={entry.key} className="reflection-entry">
+                  <i className={`fas ${entry.correct ? 'fa-check-circle text-success' : 'fa-times-circle text-danger'} me-2`}></i>
+                  <span className="fw-semibold">{entry.question}</span>
+                  <div className="small text-muted ms-4">You answered: {entry.choice}</div>
+                </div>
+              ))}
+
+              {group.reflections.map(entry => (
+                <div key={entry.key} className="reflection-entry">
+                  <div className="d-flex justify-content-between gap-2">
+                    <span className="fw-semibold">
+                      <i className="fas fa-pen-fancy me-2"></i>
+                      {entry.prompt}
+                    </span>
+                    <button
+                      className="btn btn-sm btn-outline-danger"
+                      onClick={() => handleDeleteReflection(entry)}
+                      aria-label="Delete reflection"
+                    >
+                      <i className="fas fa-trash"></i>
+                    </button>
+                  </div>
+                  <p className="reflection-text mb-1">{entry.text}</p>
+                  <small className="text-muted">{formatDay(entry.updatedAt)}</small>
+                </div>
+              ))}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MyReflections;
@@ -0,0 +1,389 @@
+import React, { useState } from 'react';
+import './Planner.css';
+import { getActiveRoles, findRole } from '../utils/roles';
+import { toDateKey, addDays, startOfWeek, formatDay } from '../utils/dates';
+import {
+  addLongTermGoal,
+  addWeeklyGoal,
+  setDailyPriority,
+  updatePlanItem,
+  removePlanItem,
+  getDailyPriority,
+  getWeeklyGoals,
+  weeklyReview
+} from '../utils/plans';
+
+const Planner = ({ roles, plans, currentEnergy, onChange }) => {
+  const [activeTab, setActiveTab] = useState('daily');
+  const [dailyDraft, setDailyDraft] = useState({ title: '', weeklyGoalId: '' });
+  const [weeklyDraft, setWeeklyDraft] = useState({ title: '', role: '', longTermGoalId: '' });
+  const [longTermDraft, setLongTermDraft] = useState({ title: '', description: '' });
+  const [reviewWeek, setReviewWeek] = useState(toDateKey(startOfWeek(new Date())));
+
+  const thisWeek = toDateKey(startOfWeek(new Date()));
+  const today = getDailyPriority(plans);
+  const weeklyGoals = getWeeklyGoals(plans, thisWeek);
+  const longTermGoals = plans.longTerm.filter((goal) => !goal.archived);
+  const review = weeklyReview(plans, reviewWeek);
+
+  const tabs = [
+    { id: 'daily', name: 'Daily Direction', icon: 'fa-sun' },
+    { id: 'weekly', name: 'Weekly Alignment', icon: 'fa-calendar-week' },
+    { id: 'longTerm', name: 'Long-term Growth', icon: 'fa-mountain' },
+    { id: 'review', name: 'Weekly Review', icon: 'fa-clipboard-list' }
+  ];
+
+  const energyHints = {
+    high: 'You have high energy - start on it now while it lasts.',
+    medium: 'Medium energy is enough to make real progress. Take the first step.',
+    low: 'Low energy today? Find the smallest piece of it and do just that.'
+  };
+
+  const handleDailySubmit = (e) => {
+    e.preventDefault();
+    if (!dailyDraft.title.trim()) return;
+    onChange(setDailyPriority(plans, dailyDraft));
+    setDailyDraft({ title: '', weeklyGoalId: '' });
+  };
+
+  const handleWeeklySubmit = (e) => {
+    e.preventDefault();
+    if (!weeklyDraft.title.trim()) return;
+    onChange(addWeeklyGoal(plans, { ...weeklyDraft, weekStart: thisWeek }));
+    setWeeklyDraft({ ...weeklyDraft, title: '' });
+  };
+
+  const handleLongTermSubmit = (e) => {
+    e.preventDefault();
+    if (!longTermDraft.title.trim()) return;
+    onChange(addLongTermGoal(plans, longTermDraft));
+    setLongTermDraft({ title: '', description: '' });
+  };
+
+  const goalTitle = (type, id) => {
+    const goal = plans[type].find((item) => item.id === id);
+    return goal ? goal.title : null;
+  };
+
+  const renderRoleTag = (roleId) => {
+    const role = findRole(roles, roleId);
+    return role && (
+      <span className="plan-role-tag" style={{ backgroundColor: role.color }}>
+        <i className={`fas ${role.icon} me-1`}></i>
+        {role.name}
+      </span>
+    );
+  };
+
+  return (
+    <div id="planner" className="planner-section">
+      <div className="text-center mb-4 animate__animated animate__fadeInDown">
+        <h2 className="display-5 text-white fw-bold mb-3">
+          <i className="fas fa-calendar-check me-2"></i>
+          Your 3 Plans
+        </h2>
+        <p className="lead text-white-50">
+          One daily priority, weekly goals per role, and the long-term direction they serve.
+        </p>
+      </div>
+
+      <div className="planner-card animate__animated animate__fadeInUp">
+        <div className="planner-tabs mb-4">
+          {tabs.map((tab) => (
+            <button
+              key={tab.id}
+              className={`planner-tab ${activeTab === tab.id ? 'active' : ''}`}
+              onClick={() => setActiveTab(tab.id)}
+            >
+              <i className={`fas ${tab.icon} me-2`}></i>
+              {tab.name}
+            </button>
+          ))}
+        </div>
+
+        {activeTab === 'daily' && (
+          <div className="animate__animated animate__fadeIn">
+            {today ? (
+              <div className={`daily-priority ${today.done ? 'done' : ''}`}>
+                <small className="text-muted d-block mb-1">{formatDay(new Date())}</small>
+                <h3 className="fw-bold mb-2">{today.title}</h3>
+                {today.weeklyGoalId && goalTitle('weekly', today.weeklyGoalId) && (
+                  <p className="small text-muted mb-2">
+                    <i className="fas fa-link me-1"></i>
+                    Serves: {goalTitle('weekly', today.weeklyGoalId)}
+                  </p>
+                )}
+                {currentEnergy && !today.done && (
+                  <p className="small mb-3">
+                    <i className="fas fa-bolt me-1 text-warning"></i>
+                    {energyHints[currentEnergy]}
+                  </p>
+                )}
+                <button
+                  className={`btn btn-sm ${today.done ? 'btn-outline-secondary' : 'btn-success'}`}
+                  onClick={() => onChange(updatePlanItem(plans, 'daily', today.id, { done: !today.done }))}
+                >
+                  <i className={`fas ${today.done ? 'fa-undo' : 'fa-check'} me-2`}></i>
+                  {today.done ? 'Not done yet' : 'Done for today'}
+                </button>
+              </div>
+            ) : (
+              <p className="text-muted">No priority set for today. One clear thing is enough.</p>
+            )}
+
+            <form className="row g-2 mt-3" onSubmit={handleDailySubmit}>
+              <div className="col-md-6">
+                <input
+                  type="text"
+                  className="form-control"
+                  placeholder={today ? 'Change today\'s priority...' : 'Today\'s one important thing'}
+                  value={dailyDraft.title}
+                  onChange={(e) => setDailyDraft({ ...dailyDraft, title: e.target.value })}
+                />
+              </div>
+              <div className="col-md-4">
+                <select
+                  className="form-select"
+                  value={dailyDraft.weeklyGoalId}
+                  onChange={(e) => setDailyDraft({ ...dailyDraft, weeklyGoalId: e.target.value })}
+                  aria-label="Weekly goal"
+                >
+                  <option value="">Not linked to a weekly goal</option>
+                  {weeklyGoals.map((goal) => (
+                    <option key={goal.id} value={goal.id}>{goal.title}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-md-2 d-grid">
+                <button type="submit" className="btn btn-primary" disabled={!dailyDraft.title.trim()}>
+                  Set
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
+
+        {activeTab === 'weekly' && (
+          <div className="animate__animated animate__fadeIn">
+            <ul className="list-unstyled">
+              {weeklyGoals.map((goal) => (
+                <li key={goal.id} className={`plan-item ${goal.done ? 'done' : ''}`}>
+                  <button
+                    className="plan-check"
+                    onClick={() => onChange(updatePlanItem(plans, 'weekly', goal.id, { done: !goal.done }))}
+                    aria-label={goal.done ? 'Mark not done' : 'Mark done'}
+                  >
+                    <i className={goal.done ? 'fas fa-check-circle' : 'far fa-circle'}></i>
+                  </button>
+                  <span className="flex-grow-1">
+                    {goal.title}
+                    {goal.longTermGoalId && goalTitle('longTerm', goal.longTermGoalId) && (
+                      <small className="d-block text-muted">
+                        <i className="fas fa-mountain me-1"></i>
+                        {goalTitle('longTerm', goal.longTermGoalId)}
+                      </small>
+                    )}
+                  </span>
+                  {renderRoleTag(goal.role)}
+                  <button
+                    className="btn btn-sm btn-link text-danger"
+                    onClick={() => onChange(removePlanItem(plans, 'weekly', goal.id))}
+                    aria-label="Delete goal"
+                  >
+                    <i className="fas fa-trash"></i>
+                  </button>
+                </li>
+              ))}
+              {weeklyGoals.length === 0 && (
+                <li className="text-muted small">No goals for this week yet. Pick one or two per role.</li>
+              )}
+            </ul>
+
+            <form className="row g-2" onSubmit={handleWeeklySubmit}>
+              <div className="col-md-5">
+                <input
+                  type="text"
+                  className="form-control"
+                  placeholder="A goal for this week"
+                  value={weeklyDraft.title}
+                  onChange={(e) => setWeeklyDraft({ ...weeklyDraft, title: e.target.value })}
+                />
+              </div>
+              <div className="col-md-2">
+                <select
+                  className="form-select"
+                  value={weeklyDraft.role}
+                  onChange={(e) => setWeeklyDraft({ ...weeklyDraft, role: e.target.value })}
+                  aria-label="Role"
+                >
+                  <option value="">Any role</option>
+                  {getActiveRoles(roles).map((role) => (
+                    <option key={role.id} value={role.id}>{role.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-md-3">
+                <select
+                  className="form-select"
+                  value={weeklyDraft.longTermGoalId}
+                  onChange={(e) => setWeeklyDraft({ ...weeklyDraft, longTermGoalId: e.target.value })}
+                  aria-label="Long-term goal"
+                >
+                  <option value="">No long-term goal</option>
+                  {longTermGoals.map((goal) => (
+                    <option key={goal.id} value={goal.id}>{goal.title}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-md-2 d-grid">
+                <button type="submit" className="btn btn-primary" disabled={!weeklyDraft.title.trim()}>
+                  Add
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
+
+        {activeTab === 'longTerm' && (
+          <div className="animate__animated animate__fadeIn">
+            <div className="row g-3 mb-3">
+              {longTermGoals.map((goal) => (
+                <div key={goal.id} className="col-md-4">
+                  <div className="long-term-card">
+                    <h6 className="fw-bold">
+                      <i className="fas fa-star me-2"></i>
+                      {goal.title}
+                    </h6>
+                    {goal.description && <p className="small mb-2">{goal.description}</p>}
+                    <button
+                      className="btn btn-sm btn-link p-0 text-white-50"
+                      onClick={() => onChange(updatePlanItem(plans, 'longTerm', goal.id, { archived: true }))}
+                    >
+                      <i className="fas fa-archive me-1"></i>
+                      Archive
+                    </button>
+                  </div>
+                </div>
+              ))}
+              {longTermGoals.length === 0 && (
+                <p className="text-muted small">Big picture direction, without rigid timelines.</p>
+              )}
+            </div>
+
+            <form className="row g-2" onSubmit={handleLongTermSubmit}>
+              <div className="col-md-4">
+                <input
+                  type="text"
+                  className="form-control"
+                  placeholder="Long-term goal"
+                  value={longTermDraft.title}
+                  onChange={(e) => setLongTermDraft({ ...longTermDraft, title: e.target.value })}
+                />
+              </div>
+              <div className="col-md-6">
+                <input
+                  type="text"
+                  className="form-control"
+                  placeholder="Why it matters (optional)"
+                  value={longTermDraft.description}
+                  onChange={(e) => setLongTermDraft({ ...longTermDraft, description: e.target.value })}
+                />
+              </div>
+              <div className="col-md-2 d-grid">
+                <button type="submit" className="btn btn-primary" disabled={!longTermDraft.title.trim()}>
+                  Add
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
+
+        {activeTab === 'review' && (
+          <div className="animate__animated animate__fadeIn">
+            <div className="d-flex justify-content-between align-items-center mb-3">
+              <button
+                className="btn btn-sm btn-outline-primary"
+                onClick={() => setReviewWeek(toDateKey(addDays(new Date(`${reviewWeek}T12:00:00`), -7)))}
+                aria-label="Previous week"
+              >
+                <i className="fas fa-chevron-left"></i>
+              </button>
+              <h5 className="fw-bold mb-0">Week of {formatDay(`${reviewWeek}T12:00:00`)}</h5>
+              <button
+                className="btn btn-sm btn-outline-primary"
+                onClick={() => setReviewWeek(toDateKey(addDays(new Date(`${reviewWeek}T12:00:00`), 7)))}
+                disabled={reviewWeek >= thisWeek}
+                aria-label="Next week"
+              >
+                <i className="fas fa-chevron-right"></i>
+              </button>
+            </div>
+
+            {review.goals.length === 0 ? (
+              <p className="text-muted">No weekly goals were set for this week.</p>
+            ) : (
+              <div className="table-responsive">
+                <table className="table align-middle review-table">
+                  <thead>
+                    <tr>
+                      <th>Weekly goal</th>
+                      {review.days.map((day) => (
+                        <th key={day.key} className="text-center">{day.label}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {review.goals.map(({ goal, attentionDays, completedDays }) => (
+                      <tr key={goal.id} className={attentionDays.length === 0 ? 'no-attention' : ''}>
+                        <td>
+                          {goal.title} {renderRoleTag(goal.role)}
+                          {attentionDays.length === 0 && (
+                            <small className="d-block text-danger">No daily attention this week</small>
+                          )}
+                        </td>
+                        {review.days.map((day) => (
+                          <td key={day.key} className="text-center">
+                            {completedDays.includes(day.key) && <i className="fas fa-check-circle text-success"></i>}
+                            {attentionDays.includes(day.key) && !completedDays.includes(day.key) && (
+                              <i className="far fa-dot-circle text-primary"></i>
+                            )}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {review.unlinkedDays > 0 && (
+              <p className="small text-muted">
+                <i className="fas fa-unlink me-1"></i>
+                {review.unlinkedDays} daily priorit{review.unlinkedDays === 1 ? 'y was' : 'ies were'} not linked to a weekly goal.
+              </p>
+            )}
+
+            {review.longTerm.length > 0 && (
+              <div className="mt-3">
+                <h6 className="fw-bold mb-2">
+                  <i className="fas fa-mountain me-2"></i>
+                  Long-term goals this week
+                </h6>
+                {review.longTerm.map(({ goal, weeklyGoals: count, attentionDays }) => (
+                  <div key={goal.id} className="long-term-rollup">
+                    <span className="flex-grow-1">{goal.title}</span>
+                    <span className="small text-muted">
+                      {count} weekly goal{count === 1 ? '' : 's'} · {attentionDays} day{attentionDays === 1 ? '' : 's'} of attention
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Planner;
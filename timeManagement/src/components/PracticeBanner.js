@@ -0,0 +1,25 @@
+import React from 'react';
+import './PracticeBanner.css';
+import { routeHref } from '../utils/routes';
+
+const PracticeBanner = ({ practice, onCancel }) => {
+  if (!practice) return null;
+
+  return (
+    <div className="practice-banner animate__animated animate__fadeInUp" role="status">
+      <i className="fas fa-dumbbell practice-banner-icon"></i>
+      <div className="flex-grow-1">
+        <div className="small text-white-50">Practising: {practice.title}</div>
+        <div className="fw-bold">{practice.goal}</div>
+      </div>
+      <a className="btn btn-sm btn-light" href={routeHref(practice.tool)}>
+        Go
+      </a>
+      <button className="btn btn-sm btn-outline-light" onClick={onCancel} aria-label="Stop practising">
+        <i className="fas fa-times"></i>
+      </button>
+    </div>
+  );
+};
+
+export default PracticeBanner;
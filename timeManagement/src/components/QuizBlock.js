@@ -0,0 +1,53 @@
+import React from 'react';
+import './QuizBlock.css';
+
+const QuizBlock = ({ block, answer, onAnswer, onRetry }) => {
+  const chosenIndex = answer ? block.options.findIndex(option => option.text === answer.choice) : -1;
+
+  const optionClass = (option, idx) => {
+    if (!answer) return '';
+    if (option.correct) return 'correct';
+    return idx === chosenIndex ? 'wrong' : 'faded';
+  };
+
+  return (
+    <div className="quiz-block">
+      <h6 className="fw-bold mb-3">
+        <i className="fas fa-question-circle me-2"></i>
+        {block.question}
+      </h6>
+      <div className="quiz-options">
+        {block.options.map((option, idx) => (
+          <button
+            key={idx}
+            className={`quiz-option ${optionClass(option, idx)}`}
+            disabled={Boolean(answer)}
+            onClick={() => onAnswer(option)}
+          >
+            {answer && option.correct && <i className="fas fa-check-circle me-2"></i>}
+            {answer && idx === chosenIndex && !option.correct && <i className="fas fa-times-circle me-2"></i>}
+            {option.text}
+          </button>
+        ))}
+      </div>
+
+      {answer && (
+        <div className={`quiz-feedback ${answer.correct ? 'correct' : 'wrong'}`}>
+          <strong>{answer.correct ? 'Correct!' : 'Not quite.'}</strong>{' '}
+          {chosenIndex !== -1 && block.options[chosenIndex].explanation}
+          {!answer.correct && block.options.filter(option => option.correct).map((option, idx) => (
+            option.explanation && <div key={idx} className="mt-1">{option.explanation}</div>
+          ))}
+          <div className="mt-2">
+            <button className="btn btn-sm btn-outline-secondary" onClick={onRetry}>
+              <i className="fas fa-redo me-1"></i>
+              Try again
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuizBlock;
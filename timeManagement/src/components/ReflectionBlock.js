@@ -0,0 +1,45 @@
+import React, { useState, useEffect } from 'react';
+import './ReflectionBlock.css';
+import { formatDay } from '../utils/dates';
+
+const ReflectionBlock = ({ block, reflection, onSave }) => {
+  const savedText = reflection ? reflection.text : '';
+  const [draft, setDraft] = useState(savedText);
+
+  // Pick up edits made elsewhere, e.g. from the reflections page
+  useEffect(() => {
+    setDraft(savedText);
+  }, [savedText]);
+
+  return (
+    <div className="reflection-block">
+      <h6 className="fw-bold mb-2">
+        <i className="fas fa-pen-fancy me-2"></i>
+        Reflect
+      </h6>
+      <p className="mb-2">{block.prompt}</p>
+      <textarea
+        className="form-control mb-2"
+        rows="3"
+        placeholder="Write a few honest lines..."
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+      />
+      <div className="d-flex align-items-center justify-content-between flex-wrap gap-2">
+        <small className="text-muted">
+          {reflection ? `Saved ${formatDay(reflection.updatedAt)}` : 'Only stored on this device'}
+        </small>
+        <button
+          className="btn btn-sm btn-primary reflection-save-btn"
+          disabled={draft.trim() === savedText}
+          onClick={() => onSave(draft)}
+        >
+          <i className="fas fa-save me-1"></i>
+          Save reflection
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ReflectionBlock;
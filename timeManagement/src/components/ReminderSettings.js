@@ -0,0 +1,223 @@
+import React, { useState } from 'react';
+import './ReminderSettings.css';
+import { findRole } from '../utils/roles';
+import { formatDay, formatTime, toDateKey } from '../utils/dates';
+import {
+  notificationsSupported,
+  notificationPermission,
+  requestNotificationPermission
+} from '../utils/notifications';
+import {
+  RECOVERY_ROLE_ID,
+  REMINDER_MODES,
+  INTERVAL_OPTIONS,
+  withDefaults,
+  nextReminder,
+  isQuietNow
+} from '../utils/reminders';
+
+const ReminderSettings = ({ settings: storedSettings, onChange, roles, currentRole }) => {
+  const settings = withDefaults(storedSettings);
+  const [permission, setPermission] = useState(notificationPermission);
+  const [newTime, setNewTime] = useState('11:00');
+
+  const recovery = findRole(roles, RECOVERY_ROLE_ID);
+  const now = new Date();
+  const next = settings.enabled ? nextReminder(settings, now) : null;
+  const quiet = isQuietNow(settings, now, currentRole);
+
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  const handleToggle = () => {
+    if (settings.enabled) {
+      update({ enabled: false });
+      return;
+    }
+    requestNotificationPermission().then((result) => {
+      setPermission(result);
+      if (result !== 'granted') return;
+      // Edits made while the prompt was open are kept: build on the latest settings.
+      // Reminders only start from now on, not for slots already passed today.
+      onChange((prev) => ({ ...withDefaults(prev), enabled: true, lastFiredAt: new Date().toISOString() }));
+    });
+  };
+
+  const addTime = (e) => {
+    e.preventDefault();
+    if (!newTime || settings.times.includes(newTime)) return;
+    update({ times: [...settings.times, newTime].sort() });
+  };
+
+  return (
+    <div id="reminders" className="reminder-settings-section">
+      <div className="text-center mb-4 animate__animated animate__fadeInDown">
+        <h2 className="display-5 text-white fw-bold mb-3">
+          <i className="fas fa-bell me-2"></i>
+          Check-in Reminders
+        </h2>
+        <p className="lead text-white-50">
+          A gentle "What's your energy right now?" so your patterns fill in without you having to remember.
+        </p>
+      </div>
+
+      <div className="row g-4">
+        <div className="col-lg-7">
+          <div className="reminder-card">
+            {!notificationsSupported() ? (
+              <p className="text-muted mb-0">This browser doesn't support notifications, so reminders aren't available here.</p>
+            ) : (
+              <>
+                <div className="form-check form-switch mb-2">
+                  <input
+                    className="form-check-input"
+                    type="checkbox"
+                    id="reminders-enabled"
+                    checked={settings.enabled && permission === 'granted'}
+                    onChange={handleToggle}
+                  />
+                  <label className="form-check-label fw-bold" htmlFor="reminders-enabled">
+                    Remind me to check in
+                  </label>
+                </div>
+                {permission === 'denied' && (
+                  <p className="small text-danger">Notifications are blocked in this browser. Allow them in the site settings to get reminders.</p>
+                )}
+                <p className="small text-muted">
+                  Answer straight from the notification (High, Low, ...) and the check-in is logged for you.
+                  Reminders arrive on time while the app is open in a browser tab, even in the background. Installed in a browser with background sync (Chrome, Edge), it can also remind you while closed, but the browser decides how often to check, so those may come late. Elsewhere, closing every tab stops them.
+                </p>
+
+                <div className="btn-group mb-3" role="group" aria-label="Reminder schedule">
+                  <button
+                    className={`btn ${settings.mode === REMINDER_MODES.times ? 'btn-primary' : 'btn-outline-primary'}`}
+                    onClick={() => update({ mode: REMINDER_MODES.times })}
+                  >
+                    <i className="fas fa-clock me-2"></i>
+                    At set times
+                  </button>
+                  <button
+                    className={`btn ${settings.mode === REMINDER_MODES.interval ? 'btn-primary' : 'btn-outline-primary'}`}
+                    onClick={() => update({ mode: REMINDER_MODES.interval })}
+                  >
+                    <i className="fas fa-redo me-2"></i>
+                    Every few hours
+                  </button>
+                </div>
+
+                {settings.mode === REMINDER_MODES.times ? (
+                  <div>
+                    <div className="reminder-times mb-2">
+                      {settings.times.map((time) => (
+                        <span key={time} className="reminder-time">
+                          {time}
+                          <button
+                            className="btn btn-link btn-sm p-0 ms-2"
+                            onClick={() => update({ times: settings.times.filter((t) => t !== time) })}
+                            aria-label={`Remove ${time}`}
+                          >
+                            <i className="fas fa-times"></i>
+                          </button>
+                        </span>
+                      ))}
+                      {settings.times.length === 0 && <span className="small text-muted">No times yet.</span>}
+                    </div>
+                    <form className="d-flex gap-2 reminder-add" onSubmit={addTime}>
+                      <input
+                        type="time"
+                        className="form-control form-control-sm"
+                        value={newTime}
+                        onChange={(e) => setNewTime(e.target.value)}
+                      />
+                      <button type="submit" className="btn btn-sm btn-outline-primary">
+                        <i className="fas fa-plus me-1"></i>
+                        Add
+                      </button>
+                    </form>
+                  </div>
+                ) : (
+                  <div className="d-flex flex-wrap align-items-center gap-2 small">
+                    Every
+                    <select
+                      className="form-select form-select-sm reminder-select"
+                      value={settings.intervalMinutes}
+                      onChange={(e) => update({ intervalMinutes: Number(e.target.value) })}
+                    >
+                      {INTERVAL_OPTIONS.map((minutes) => (
+                        <option key={minutes} value={minutes}>
+                          {minutes < 60 ? `${minutes} min` : `${minutes / 60} h`}
+                        </option>
+                      ))}
+                    </select>
+                    from
+                    <input
+                      type="time"
+                      className="form-control form-control-sm reminder-clock"
+                      value={settings.windowStart}
+                      onChange={(e) => update({ windowStart: e.target.value })}
+                    />
+                    to
+                    <input
+                      type="time"
+                      className="form-control form-control-sm reminder-clock"
+                      value={settings.windowEnd}
+                      onChange={(e) => update({ windowEnd: e.target.value })}
+                    />
+                  </div>
+                )}
+
+                {next && (
+                  <p className="small mt-3 mb-0">
+                    <i className="fas fa-bell me-2 text-primary"></i>
+                    Next reminder: {toDateKey(next) === toDateKey(now) ? 'today' : formatDay(next)} at {formatTime(next)}
+                  </p>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+
+        <div className="col-lg-5">
+          <div
+            className="reminder-card reminder-quiet"
+            style={{ borderTopColor: recovery ? recovery.color : '#9b59b6' }}
+          >
+            <h5 className="fw-bold mb-2">
+              <i
+                className={`fas ${recovery ? recovery.icon : 'fa-spa'} me-2`}
+                style={{ color: recovery ? recovery.color : '#9b59b6' }}
+              ></i>
+              Quiet Hours: {recovery ? recovery.name : 'Recovery'} Time
+            </h5>
+            <p className="small text-muted">
+              Recovery is a role too. No nudges during these hours, or whenever Recovery is the role you've picked.
+            </p>
+            <div className="d-flex align-items-center gap-2 small mb-3">
+              From
+              <input
+                type="time"
+                className="form-control form-control-sm reminder-clock"
+                value={settings.quietStart}
+                onChange={(e) => update({ quietStart: e.target.value })}
+              />
+              to
+              <input
+                type="time"
+                className="form-control form-control-sm reminder-clock"
+                value={settings.quietEnd}
+                onChange={(e) => update({ quietEnd: e.target.value })}
+              />
+            </div>
+            {quiet && (
+              <p className="small mb-0 reminder-quiet-now">
+                <i className="fas fa-moon me-2"></i>
+                {currentRole === RECOVERY_ROLE_ID ? 'You are in Recovery mode' : "It's quiet hours"} - reminders are paused.
+              </p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReminderSettings;
@@ -1,71 +1,28 @@
 import React from 'react';
 import './RoleBuckets.css';
+import { getLibraryTasks } from '../utils/taskLibrary';
+import { getActiveRoles, roleGradient } from '../utils/roles';
+import { getOpenTasksForEnergy } from '../utils/tasks';
+import { resolveImage } from '../data/images';
 
-const RoleBuckets = ({ selectedRole, onRoleSelect, currentEnergy }) => {
-  const roles = [
-    {
-      id: 'office',
-      name: 'Office Role',
-      icon: 'fa-briefcase',
-      color: '#3498db',
-      gradient: 'linear-gradient(135deg, #3498db 0%, #2980b9 100%)',
-      description: 'Job responsibilities',
-      image: 'https://images.unsplash.com/photo-1521737604893-d14cc237f11d?w=400&h=300&fit=crop',
-      tasks: {
-        high: ['Strategic planning', 'Important presentations', 'Key decisions'],
-        medium: ['Emails & reviews', 'Team meetings', 'Documentation'],
-        low: ['Reading reports', 'Light organizing', 'Listening to recordings']
-      }
-    },
-    {
-      id: 'product',
-      name: 'Product Role',
-      icon: 'fa-rocket',
-      color: '#e74c3c',
-      gradient: 'linear-gradient(135deg, #e74c3c 0%, #c0392b 100%)',
-      description: 'Building your product',
-      image: 'https://images.unsplash.com/photo-1460925895917-afdab827c52f?w=400&h=300&fit=crop',
-      tasks: {
-        high: ['Architecture design', 'Complex problem solving', 'PRD writing'],
-        medium: ['Feature development', 'Code reviews', 'Documentation'],
-        low: ['Learning new tech', 'Reading docs', 'Watching tutorials']
-      }
-    },
-    {
-      id: 'growth',
-      name: 'Growth Role',
-      icon: 'fa-seedling',
-      color: '#2ecc71',
-      gradient: 'linear-gradient(135deg, #2ecc71 0%, #27ae60 100%)',
-      description: 'Learning, thinking',
-      image: 'https://images.unsplash.com/photo-1503676260728-1c00da094a0b?w=400&h=300&fit=crop',
-      tasks: {
-        high: ['Deep thinking', 'Strategy planning', 'Research analysis'],
-        medium: ['Course learning', 'Article writing', 'Note-taking'],
-        low: ['Podcasts', 'Light reading', 'Video tutorials']
-      }
-    },
-    {
-      id: 'recovery',
-      name: 'Recovery Role',
-      icon: 'fa-spa',
-      color: '#9b59b6',
-      gradient: 'linear-gradient(135deg, #9b59b6 0%, #8e44ad 100%)',
-      description: 'Rest, travel, reset',
-      image: 'https://images.unsplash.com/photo-1506126613408-eca07ce68773?w=400&h=300&fit=crop',
-      tasks: {
-        high: ['Meditation', 'Exercise planning', 'Goal setting'],
-        medium: ['Light reading', 'Music listening', 'Social connection'],
-        low: ['Resting', 'Mindful breathing', 'Gentle activities']
-      }
-    }
-  ];
+const RoleBuckets = ({
+  roles,
+  selectedRole,
+  onRoleSelect,
+  currentEnergy,
+  taskLibrary,
+  tasks,
+  onCompleteTask
+}) => {
+  const activeRoles = getActiveRoles(roles);
 
   const getTasksForCurrentEnergy = (role) => {
     if (!currentEnergy) return [];
-    return role.tasks[currentEnergy] || [];
+    return getLibraryTasks(taskLibrary, role.id, currentEnergy);
   };
 
+  const getOpenTasksForRole = (role) => getOpenTasksForEnergy(tasks, currentEnergy, role.id);
+
   return (
     <div id="roles" className="role-buckets-section">
       <div className="text-center mb-4 animate__animated animate__fadeInDown">
@@ -79,21 +36,21 @@ const RoleBuckets = ({ selectedRole, onRoleSelect, currentEnergy }) => {
       </div>
 
       <div className="row g-4">
-        {roles.map((role, index) => (
+        {activeRoles.map((role, index) => (
           <div key={role.id} className="col-md-6 col-lg-3">
             <div
               className={`card role-card animate__animated animate__fadeInUp ${
                 selectedRole === role.id ? 'selected' : ''
               }`}
               style={{
-                background: role.gradient,
+                background: roleGradient(role.color),
                 animationDelay: `${index * 0.15}s`
               }}
               onClick={() => onRoleSelect(role.id)}
             >
               <div className="card-img-top" style={{
-                height: '150px',
-                backgroundImage: `url(${role.image})`,
+                height: role.image ? '150px' : '60px',
+                backgroundImage: role.image ? `url(${resolveImage(role.image)})` : 'none',
                 backgroundSize: 'cover',
                 backgroundPosition: 'center',
                 position: 'relative'
@@ -107,17 +64,46 @@ const RoleBuckets = ({ selectedRole, onRoleSelect, currentEnergy }) => {
                   <p className="card-text small">{role.description}</p>
                 </div>
 
-                {selectedRole === role.id && currentEnergy && (
+                {selectedRole === role.id && currentEnergy && getOpenTasksForRole(role).length > 0 && (
+                  <div className="role-tasks animate__animated animate__fadeIn">
+                    <h6 className="mb-3">
+                      <i className="fas fa-clipboard-check me-2"></i>
+                      Your open tasks for {currentEnergy} energy:
+                    </h6>
+                    <ul className="list-unstyled">
+                      {getOpenTasksForRole(role).map((task) => (
+                        <li key={task.id} className="mb-2 small d-flex align-items-center">
+                          <span className="flex-grow-1">
+                            <i className="fas fa-arrow-right me-2"></i>
+                            {task.title}
+                          </span>
+                          <button
+                            className="btn btn-sm btn-light py-0 px-2 ms-2"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              onCompleteTask(task.id);
+                            }}
+                            title="Mark done"
+                          >
+                            <i className="fas fa-check"></i>
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {selectedRole === role.id && currentEnergy && getOpenTasksForRole(role).length === 0 && (
                   <div className="role-tasks animate__animated animate__fadeIn">
                     <h6 className="mb-3">
                       <i className="fas fa-list-check me-2"></i>
                       Tasks for {currentEnergy} energy:
                     </h6>
                     <ul className="list-unstyled">
-                      {getTasksForCurrentEnergy(role).map((task, idx) => (
-                        <li key={idx} className="mb-2 small">
+                      {getTasksForCurrentEnergy(role).map((task) => (
+                        <li key={task.id} className="mb-2 small">
                           <i className="fas fa-arrow-right me-2"></i>
-                          {task}
+                          {task.text}
                         </li>
                       ))}
                     </ul>
@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import './RoleManager.css';
+import { ROLE_ICONS } from '../data/defaultRoles';
+import { createRole, roleGradient } from '../utils/roles';
+
+const RoleManager = ({ roles, onChange }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [iconPickerFor, setIconPickerFor] = useState(null);
+  const [newRole, setNewRole] = useState({ name: '', color: '#667eea', icon: 'fa-star', description: '' });
+
+  const updateRole = (id, changes) => {
+    onChange(roles.map((role) => (role.id === id ? { ...role, ...changes } : role)));
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!newRole.name.trim()) return;
+    onChange([...roles, createRole(newRole)]);
+    setNewRole({ name: '', color: '#667eea', icon: 'fa-star', description: '' });
+  };
+
+  const renderIconPicker = (selectedIcon, onSelect) => (
+    <div className="icon-picker animate__animated animate__fadeIn">
+      {ROLE_ICONS.map((icon) => (
+        <button
+          key={icon}
+          type="button"
+          className={`icon-choice ${selectedIcon === icon ? 'active' : ''}`}
+          onClick={() => onSelect(icon)}
+          aria-label={icon.replace('fa-', '')}
+        >
+          <i className={`fas ${icon}`}></i>
+        </button>
+      ))}
+    </div>
+  );
+
+  const activeRoles = roles.filter((role) => !role.archived);
+  const archivedRoles = roles.filter((role) => role.archived);
+
+  const renderRole = (role) => (
+    <div key={role.id} className={`role-manager-row ${role.archived ? 'archived' : ''}`}>
+      <div className="d-flex align-items-center gap-3 flex-wrap">
+        <button
+          type="button"
+          className="role-icon-preview"
+          style={{ background: roleGradient(role.color) }}
+          onClick={() => setIconPickerFor(iconPickerFor === role.id ? null : role.id)}
+          title="Change icon"
+          disabled={role.archived}
+        >
+          <i className={`fas ${role.icon}`}></i>
+        </button>
+        <input
+          type="text"
+          className="form-control form-control-sm role-name-input"
+          defaultValue={role.name}
+          disabled={role.archived}
+          onBlur={(e) => {
+            const name = e.target.value.trim();
+            if (name && name !== role.name) {
+              updateRole(role.id, { name });
+            } else {
+              e.target.value = role.name;
+            }
+          }}
+          aria-label="Role name"
+        />
+        <input
+          type="text"
+          className="form-control form-control-sm flex-grow-1 role-description-input"
+          defaultValue={role.description}
+          placeholder="What this role is for"
+          disabled={role.archived}
+          onBlur={(e) => updateRole(role.id, { description: e.target.value.trim() })}
+          aria-label="Role description"
+        />
+        <input
+          type="color"
+          className="form-control form-control-color"
+          value={role.color}
+          disabled={role.archived}
+          onChange={(e) => updateRole(role.id, { color: e.target.value })}
+          title="Role color"
+        />
+        <button
+          type="button"
+          className={`btn btn-sm ${role.archived ? 'btn-outline-success' : 'btn-outline-secondary'}`}
+          onClick={() => updateRole(role.id, { archived: !role.archived })}
+        >
+          <i className={`fas ${role.archived ? 'fa-box-open' : 'fa-archive'} me-1`}></i>
+          {role.archived ? 'Restore' : 'Archive'}
+        </button>
+      </div>
+      {iconPickerFor === role.id && !role.archived && renderIconPicker(role.icon, (icon) => {
+        updateRole(role.id, { icon });
+        setIconPickerFor(null);
+      })}
+    </div>
+  );
+
+  return (
+    <div id="role-manager" className="role-manager-section">
+      <div className="text-center">
+        <button
+          className="btn btn-outline-light role-manager-toggle-btn"
+          onClick={() => setIsOpen(!isOpen)}
+        >
+          <i className={`fas ${isOpen ? 'fa-times' : 'fa-user-cog'} me-2`}></i>
+          {isOpen ? 'Close Role Manager' : 'Manage Your Roles'}
+        </button>
+      </div>
+
+      {isOpen && (
+        <div className="role-manager-card mt-4 animate__animated animate__fadeIn">
+          <h5 className="fw-bold mb-3">
+            <i className="fas fa-layer-group me-2"></i>
+            Your Roles
+          </h5>
+          {activeRoles.map(renderRole)}
+
+          <form className="role-manager-add mt-4" onSubmit={handleAdd}>
+            <h6 className="fw-bold mb-3">
+              <i className="fas fa-plus-circle me-2"></i>
+              Add a Role
+            </h6>
+            <div className="d-flex align-items-center gap-3 flex-wrap">
+              <button
+                type="button"
+                className="role-icon-preview"
+                style={{ background: roleGradient(newRole.color) }}
+                onClick={() => setIconPickerFor(iconPickerFor === 'new' ? null : 'new')}
+                title="Choose icon"
+              >
+                <i className={`fas ${newRole.icon}`}></i>
+              </button>
+              <input
+                type="text"
+                className="form-control form-control-sm role-name-input"
+                placeholder='e.g. "Parent", "Side project"'
+                value={newRole.name}
+                onChange={(e) => setNewRole({ ...newRole, name: e.target.value })}
+              />
+              <input
+                type="text"
+                className="form-control form-control-sm flex-grow-1 role-description-input"
+                placeholder="What this role is for"
+                value={newRole.description}
+                onChange={(e) => setNewRole({ ...newRole, description: e.target.value })}
+              />
+              <input
+                type="color"
+                className="form-control form-control-color"
+                value={newRole.color}
+                onChange={(e) => setNewRole({ ...newRole, color: e.target.value })}
+                title="Role color"
+              />
+              <button type="submit" className="btn btn-sm btn-primary" disabled={!newRole.name.trim()}>
+                <i className="fas fa-plus me-1"></i>
+                Add
+              </button>
+            </div>
+            {iconPickerFor === 'new' && renderIconPicker(newRole.icon, (icon) => {
+              setNewRole({ ...newRole, icon });
+              setIconPickerFor(null);
+            })}
+          </form>
+
+          {archivedRoles.length > 0 && (
+            <div className="mt-4">
+              <h6 className="fw-bold text-muted mb-3">
+                <i className="fas fa-archive me-2"></i>
+                Archived
+              </h6>
+              {archivedRoles.map(renderRole)}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoleManager;
@@ -0,0 +1,210 @@
+import React, { useState } from 'react';
+import './TaskLibraryEditor.css';
+import { GENERAL_BUCKET } from '../data/defaultTasks';
+import {
+  getLibraryTasks,
+  addTask,
+  renameTask,
+  removeTask,
+  moveTask,
+  resetCell,
+  resetLibrary
+} from '../utils/taskLibrary';
+import { getActiveRoles } from '../utils/roles';
+
+const TaskLibraryEditor = ({ roles, taskLibrary, onChange }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [selectedBucketId, setBucketId] = useState(GENERAL_BUCKET);
+  const [energy, setEnergy] = useState('high');
+  const [newTask, setNewTask] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editingText, setEditingText] = useState('');
+
+  const buckets = [
+    { id: GENERAL_BUCKET, name: 'Any Role', icon: 'fa-bolt', color: '#667eea' },
+    ...getActiveRoles(roles)
+  ];
+
+  const energyLevels = [
+    { id: 'high', name: 'High', color: '#ff6b6b' },
+    { id: 'medium', name: 'Medium', color: '#4ecdc4' },
+    { id: 'low', name: 'Low', color: '#95a5a6' }
+  ];
+
+  // Fall back to "Any Role" if the open bucket's role was just archived
+  const activeBucket = buckets.find((bucket) => bucket.id === selectedBucketId) || buckets[0];
+  const bucketId = activeBucket.id;
+  const tasks = getLibraryTasks(taskLibrary, bucketId, energy);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!newTask.trim()) return;
+    onChange(addTask(taskLibrary, bucketId, energy, newTask));
+    setNewTask('');
+  };
+
+  const startEditing = (task) => {
+    setEditingId(task.id);
+    setEditingText(task.text);
+  };
+
+  const saveEditing = () => {
+    if (editingText.trim()) {
+      onChange(renameTask(taskLibrary, bucketId, energy, editingId, editingText));
+    }
+    setEditingId(null);
+  };
+
+  const handleResetAll = () => {
+    if (window.confirm('Reset every role and energy level back to the built-in tasks?')) {
+      onChange(resetLibrary());
+    }
+  };
+
+  return (
+    <div id="library" className="task-library-section">
+      <div className="text-center">
+        <button
+          className="btn btn-outline-light library-toggle-btn"
+          onClick={() => setIsOpen(!isOpen)}
+        >
+          <i className={`fas ${isOpen ? 'fa-times' : 'fa-sliders-h'} me-2`}></i>
+          {isOpen ? 'Close Task Library' : 'Customize Your Tasks'}
+        </button>
+      </div>
+
+      {isOpen && (
+        <div className="library-card mt-4 animate__animated animate__fadeIn">
+          <div className="library-tabs mb-3">
+            {buckets.map((bucket) => (
+              <button
+                key={bucket.id}
+                className={`library-tab ${bucketId === bucket.id ? 'active' : ''}`}
+                style={{
+                  borderColor: bucket.color,
+                  backgroundColor: bucketId === bucket.id ? bucket.color : 'transparent',
+                  color: bucketId === bucket.id ? '#fff' : bucket.color
+                }}
+                onClick={() => { setBucketId(bucket.id); setEditingId(null); }}
+              >
+                <i className={`fas ${bucket.icon} me-2`}></i>
+                {bucket.name}
+              </button>
+            ))}
+          </div>
+
+          <div className="library-tabs mb-4">
+            {energyLevels.map((level) => (
+              <button
+                key={level.id}
+                className={`library-tab small ${energy === level.id ? 'active' : ''}`}
+                style={{
+                  borderColor: level.color,
+                  backgroundColor: energy === level.id ? level.color : 'transparent',
+                  color: energy === level.id ? '#fff' : level.color
+                }}
+                onClick={() => { setEnergy(level.id); setEditingId(null); }}
+              >
+                {level.name} Energy
+              </button>
+            ))}
+          </div>
+
+          <h5 className="fw-bold mb-3" style={{ color: activeBucket.color }}>
+            <i className={`fas ${activeBucket.icon} me-2`}></i>
+            {activeBucket.name} · {energy} energy
+          </h5>
+
+          <ul className="list-unstyled library-list">
+            {tasks.map((task, index) => (
+              <li key={task.id} className="library-item">
+                {editingId === task.id ? (
+                  <input
+                    type="text"
+                    className="form-control form-control-sm"
+                    value={editingText}
+                    autoFocus
+                    onChange={(e) => setEditingText(e.target.value)}
+                    onBlur={saveEditing}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') saveEditing();
+                      if (e.key === 'Escape') setEditingId(null);
+                    }}
+                  />
+                ) : (
+                  <span className="library-item-text" onDoubleClick={() => startEditing(task)}>
+                    {task.text}
+                  </span>
+                )}
+                <div className="library-item-actions">
+                  <button
+                    className="btn btn-sm btn-link"
+                    disabled={index === 0}
+                    onClick={() => onChange(moveTask(taskLibrary, bucketId, energy, task.id, -1))}
+                    aria-label="Move up"
+                  >
+                    <i className="fas fa-arrow-up"></i>
+                  </button>
+                  <button
+                    className="btn btn-sm btn-link"
+                    disabled={index === tasks.length - 1}
+                    onClick={() => onChange(moveTask(taskLibrary, bucketId, energy, task.id, 1))}
+                    aria-label="Move down"
+                  >
+                    <i className="fas fa-arrow-down"></i>
+                  </button>
+                  <button
+                    className="btn btn-sm btn-link"
+                    onClick={() => startEditing(task)}
+                    aria-label="Edit task"
+                  >
+                    <i className="fas fa-pen"></i>
+                  </button>
+                  <button
+                    className="btn btn-sm btn-link text-danger"
+                    onClick={() => onChange(removeTask(taskLibrary, bucketId, energy, task.id))}
+                    aria-label="Delete task"
+                  >
+                    <i className="fas fa-trash"></i>
+                  </button>
+                </div>
+              </li>
+            ))}
+            {tasks.length === 0 && (
+              <li className="text-muted small mb-3">No tasks here yet. Add your first one below.</li>
+            )}
+          </ul>
+
+          <form className="d-flex gap-2 mb-4" onSubmit={handleAdd}>
+            <input
+              type="text"
+              className="form-control"
+              placeholder="Add a task you actually do..."
+              value={newTask}
+              onChange={(e) => setNewTask(e.target.value)}
+            />
+            <button type="submit" className="btn btn-primary" disabled={!newTask.trim()}>
+              <i className="fas fa-plus"></i>
+            </button>
+          </form>
+
+          <div className="d-flex justify-content-between flex-wrap gap-2">
+            <button
+              className="btn btn-sm btn-outline-secondary"
+              onClick={() => onChange(resetCell(taskLibrary, bucketId, energy))}
+            >
+              <i className="fas fa-undo me-2"></i>
+              Reset this list
+            </button>
+            <button className="btn btn-sm btn-outline-danger" onClick={handleResetAll}>
+              <i className="fas fa-redo me-2"></i>
+              Reset all to defaults
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TaskLibraryEditor;
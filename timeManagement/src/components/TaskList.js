@@ -0,0 +1,236 @@
+import React, { useState } from 'react';
+import './TaskList.css';
+import { TASK_SIZES, isOpen, fitsEnergy, momentumStats } from '../utils/tasks';
+import { getActiveRoles, findRole } from '../utils/roles';
+import { formatDay, formatTime } from '../utils/dates';
+
+const TaskList = ({ roles, tasks, currentEnergy, onAdd, onComplete, onReopen, onDelete }) => {
+  const [draft, setDraft] = useState({ title: '', role: '', energy: 'medium', size: 'small' });
+  const [onlyFitting, setOnlyFitting] = useState(false);
+  const [showDone, setShowDone] = useState(false);
+
+  const energyLevels = [
+    { id: 'high', name: 'High', color: '#ff6b6b' },
+    { id: 'medium', name: 'Medium', color: '#4ecdc4' },
+    { id: 'low', name: 'Low', color: '#95a5a6' }
+  ];
+
+  const openTasks = tasks
+    .filter(isOpen)
+    .filter((task) => !onlyFitting || fitsEnergy(task, currentEnergy));
+  const doneTasks = tasks
+    .filter((task) => !isOpen(task))
+    .sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt));
+  const momentum = momentumStats(tasks);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!draft.title.trim()) return;
+    onAdd(draft);
+    setDraft({ ...draft, title: '' });
+  };
+
+  const renderMeta = (task) => {
+    const role = findRole(roles, task.role);
+    const energy = energyLevels.find((level) => level.id === task.energy);
+    const size = TASK_SIZES.find((s) => s.id === task.size);
+    return (
+      <span className="task-meta">
+        {role && (
+          <span className="task-chip" style={{ backgroundColor: role.color }}>
+            <i className={`fas ${role.icon} me-1`}></i>
+            {role.name}
+          </span>
+        )}
+        {energy && (
+          <span className="task-chip" style={{ backgroundColor: energy.color }}>
+            <i className="fas fa-bolt me-1"></i>
+            {energy.name}
+          </span>
+        )}
+        {size && <span className="task-chip task-chip-size">{size.name}</span>}
+      </span>
+    );
+  };
+
+  return (
+    <div id="tasks" className="task-list-section">
+      <div className="text-center mb-4 animate__animated animate__fadeInDown">
+        <h2 className="display-5 text-white fw-bold mb-3">
+          <i className="fas fa-clipboard-check me-2"></i>
+          My Tasks
+        </h2>
+        <p className="lead text-white-50">
+          Commit to a task, finish it, and watch momentum build.
+        </p>
+      </div>
+
+      <div className="row g-4">
+        <div className="col-lg-8">
+          <div className="task-card animate__animated animate__fadeInUp">
+            <form className="task-add-form mb-4" onSubmit={handleAdd}>
+              <div className="row g-2">
+                <div className="col-md-5">
+                  <input
+                    type="text"
+                    className="form-control"
+                    placeholder="What do you want to get done?"
+                    value={draft.title}
+                    onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+                  />
+                </div>
+                <div className="col-md-2">
+                  <select
+                    className="form-select"
+                    value={draft.role}
+                    onChange={(e) => setDraft({ ...draft, role: e.target.value })}
+                    aria-label="Role"
+                  >
+                    <option value="">Any role</option>
+                    {getActiveRoles(roles).map((role) => (
+                      <option key={role.id} value={role.id}>{role.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="col-md-2">
+                  <select
+                    className="form-select"
+                    value={draft.energy}
+                    onChange={(e) => setDraft({ ...draft, energy: e.target.value })}
+                    aria-label="Energy required"
+                  >
+                    {energyLevels.map((level) => (
+                      <option key={level.id} value={level.id}>{level.name} energy</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="col-md-2">
+                  <select
+                    className="form-select"
+                    value={draft.size}
+                    onChange={(e) => setDraft({ ...draft, size: e.target.value })}
+                    aria-label="Size"
+                  >
+                    {TASK_SIZES.map((size) => (
+                      <option key={size.id} value={size.id} title={size.hint}>{size.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="col-md-1 d-grid">
+                  <button type="submit" className="btn btn-primary" disabled={!draft.title.trim()}>
+                    <i className="fas fa-plus"></i>
+                  </button>
+                </div>
+              </div>
+            </form>
+
+            <div className="d-flex justify-content-between align-items-center mb-3">
+              <h5 className="fw-bold mb-0">
+                <i className="fas fa-list-ul me-2"></i>
+                Open ({openTasks.length})
+              </h5>
+              <div className="form-check form-switch mb-0">
+                <input
+                  className="form-check-input"
+                  type="checkbox"
+                  id="only-fitting"
+                  checked={onlyFitting}
+                  disabled={!currentEnergy}
+                  onChange={(e) => setOnlyFitting(e.target.checked)}
+                />
+                <label className="form-check-label small" htmlFor="only-fitting">
+                  Only what fits my {currentEnergy || 'current'} energy
+                </label>
+              </div>
+            </div>
+
+            <ul className="list-unstyled mb-0">
+              {openTasks.map((task) => (
+                <li key={task.id} className="task-item">
+                  <button
+                    className="task-check"
+                    onClick={() => onComplete(task.id)}
+                    aria-label="Mark done"
+                  >
+                    <i className="far fa-circle"></i>
+                  </button>
+                  <span className="task-title flex-grow-1">{task.title}</span>
+                  {renderMeta(task)}
+                  <button
+                    className="btn btn-sm btn-link text-danger"
+                    onClick={() => onDelete(task.id)}
+                    aria-label="Delete task"
+                  >
+                    <i className="fas fa-trash"></i>
+                  </button>
+                </li>
+              ))}
+              {openTasks.length === 0 && (
+                <li className="text-muted small">
+                  {onlyFitting ? 'Nothing open fits this energy - try a smaller task.' : 'No open tasks. Add one above.'}
+                </li>
+              )}
+            </ul>
+          </div>
+        </div>
+
+        <div className="col-lg-4">
+          <div className="task-card animate__animated animate__fadeInUp">
+            <h5 className="fw-bold mb-3">
+              <i className="fas fa-chart-line me-2 text-success"></i>
+              Momentum
+            </h5>
+            <div className="momentum-stats mb-3">
+              <div>
+                <span className="momentum-number">{momentum.today}</span>
+                <span className="momentum-label">today</span>
+              </div>
+              <div>
+                <span className="momentum-number">{momentum.week}</span>
+                <span className="momentum-label">this week</span>
+              </div>
+              <div>
+                <span className="momentum-number">{momentum.total}</span>
+                <span className="momentum-label">all time</span>
+              </div>
+            </div>
+
+            <button
+              className="btn btn-sm btn-outline-secondary w-100"
+              onClick={() => setShowDone(!showDone)}
+              disabled={doneTasks.length === 0}
+            >
+              <i className={`fas fa-chevron-${showDone ? 'up' : 'down'} me-2`}></i>
+              Done log ({doneTasks.length})
+            </button>
+
+            {showDone && (
+              <ul className="list-unstyled mt-3 mb-0 done-log animate__animated animate__fadeIn">
+                {doneTasks.map((task) => (
+                  <li key={task.id} className="task-item done">
+                    <button
+                      className="task-check"
+                      onClick={() => onReopen(task.id)}
+                      aria-label="Reopen task"
+                      title="Reopen"
+                    >
+                      <i className="fas fa-check-circle"></i>
+                    </button>
+                    <span className="task-title flex-grow-1">
+                      {task.title}
+                      <small className="d-block text-muted">
+                        {formatDay(task.completedAt)}, {formatTime(task.completedAt)}
+                      </small>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TaskList;
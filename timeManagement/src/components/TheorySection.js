@@ -1,128 +1,25 @@
-import React, { useState } from 'react';
+import React, { useEffect } from 'react';
 import './TheorySection.css';
+import LessonBlocks from './LessonBlocks';
+import { theoryPrinciples } from '../data/principles';
+import { resolveImage } from '../data/images';
+import { isPractised } from '../utils/practice';
 
-const TheorySection = () => {
-  const [expandedCard, setExpandedCard] = useState(null);
+const TheorySection = ({ learning, onLearningChange, practice, onApply, expandedId, onExpand }) => {
+  // The open card lives in the URL (#/theory/flow-state) so it can be linked to
+  const expandedCard = theoryPrinciples.some((p) => p.id === expandedId) ? expandedId : null;
 
-  const theoryPrinciples = [
-    {
-      id: 'energy-vs-time',
-      title: 'Energy vs Time: The Paradigm Shift',
-      icon: 'fa-exchange-alt',
-      color: '#e74c3c',
-      gradient: 'linear-gradient(135deg, #e74c3c 0%, #c0392b 100%)',
-      image: 'https://images.unsplash.com/photo-1454165804606-c3d57bc86b40?w=600&h=400&fit=crop',
-      content: {
-        problem: 'Traditional time management asks: "What time should I work?"',
-        solution: 'Energy management asks: "What type of energy do I have right now?"',
-        why: 'Time is finite and fixed. Energy is renewable and variable. By matching tasks to energy levels, you work smarter, not harder.',
-        benefits: [
-          'Higher quality output when energy matches task difficulty',
-          'Reduced burnout and stress',
-          'Natural flow state achievement',
-          'Better work-life balance'
-        ]
-      }
-    },
-    {
-      id: 'role-based-intent',
-      title: 'Role-Based Intent: Beyond Time Blocks',
-      icon: 'fa-layer-group',
-      color: '#3498db',
-      gradient: 'linear-gradient(135deg, #3498db 0%, #2980b9 100%)',
-      image: 'https://images.unsplash.com/photo-1521737604893-d14cc237f11d?w=600&h=400&fit=crop',
-      content: {
-        problem: 'Time blocks force you into rigid schedules that break when life happens.',
-        solution: 'Role-based buckets assign intent, not time. You know what role you\'re in, not when.',
-        why: 'Life is unpredictable. Office hours change. Travel happens. Energy fluctuates. Intent adapts; time blocks break.',
-        benefits: [
-          'Flexibility to adapt to changing circumstances',
-          'Clear mental model of what to focus on',
-          'Reduced guilt when schedules change',
-          'Better alignment with real-world demands'
-        ]
-      }
-    },
-    {
-      id: 'momentum-over-focus',
-      title: 'Momentum Over Focus: The Anti-Perfectionism Model',
-      icon: 'fa-rocket',
-      color: '#2ecc71',
-      gradient: 'linear-gradient(135deg, #2ecc71 0%, #27ae60 100%)',
-      image: 'https://images.unsplash.com/photo-1552664730-d307ca884978?w=600&h=400&fit=crop',
-      content: {
-        problem: 'Waiting for perfect focus means waiting forever. Perfectionism kills progress.',
-        solution: 'Momentum > Motivation > Focus. Small progress compounds. One step is enough.',
-        why: 'Focus is unreliable. Motivation is fleeting. Momentum is sustainable. Small actions build into big results.',
-        benefits: [
-          'Consistent progress even on low-focus days',
-          'Reduced procrastination',
-          'Compound effect of small wins',
-          'Sustainable long-term growth'
-        ]
-      }
-    },
-    {
-      id: 'travel-productivity',
-      title: 'Travel Time: The Hidden Productivity Goldmine',
-      icon: 'fa-subway',
-      color: '#9b59b6',
-      gradient: 'linear-gradient(135deg, #9b59b6 0%, #8e44ad 100%)',
-      image: 'https://images.unsplash.com/photo-1544620347-c4fd4a3d5957?w=600&h=400&fit=crop',
-      content: {
-        problem: '3 hours daily in transit = 15 hours/week = 60 hours/month of "wasted" time.',
-        solution: 'Use travel for low-focus, high-consistency activities. Feed your mind, don\'t drain it.',
-        why: 'Travel time is consistent but low-focus. Perfect for learning, planning, and idea capture. Not for deep work.',
-        benefits: [
-          'Transform dead time into growth time',
-          'Consistent learning without extra effort',
-          'Better use of unavoidable travel',
-          'Reduced stress about "lost" time'
-        ]
-      }
-    },
-    {
-      id: 'flow-state',
-      title: 'Flow State: The Natural High Performance Zone',
-      icon: 'fa-water',
-      color: '#16a085',
-      gradient: 'linear-gradient(135deg, #16a085 0%, #138d75 100%)',
-      image: 'https://images.unsplash.com/photo-1506126613408-eca07ce68773?w=600&h=400&fit=crop',
-      content: {
-        problem: 'Forcing work when energy is low creates stress, poor quality, and burnout.',
-        solution: 'Match task difficulty to energy level. Flow happens naturally when challenge meets capacity.',
-        why: 'Flow state occurs when you\'re fully engaged in an activity that matches your current energy. It can\'t be forced, only facilitated.',
-        benefits: [
-          'Natural peak performance without forcing',
-          'Intrinsic motivation and enjoyment',
-          'Higher quality work with less effort',
-          'Sustainable high performance'
-        ]
-      }
-    },
-    {
-      id: 'small-wins',
-      title: 'Small Wins: The Compound Effect',
-      icon: 'fa-chart-line',
-      color: '#f39c12',
-      gradient: 'linear-gradient(135deg, #f39c12 0%, #e67e22 100%)',
-      image: 'https://images.unsplash.com/photo-1460925895917-afdab827c52f?w=600&h=400&fit=crop',
-      content: {
-        problem: 'Big goals feel overwhelming. All-or-nothing thinking leads to nothing.',
-        solution: 'Break everything into smallest useful tasks. One step compounds into progress.',
-        why: 'Small wins build confidence, create momentum, and compound over time. Perfectionism waits; progress acts.',
-        benefits: [
-          'Overcome procrastination with tiny steps',
-          'Build consistent habits',
-          'Achieve big goals through small actions',
-          'Maintain motivation through progress'
-        ]
-      }
-    }
-  ];
+  useEffect(() => {
+    if (!expandedCard) return undefined;
+    const timeout = setTimeout(() => {
+      const element = document.getElementById(`principle-${expandedCard}`);
+      if (element) element.scrollIntoView({ block: 'nearest' });
+    }, 100);
+    return () => clearTimeout(timeout);
+  }, [expandedCard]);
 
   const toggleCard = (id) => {
-    setExpandedCard(expandedCard === id ? null : id);
+    onExpand(expandedCard === id ? null : id);
   };
 
   return (
@@ -148,6 +45,7 @@ const TheorySection = () => {
         {theoryPrinciples.map((principle, index) => (
           <div key={principle.id} className="col-md-6 col-lg-4">
             <div
+              id={`principle-${principle.id}`}
               className={`theory-card animate__animated animate__fadeInUp ${
                 expandedCard === principle.id ? 'expanded' : ''
               }`}
@@ -160,7 +58,7 @@ const TheorySection = () => {
               <div 
                 className="theory-card-image"
                 style={{
-                  backgroundImage: `url(${principle.image})`,
+                  backgroundImage: `url(${resolveImage(principle.image)})`,
                   height: expandedCard === principle.id ? '200px' : '150px'
                 }}
               >
@@ -168,6 +66,12 @@ const TheorySection = () => {
                 <div className="theory-icon">
                   <i className={`fas ${principle.icon}`}></i>
                 </div>
+                {isPractised(practice, principle.id) && (
+                  <span className="practised-badge">
+                    <i className="fas fa-check me-1"></i>
+                    Practised{practice.practised[principle.id].count > 1 ? ` ×${practice.practised[principle.id].count}` : ''}
+                  </span>
+                )}
               </div>
 
               <div className="theory-card-body p-4 text-white">
@@ -191,6 +95,21 @@ const TheorySection = () => {
                   </div>
                 </div>
 
+                {principle.apply && (
+                  <button
+                    className={`btn btn-light btn-sm apply-btn mb-3 ${
+                      practice.active && practice.active.principleId === principle.id ? 'active' : ''
+                    }`}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onApply(principle);
+                    }}
+                  >
+                    <i className="fas fa-play me-2"></i>
+                    Apply now: {principle.apply.label}
+                  </button>
+                )}
+
                 {expandedCard === principle.id && (
                   <div className="theory-expanded-content animate__animated animate__fadeIn">
                     <div className="why-box mb-3">
@@ -216,6 +135,18 @@ const TheorySection = () => {
                       </ul>
                     </div>
 
+                    {principle.blocks && (
+                      // Quiz clicks shouldn't collapse the card
+                      <div className="theory-practice mt-3" onClick={(e) => e.stopPropagation()}>
+                        <LessonBlocks
+                          blocks={principle.blocks}
+                          owner={{ id: principle.id, title: principle.title, source: 'principle' }}
+                          learning={learning}
+                          onLearningChange={onLearningChange}
+                        />
+                      </div>
+                    )}
+
                     <div className="text-center mt-4">
                       <button 
                         className="btn btn-light btn-sm"
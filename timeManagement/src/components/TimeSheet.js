@@ -0,0 +1,262 @@
+import React from 'react';
+import './TimeSheet.css';
+import usePersistentState from '../hooks/usePersistentState';
+import { STORAGE_KEYS } from '../utils/storage';
+import { getActiveRoles, findRole } from '../utils/roles';
+import { toDateKey, formatDuration } from '../utils/dates';
+import { downloadFile } from '../utils/download';
+import {
+  VALUE_SCALE,
+  PARETO_THRESHOLD,
+  createRow,
+  sheetTotals,
+  paretoBreakdown,
+  toCsv
+} from '../utils/timeSheet';
+
+const TimeSheet = ({ roles }) => {
+  const [rows, setRows] = usePersistentState(STORAGE_KEYS.timeSheet, [createRow()]);
+
+  const energyLevels = [
+    { id: 'high', name: 'High', color: '#ff6b6b' },
+    { id: 'medium', name: 'Medium', color: '#4ecdc4' },
+    { id: 'low', name: 'Low', color: '#95a5a6' }
+  ];
+
+  const totals = sheetTotals(rows);
+  const pareto = paretoBreakdown(rows.filter((row) => row.activity.trim()));
+  const roleName = (id) => (findRole(roles, id) || {}).name || '';
+
+  const updateRow = (id, changes) => {
+    setRows(rows.map((row) => (row.id === id ? { ...row, ...changes } : row)));
+  };
+
+  const removeRow = (id) => {
+    setRows(rows.filter((row) => row.id !== id));
+  };
+
+  const handleClear = () => {
+    if (window.confirm('Clear the whole sheet and start a new audit?')) {
+      setRows([createRow()]);
+    }
+  };
+
+  const handleExport = () => {
+    downloadFile(
+      `time-management-sheet-${toDateKey(new Date())}.csv`,
+      toCsv(rows.filter((row) => row.activity.trim()), roleName),
+      'text/csv'
+    );
+  };
+
+  const percent = (minutes) => (totals.minutes ? Math.round((minutes / totals.minutes) * 100) : 0);
+
+  return (
+    <div id="sheet" className="time-sheet-section">
+      <div className="text-center mb-4 animate__animated animate__fadeInDown">
+        <h2 className="display-5 text-white fw-bold mb-3">
+          <i className="fas fa-table me-2"></i>
+          The Time Management Sheet
+        </h2>
+        <p className="lead text-white-50">
+          A simple, honest audit of where your time actually goes.
+        </p>
+      </div>
+
+      <div className="sheet-card animate__animated animate__fadeInUp">
+        <div className="table-responsive">
+          <table className="table align-middle sheet-table">
+            <thead>
+              <tr>
+                <th>Activity</th>
+                <th>Role</th>
+                <th>Energy required</th>
+                <th>Value</th>
+                <th>Time spent (min)</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.id} className={pareto.vitalFew.includes(row) ? 'vital-row' : ''}>
+                  <td>
+                    <input
+                      type="text"
+                      className="form-control form-control-sm"
+                      placeholder="e.g. Email triage"
+                      value={row.activity}
+                      onChange={(e) => updateRow(row.id, { activity: e.target.value })}
+                      aria-label="Activity"
+                    />
+                  </td>
+                  <td>
+                    <select
+                      className="form-select form-select-sm"
+                      value={row.role}
+                      onChange={(e) => updateRow(row.id, { role: e.target.value })}
+                      aria-label="Role"
+                    >
+                      <option value="">-</option>
+                      {getActiveRoles(roles).map((role) => (
+                        <option key={role.id} value={role.id}>{role.name}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <select
+                      className="form-select form-select-sm"
+                      value={row.energy}
+                      onChange={(e) => updateRow(row.id, { energy: e.target.value })}
+                      aria-label="Energy required"
+                    >
+                      {energyLevels.map((level) => (
+                        <option key={level.id} value={level.id}>{level.name}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <select
+                      className="form-select form-select-sm"
+                      value={row.value}
+                      onChange={(e) => updateRow(row.id, { value: Number(e.target.value) })}
+                      aria-label="Value"
+                    >
+                      {VALUE_SCALE.map((value) => (
+                        <option key={value.id} value={value.id}>{value.id} - {value.name}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      step="5"
+                      className="form-control form-control-sm sheet-minutes"
+                      value={row.minutes}
+                      onChange={(e) => updateRow(row.id, { minutes: e.target.value })}
+                      aria-label="Time spent in minutes"
+                    />
+                  </td>
+                  <td className="text-end">
+                    <button
+                      className="btn btn-sm btn-link text-danger"
+                      onClick={() => removeRow(row.id)}
+                      aria-label="Remove row"
+                    >
+                      <i className="fas fa-times"></i>
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr>
+                <th colSpan="4">Total</th>
+                <th>{formatDuration(totals.minutes)}</th>
+                <th></th>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+
+        <div className="d-flex flex-wrap gap-2 mb-4">
+          <button className="btn btn-primary" onClick={() => setRows([...rows, createRow()])}>
+            <i className="fas fa-plus me-2"></i>
+            Add Activity
+          </button>
+          <button className="btn btn-outline-success" onClick={handleExport}>
+            <i className="fas fa-file-csv me-2"></i>
+            Export CSV
+          </button>
+          <button className="btn btn-outline-secondary ms-auto" onClick={handleClear}>
+            <i className="fas fa-eraser me-2"></i>
+            Clear Sheet
+          </button>
+        </div>
+
+        <div className="row g-4">
+          <div className="col-md-6">
+            <h5 className="fw-bold mb-3">
+              <i className="fas fa-layer-group me-2"></i>
+              Time by Role
+            </h5>
+            {Object.entries(totals.byRole).map(([roleId, minutes]) => {
+              const role = findRole(roles, roleId);
+              return (
+                <div key={roleId} className="sheet-breakdown-row">
+                  <span className="sheet-breakdown-label">{role ? role.name : 'No role'}</span>
+                  <div className="sheet-breakdown-track">
+                    <div
+                      className="sheet-breakdown-bar"
+                      style={{ width: `${percent(minutes)}%`, backgroundColor: role ? role.color : '#adb5bd' }}
+                    ></div>
+                  </div>
+                  <span className="sheet-breakdown-value">{percent(minutes)}%</span>
+                </div>
+              );
+            })}
+
+            <h5 className="fw-bold mt-4 mb-3">
+              <i className="fas fa-bolt me-2"></i>
+              Time by Energy
+            </h5>
+            {energyLevels.map((level) => (
+              <div key={level.id} className="sheet-breakdown-row">
+                <span className="sheet-breakdown-label">{level.name}</span>
+                <div className="sheet-breakdown-track">
+                  <div
+                    className="sheet-breakdown-bar"
+                    style={{ width: `${percent(totals.byEnergy[level.id] || 0)}%`, backgroundColor: level.color }}
+                  ></div>
+                </div>
+                <span className="sheet-breakdown-value">{percent(totals.byEnergy[level.id] || 0)}%</span>
+              </div>
+            ))}
+          </div>
+
+          <div className="col-md-6">
+            <div className="pareto-box">
+              <h5 className="fw-bold mb-3">
+                <i className="fas fa-chart-pie me-2"></i>
+                The 80/20 Breakdown
+              </h5>
+              {pareto.vitalFew.length === 0 ? (
+                <p className="mb-0">Fill in a few activities to see which ones carry the value.</p>
+              ) : (
+                <>
+                  <p>
+                    <strong>{Math.round(pareto.timeShare * 100)}%</strong> of your time produces{' '}
+                    <strong>{Math.round(pareto.valueShare * 100)}%</strong> of the value.
+                  </p>
+                  <h6 className="fw-bold">
+                    <i className="fas fa-star me-2"></i>
+                    Protect (the vital few)
+                  </h6>
+                  <ul className="list-unstyled small mb-3">
+                    {pareto.vitalFew.map((row) => <li key={row.id}>{row.activity}</li>)}
+                  </ul>
+                  {pareto.trivialMany.length > 0 && (
+                    <>
+                      <h6 className="fw-bold">
+                        <i className="fas fa-cut me-2"></i>
+                        Remove, shrink or batch
+                      </h6>
+                      <ul className="list-unstyled small mb-0">
+                        {pareto.trivialMany.map((row) => <li key={row.id}>{row.activity}</li>)}
+                      </ul>
+                    </>
+                  )}
+                </>
+              )}
+              <p className="small opacity-75 mt-3 mb-0">
+                Vital few = the activities with the most value per minute that together make up {PARETO_THRESHOLD * 100}% of the value.
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TimeSheet;
@@ -0,0 +1,18 @@
+import React from 'react';
+import './UpdateBanner.css';
+
+const UpdateBanner = ({ visible, onReload }) => {
+  if (!visible) return null;
+
+  return (
+    <div className="update-banner animate__animated animate__fadeInDown" role="status">
+      <i className="fas fa-sync-alt"></i>
+      <span className="flex-grow-1">A new version of the app is ready.</span>
+      <button className="btn btn-sm btn-light" onClick={onReload}>
+        Reload
+      </button>
+    </div>
+  );
+};
+
+export default UpdateBanner;
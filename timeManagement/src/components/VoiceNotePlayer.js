@@ -0,0 +1,42 @@
+import React, { useState, useEffect } from 'react';
+import { loadVoiceNote } from '../utils/voiceNotes';
+
+const VoiceNotePlayer = ({ ideaId }) => {
+  const [url, setUrl] = useState(null);
+  const [missing, setMissing] = useState(false);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+
+    loadVoiceNote(ideaId)
+      .then((blob) => {
+        if (cancelled) return;
+        if (!blob) {
+          setMissing(true);
+          return;
+        }
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch(() => !cancelled && setMissing(true));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [ideaId]);
+
+  if (missing) {
+    return (
+      <span className="small text-muted">
+        <i className="fas fa-microphone-slash me-1"></i>
+        Recording not available in this browser
+      </span>
+    );
+  }
+
+  return url ? <audio controls src={url} className="voice-note-player" /> : null;
+};
+
+export default VoiceNotePlayer;
@@ -0,0 +1,75 @@
+import React from 'react';
+import './WarningSettings.css';
+import { WARNING_RULES, withDefaults, updateRule } from '../utils/warnings';
+
+const WarningSettings = ({ settings: storedSettings, onChange, activeWarnings }) => {
+  const settings = withDefaults(storedSettings);
+
+  return (
+    <div id="warnings" className="warning-settings-section">
+      <div className="text-center mb-4">
+        <h3 className="text-white fw-bold mb-2">
+          <i className="fas fa-heartbeat me-2"></i>
+          Burnout Warnings
+        </h3>
+        <p className="text-white-50">
+          A gentle card on the Energy page when your logs show you pushing against your energy.
+        </p>
+      </div>
+
+      <div className="row g-4">
+        {WARNING_RULES.map((rule) => {
+          const values = settings.rules[rule.id];
+          const showing = activeWarnings.some((warning) => warning.id === rule.id);
+          return (
+            <div key={rule.id} className="col-lg-4">
+              <div className={`warning-rule-card ${values.enabled ? '' : 'disabled'}`}>
+                <div className="form-check form-switch mb-2">
+                  <input
+                    className="form-check-input"
+                    type="checkbox"
+                    id={`warning-${rule.id}`}
+                    checked={values.enabled}
+                    onChange={() => onChange(updateRule(settings, rule.id, { enabled: !values.enabled }))}
+                  />
+                  <label className="form-check-label fw-bold" htmlFor={`warning-${rule.id}`}>
+                    <i className={`fas ${rule.icon} me-2 text-warning`}></i>
+                    {rule.name}
+                  </label>
+                </div>
+                <p className="small text-muted">{rule.description}</p>
+                <div className="d-flex flex-wrap align-items-center gap-2 small">
+                  {rule.params.map((param) => (
+                    <React.Fragment key={param.id}>
+                      {param.label}
+                      <select
+                        className="form-select form-select-sm warning-select"
+                        value={values[param.id]}
+                        disabled={!values.enabled}
+                        aria-label={`${rule.name}: ${param.unit}`}
+                        onChange={(e) => onChange(updateRule(settings, rule.id, { [param.id]: Number(e.target.value) }))}
+                      >
+                        {Array.from({ length: param.max - param.min + 1 }, (_, index) => param.min + index).map((n) => (
+                          <option key={n} value={n}>{n}</option>
+                        ))}
+                      </select>
+                      {param.unit}
+                    </React.Fragment>
+                  ))}
+                </div>
+                {showing && (
+                  <p className="small mb-0 mt-3 warning-showing">
+                    <i className="fas fa-exclamation-circle me-2"></i>
+                    Showing now
+                  </p>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default WarningSettings;
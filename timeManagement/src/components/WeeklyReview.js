@@ -0,0 +1,474 @@
+import React, { useState, useEffect } from 'react';
+// Saved reviews are laid out as the same cards as the theory principles
+import './TheorySection.css';
+import './WeeklyReview.css';
+import usePersistentState from '../hooks/usePersistentState';
+import { STORAGE_KEYS } from '../utils/storage';
+import { formatDay } from '../utils/dates';
+import { findRole, roleGradient } from '../utils/roles';
+import { routeHref } from '../utils/routes';
+import { ENERGY_SCORES, ENERGY_COLORS, scoreToLevel } from '../utils/analytics';
+import { IDEA_STATUS } from '../utils/ideas';
+import { resolveImage } from '../data/images';
+import {
+  REVIEW_STEPS,
+  weekStartFor,
+  weekStats,
+  ideasForWeek,
+  createReview,
+  saveReview,
+  findReview,
+  reviewBefore,
+  compareReviews
+} from '../utils/weeklyReview';
+
+const levelNames = { high: 'High', medium: 'Medium', low: 'Low' };
+
+const scoreName = (score) => levelNames[scoreToLevel(score)];
+
+const weekLabel = (weekStart) => `Week of ${formatDay(`${weekStart}T12:00:00`)}`;
+
+const formatValue = (value, digits) => (typeof value === 'number' ? value.toFixed(digits) : '-');
+
+const WeeklyReview = ({ roles, checkIns, tasks, ideas, plans, selectedId, onSelect }) => {
+  const [reviews, setReviews] = usePersistentState(STORAGE_KEYS.reviews, []);
+  const [weeksAgo, setWeeksAgo] = useState(0);
+  const [step, setStep] = useState(0);
+  // null compares with the review before; '' means compare with nothing
+  const [compareId, setCompareId] = useState(null);
+
+  const weekStart = weekStartFor(weeksAgo);
+  const draftFor = (week) => {
+    const existing = findReview(reviews, week);
+    return existing
+      ? { wentWell: { ...existing.wentWell }, adjustment: existing.adjustment }
+      : { wentWell: {}, adjustment: '' };
+  };
+  const [draft, setDraft] = useState(() => draftFor(weekStart));
+
+  const stats = weekStats({ checkIns, tasks, ideas, plans }, weekStart);
+  const existing = findReview(reviews, weekStart);
+  const lastReview = reviewBefore(reviews, weekStart);
+  const currentStep = REVIEW_STEPS[step];
+  const weekIdeas = ideasForWeek(ideas, weekStart);
+  // Archived roles only come up when they still saw some activity this week
+  const reviewRoles = roles.filter((role) => !role.archived || stats.roles[role.id]);
+
+  // The open review lives in the URL (#/review/<id>) so a past week can be linked to
+  const openReview = reviews.find((review) => review.id === selectedId) || null;
+  const openReviewId = openReview ? openReview.id : null;
+  const compareWith = openReview && compareId !== '' && (
+    compareId === null
+      ? reviewBefore(reviews, openReview.weekStart)
+      : reviews.find((review) => review.id === compareId && review.id !== openReview.id)
+  );
+
+  useEffect(() => {
+    setCompareId(null);
+    if (!openReviewId) return undefined;
+    const timeout = setTimeout(() => {
+      const element = document.getElementById(`review-${openReviewId}`);
+      if (element) element.scrollIntoView({ block: 'nearest' });
+    }, 100);
+    return () => clearTimeout(timeout);
+  }, [openReviewId]);
+
+  const chooseWeek = (offset) => {
+    setWeeksAgo(offset);
+    setDraft(draftFor(weekStartFor(offset)));
+    setStep(0);
+  };
+
+  const setWentWell = (roleId, text) => {
+    setDraft({ ...draft, wentWell: { ...draft.wentWell, [roleId]: text } });
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!draft.adjustment.trim()) return;
+    const review = createReview({ weekStart, ...draft, stats });
+    setReviews((prev) => saveReview(prev, review));
+    setStep(0);
+    onSelect(review.id);
+  };
+
+  const deleteReview = (id) => {
+    if (window.confirm('Delete this review?')) {
+      setReviews((prev) => prev.filter((review) => review.id !== id));
+      onSelect(null);
+    }
+  };
+
+  const roleName = (roleId) => {
+    const role = findRole(roles, roleId);
+    return role ? role.name : roleId;
+  };
+
+  const renderProgress = (label, done, planned, hint) => (
+    <div className="review-progress-row">
+      <div className="d-flex justify-content-between mb-1">
+        <span className="fw-semibold">{label}</span>
+        <span className="text-muted">{planned ? `${done} of ${planned}` : done}</span>
+      </div>
+      <div className="progress review-progress">
+        <div
+          className="progress-bar"
+          style={{ width: `${planned ? Math.min(100, (done / planned) * 100) : (done ? 100 : 0)}%` }}
+        ></div>
+      </div>
+      {hint && <small className="text-muted">{hint}</small>}
+    </div>
+  );
+
+  const energyTrend = () => {
+    if (stats.energyAverage === null) return 'No energy check-ins this week yet.';
+    const average = `${scoreName(stats.energyAverage)} on average (${stats.energyAverage.toFixed(1)} of ${ENERGY_SCORES.high})`;
+    if (stats.previousEnergyAverage === null) return `${average}.`;
+    const change = stats.energyAverage - stats.previousEnergyAverage;
+    if (Math.abs(change) < 0.1) return `${average}, about the same as the week before.`;
+    return `${average}, ${change > 0 ? 'up' : 'down'} ${Math.abs(change).toFixed(1)} on the week before.`;
+  };
+
+  return (
+    <div id="review" className="weekly-review-section">
+      <div className="text-center mb-4 animate__animated animate__fadeInDown">
+        <h2 className="display-5 text-white fw-bold mb-3">
+          <i className="fas fa-clipboard-list me-2"></i>
+          Weekly Review
+        </h2>
+        <p className="lead text-white-50">
+          Five short steps: look back at the week, then pick one thing to change.
+        </p>
+      </div>
+
+      <div className="review-wizard animate__animated animate__fadeInUp mb-5">
+        <div className="d-flex justify-content-between align-items-center flex-wrap gap-2 mb-3">
+          <h4 className="fw-bold mb-0">
+            {weekLabel(weekStart)}
+            {existing && <span className="badge bg-success ms-2 review-saved-badge">Reviewed</span>}
+          </h4>
+          <div className="btn-group" role="group" aria-label="Week to review">
+            {['This week', 'Last week'].map((label, offset) => (
+              <button
+                key={label}
+                className={`btn ${weeksAgo === offset ? 'btn-primary' : 'btn-outline-primary'}`}
+                onClick={() => chooseWeek(offset)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="review-steps mb-4">
+          {REVIEW_STEPS.map((s, index) => (
+            <button
+              key={s.id}
+              className={`review-step ${index === step ? 'active' : ''} ${index < step ? 'done' : ''}`}
+              onClick={() => setStep(index)}
+            >
+              <span className="review-step-number">
+                {index < step ? <i className="fas fa-check"></i> : index + 1}
+              </span>
+              <span className="review-step-name">
+                <i className={`fas ${s.icon} me-1`}></i>
+                {s.name}
+              </span>
+            </button>
+          ))}
+        </div>
+
+        <form className="animate__animated animate__fadeIn" key={currentStep.id} onSubmit={handleSave}>
+          {currentStep.id === 'roles' && (
+            <>
+              <p className="text-muted">What went well in each of your roles? Skip any that had a quiet week.</p>
+              <div className="row g-4">
+                {reviewRoles.map((role) => {
+                  const activity = stats.roles[role.id] || { checkIns: 0, tasksDone: 0 };
+                  return (
+                    <div key={role.id} className="col-md-6 col-lg-4">
+                      <div className="theory-card review-role-card" style={{ background: roleGradient(role.color) }}>
+                        <div
+                          className="theory-card-image"
+                          style={{ backgroundImage: role.image ? `url(${resolveImage(role.image)})` : 'none', height: '110px' }}
+                        >
+                          <div className="image-overlay"></div>
+                          <div className="theory-icon">
+                            <i className={`fas ${role.icon}`}></i>
+                          </div>
+                        </div>
+                        <div className="theory-card-body p-4 text-white">
+                          <h5 className="fw-bold mb-2">{role.name}</h5>
+                          <p className="small mb-3">
+                            {activity.checkIns} check-in{activity.checkIns === 1 ? '' : 's'}
+                            {' · '}
+                            {activity.tasksDone} task{activity.tasksDone === 1 ? '' : 's'} done
+                          </p>
+                          <textarea
+                            className="form-control"
+                            rows="3"
+                            placeholder="What went well?"
+                            aria-label={`What went well as ${role.name}`}
+                            value={draft.wentWell[role.id] || ''}
+                            onChange={(e) => setWentWell(role.id, e.target.value)}
+                          />
+                        </div>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </>
+          )}
+
+          {currentStep.id === 'energy' && (
+            <>
+              <p className="mb-3">
+                <i className="fas fa-bolt me-2 text-warning"></i>
+                {energyTrend()}
+              </p>
+              {stats.days.map((day) => (
+                <div key={day.key} className="review-energy-row">
+                  <span className="review-energy-label">{day.label}</span>
+                  <div className="review-energy-track">
+                    <div
+                      className="review-energy-bar"
+                      style={{
+                        width: `${((day.average || 0) / ENERGY_SCORES.high) * 100}%`,
+                        backgroundColor: ENERGY_COLORS[scoreToLevel(day.average || 0)]
+                      }}
+                    ></div>
+                  </div>
+                  <span className="review-energy-value">
+                    {day.average === null ? '-' : `${scoreName(day.average)} · ${day.count}`}
+                  </span>
+                </div>
+              ))}
+            </>
+          )}
+
+          {currentStep.id === 'plans' && (
+            <>
+              <p className="text-muted">How much of what you planned actually happened?</p>
+              {renderProgress('Weekly goals', stats.goalsDone, stats.goalsPlanned,
+                stats.goalsPlanned ? null : 'No weekly goals were set for this week.')}
+              {renderProgress('Daily priorities', stats.prioritiesDone, stats.prioritiesPlanned,
+                stats.prioritiesPlanned ? null : 'No daily priorities were set this week.')}
+              {renderProgress('Tasks completed', stats.tasksDone, 0,
+                `${stats.tasksAdded} task${stats.tasksAdded === 1 ? '' : 's'} added this week.`)}
+              <a className="small" href={routeHref('planner')}>
+                <i className="fas fa-calendar-check me-1"></i>
+                See which goals got daily attention
+              </a>
+            </>
+          )}
+
+          {currentStep.id === 'ideas' && (
+            <>
+              <p className="text-muted">
+                {stats.ideasCaptured
+                  ? `${stats.ideasCaptured} idea${stats.ideasCaptured === 1 ? '' : 's'} captured, ${stats.ideasConverted} turned into tasks.`
+                  : 'No ideas captured this week.'}
+              </p>
+              {weekIdeas.length > 0 && (
+                <ul className="list-unstyled review-idea-list mb-3">
+                  {weekIdeas.map((idea) => (
+                    <li key={idea.id}>
+                      <i className={`fas ${idea.hasAudio ? 'fa-microphone' : 'fa-lightbulb'} me-2 text-warning`}></i>
+                      {idea.text || 'Voice note'}
+                      {idea.role && <span className="text-muted"> · {roleName(idea.role)}</span>}
+                      {idea.status !== IDEA_STATUS.inbox && (
+                        <span className="badge bg-light text-dark ms-2">{idea.status}</span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <a className="small" href={routeHref('metro')}>
+                <i className="fas fa-inbox me-1"></i>
+                Process the idea inbox
+              </a>
+            </>
+          )}
+
+          {currentStep.id === 'adjust' && (
+            <>
+              {lastReview && lastReview.adjustment && (
+                <div className="review-last-adjustment mb-3">
+                  <small className="text-muted d-block">{weekLabel(lastReview.weekStart)}, you decided:</small>
+                  <i className="fas fa-quote-left me-2"></i>
+                  {lastReview.adjustment}
+                </div>
+              )}
+              <label className="form-label fw-semibold" htmlFor="review-adjustment">
+                One thing to do differently next week
+              </label>
+              <input
+                id="review-adjustment"
+                className="form-control mb-3"
+                placeholder="e.g. Keep Tuesday mornings free for product work"
+                value={draft.adjustment}
+                onChange={(e) => setDraft({ ...draft, adjustment: e.target.value })}
+              />
+            </>
+          )}
+
+          <div className="d-flex justify-content-between mt-4">
+            <button
+              type="button"
+              className="btn btn-outline-secondary"
+              onClick={() => setStep(step - 1)}
+              disabled={step === 0}
+            >
+              <i className="fas fa-arrow-left me-2"></i>
+              Back
+            </button>
+            {step < REVIEW_STEPS.length - 1 ? (
+              <button type="button" className="btn btn-primary" onClick={() => setStep(step + 1)}>
+                Next
+                <i className="fas fa-arrow-right ms-2"></i>
+              </button>
+            ) : (
+              <button type="submit" className="btn btn-success" disabled={!draft.adjustment.trim()}>
+                <i className="fas fa-save me-2"></i>
+                {existing ? 'Update Review' : 'Save Review'}
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+
+      <h3 className="text-white fw-bold mb-4 text-center">
+        <i className="fas fa-history me-2"></i>
+        Past Reviews
+      </h3>
+
+      {reviews.length === 0 ? (
+        <div className="review-empty text-center">
+          <i className="fas fa-seedling mb-3"></i>
+          <p className="mb-0">Saved reviews show up here, so you can compare one week with another.</p>
+        </div>
+      ) : (
+        <div className="row g-4">
+          {reviews.map((review) => {
+            const isOpen = openReview && openReview.id === review.id;
+            const notes = Object.keys(review.wentWell);
+            return (
+              <div key={review.id} className={isOpen ? 'col-12' : 'col-md-6 col-lg-4'}>
+                <div
+                  id={`review-${review.id}`}
+                  className={`theory-card ${isOpen ? 'expanded' : ''}`}
+                  style={{ background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)' }}
+                  onClick={() => onSelect(isOpen ? null : review.id)}
+                >
+                  <div
+                    className="theory-card-image"
+                    style={{ backgroundImage: `url(${resolveImage('wins')})`, height: isOpen ? '150px' : '120px' }}
+                  >
+                    <div className="image-overlay"></div>
+                    <div className="theory-icon">
+                      <i className="fas fa-clipboard-list"></i>
+                    </div>
+                  </div>
+
+                  <div className="theory-card-body p-4 text-white">
+                    <h4 className="fw-bold mb-3">{weekLabel(review.weekStart)}</h4>
+
+                    <div className="solution-box">
+                      <h6 className="mb-2">
+                        <i className="fas fa-check-circle me-2"></i>
+                        Went well:
+                      </h6>
+                      {notes.length === 0 ? (
+                        <p className="small mb-0">Nothing noted.</p>
+                      ) : (
+                        (isOpen ? notes : notes.slice(0, 1)).map((roleId) => (
+                          <p key={roleId} className="small mb-1">
+                            <strong>{roleName(roleId)}:</strong> {review.wentWell[roleId]}
+                          </p>
+                        ))
+                      )}
+                      {!isOpen && notes.length > 1 && (
+                        <p className="small mb-0">+{notes.length - 1} more</p>
+                      )}
+                    </div>
+
+                    <div className="why-box">
+                      <h6 className="mb-2">
+                        <i className="fas fa-sliders-h me-2"></i>
+                        Adjustment:
+                      </h6>
+                      <p className="small mb-0">{review.adjustment}</p>
+                    </div>
+
+                    {isOpen && (
+                      // Picking what to compare with shouldn't collapse the card
+                      <div className="theory-expanded-content" onClick={(e) => e.stopPropagation()}>
+                        <div className="benefits-box">
+                          <div className="d-flex justify-content-between align-items-center flex-wrap gap-2 mb-3">
+                            <h6 className="mb-0">
+                              <i className="fas fa-balance-scale me-2"></i>
+                              Compared with:
+                            </h6>
+                            <select
+                              className="form-select form-select-sm review-compare-select"
+                              value={compareWith ? compareWith.id : ''}
+                              onChange={(e) => setCompareId(e.target.value)}
+                              aria-label="Review to compare with"
+                            >
+                              <option value="">Nothing</option>
+                              {reviews.filter((r) => r.id !== review.id).map((r) => (
+                                <option key={r.id} value={r.id}>{weekLabel(r.weekStart)}</option>
+                              ))}
+                            </select>
+                          </div>
+                          <table className="table table-sm review-compare-table mb-0">
+                            <thead>
+                              <tr>
+                                <th></th>
+                                <th className="text-end">This review</th>
+                                {compareWith && <th className="text-end">Other</th>}
+                                {compareWith && <th className="text-end">Change</th>}
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {compareReviews(review, compareWith).map((row) => (
+                                <tr key={row.id}>
+                                  <td>{row.name}</td>
+                                  <td className="text-end">{formatValue(row.value, row.digits)}</td>
+                                  {compareWith && <td className="text-end">{formatValue(row.otherValue, row.digits)}</td>}
+                                  {compareWith && (
+                                    <td className={`text-end ${row.delta > 0 ? 'review-up' : ''} ${row.delta < 0 ? 'review-down' : ''}`}>
+                                      {row.delta === null ? '-' : `${row.delta > 0 ? '+' : ''}${row.delta.toFixed(row.digits)}`}
+                                    </td>
+                                  )}
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+
+                        <div className="text-center mt-4">
+                          <button className="btn btn-outline-light btn-sm me-2" onClick={() => deleteReview(review.id)}>
+                            <i className="fas fa-trash me-2"></i>
+                            Delete
+                          </button>
+                          <button className="btn btn-light btn-sm" onClick={() => onSelect(null)}>
+                            <i className="fas fa-compress me-2"></i>
+                            Show Less
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WeeklyReview;
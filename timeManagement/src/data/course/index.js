@@ -0,0 +1,27 @@
+import course from './course.json';
+import { parseLesson } from '../../utils/lessonMarkdown';
+
+// Markdown lessons are bundled as static assets, so webpack hands back their URLs
+const markdownFiles = require.context('./lessons', false, /\.md$/);
+
+export const courseSections = course.sections;
+
+export const loadMarkdownLessons = () => Promise.all(
+  markdownFiles.keys().map(key =>
+    fetch(markdownFiles(key))
+      .then(response => response.text())
+      .then(parseLesson)
+  )
+);
+
+// Slot Markdown lessons into their sections by number; a JSON lesson with the same id wins
+export const mergeLessons = (sections, lessons) => sections.map(section => {
+  const extra = lessons.filter(lesson =>
+    lesson.section === section.id && !section.lessons.some(existing => existing.id === lesson.id)
+  );
+  if (extra.length === 0) return section;
+  return {
+    ...section,
+    lessons: [...section.lessons, ...extra].sort((a, b) => a.number - b.number)
+  };
+});
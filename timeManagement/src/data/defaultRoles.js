@@ -0,0 +1,59 @@
+// The four roles the app ships with. They seed the user's role registry and
+// can be renamed, recolored or archived like any role the user creates.
+export const defaultRoles = [
+  {
+    id: 'office',
+    name: 'Office',
+    icon: 'fa-briefcase',
+    color: '#3498db',
+    description: 'Job responsibilities',
+    image: 'office',
+    archived: false
+  },
+  {
+    id: 'product',
+    name: 'Product',
+    icon: 'fa-rocket',
+    color: '#e74c3c',
+    description: 'Building your product',
+    image: 'product',
+    archived: false
+  },
+  {
+    id: 'growth',
+    name: 'Growth',
+    icon: 'fa-seedling',
+    color: '#2ecc71',
+    description: 'Learning, thinking',
+    image: 'growth',
+    archived: false
+  },
+  {
+    id: 'recovery',
+    name: 'Recovery',
+    icon: 'fa-spa',
+    color: '#9b59b6',
+    description: 'Rest, travel, reset',
+    image: 'recovery',
+    archived: false
+  }
+];
+
+export const ROLE_ICONS = [
+  'fa-briefcase',
+  'fa-rocket',
+  'fa-seedling',
+  'fa-spa',
+  'fa-home',
+  'fa-child',
+  'fa-code',
+  'fa-paint-brush',
+  'fa-dumbbell',
+  'fa-graduation-cap',
+  'fa-users',
+  'fa-hand-holding-heart',
+  'fa-music',
+  'fa-pen-nib',
+  'fa-lightbulb',
+  'fa-star'
+];
@@ -0,0 +1,65 @@
+// Built-in task suggestions per role and energy level. The user's own library
+// starts from these and can be reset back to them at any time.
+// `general` holds the role-agnostic suggestions shown on the energy cards.
+const defaultTaskText = {
+  general: {
+    high: [
+      'Product architecture thinking',
+      'Writing PRD / roadmap',
+      'Solving hard problems',
+      'Making important decisions',
+      'Creative brainstorming'
+    ],
+    medium: [
+      'Office emails & reviews',
+      'Product documentation',
+      'Planning next steps',
+      'Code reviews',
+      'Team communication'
+    ],
+    low: [
+      'Listening to podcasts',
+      'Reading articles',
+      'Reviewing ideas',
+      'Watching tutorials',
+      'Light organizing'
+    ]
+  },
+  office: {
+    high: ['Strategic planning', 'Important presentations', 'Key decisions'],
+    medium: ['Emails & reviews', 'Team meetings', 'Documentation'],
+    low: ['Reading reports', 'Light organizing', 'Listening to recordings']
+  },
+  product: {
+    high: ['Architecture design', 'Complex problem solving', 'PRD writing'],
+    medium: ['Feature development', 'Code reviews', 'Documentation'],
+    low: ['Learning new tech', 'Reading docs', 'Watching tutorials']
+  },
+  growth: {
+    high: ['Deep thinking', 'Strategy planning', 'Research analysis'],
+    medium: ['Course learning', 'Article writing', 'Note-taking'],
+    low: ['Podcasts', 'Light reading', 'Video tutorials']
+  },
+  recovery: {
+    high: ['Meditation', 'Exercise planning', 'Goal setting'],
+    medium: ['Light reading', 'Music listening', 'Social connection'],
+    low: ['Resting', 'Mindful breathing', 'Gentle activities']
+  }
+};
+
+export const GENERAL_BUCKET = 'general';
+
+export const getDefaultTasks = (bucketId, energy) =>
+  ((defaultTaskText[bucketId] || {})[energy] || []).map((text, index) => ({
+    id: `${bucketId}-${energy}-${index}`,
+    text
+  }));
+
+export const defaultTaskLibrary = Object.keys(defaultTaskText).reduce((library, bucketId) => ({
+  ...library,
+  [bucketId]: {
+    high: getDefaultTasks(bucketId, 'high'),
+    medium: getDefaultTasks(bucketId, 'medium'),
+    low: getDefaultTasks(bucketId, 'low')
+  }
+}), {});
@@ -0,0 +1,40 @@
+import office from './office.svg';
+import product from './product.svg';
+import growth from './growth.svg';
+import recovery from './recovery.svg';
+import energy from './energy.svg';
+import momentum from './momentum.svg';
+import metro from './metro.svg';
+import flow from './flow.svg';
+import wins from './wins.svg';
+
+// Illustrations ship with the app (and are precached by the service worker),
+// so role and theory cards look the same offline. Data refers to them by key.
+export const bundledImages = {
+  office,
+  product,
+  growth,
+  recovery,
+  energy,
+  momentum,
+  metro,
+  flow,
+  wins
+};
+
+// Earlier versions pointed the built-in roles at Unsplash photos, and those
+// URLs are still in saved role registries
+const legacyImages = {
+  'photo-1521737604893-d14cc237f11d': 'office',
+  'photo-1460925895917-afdab827c52f': 'product',
+  'photo-1503676260728-1c00da094a0b': 'growth',
+  'photo-1506126613408-eca07ce68773': 'recovery'
+};
+
+// An image key, a legacy Unsplash URL or any other URL -> something to put in url()
+export const resolveImage = (image) => {
+  if (!image) return null;
+  if (bundledImages[image]) return bundledImages[image];
+  const legacy = Object.keys(legacyImages).find((photo) => image.includes(`images.unsplash.com/${photo}`));
+  return legacy ? bundledImages[legacyImages[legacy]] : image;
+};
@@ -0,0 +1,261 @@
+// The principles behind the app, shown as cards in the theory section. Each
+// one ends with a quick quiz and a reflection prompt rendered by LessonBlocks,
+// and `apply` opens the live tool (a section id) where it can be practised.
+export const theoryPrinciples = [
+  {
+    id: 'energy-vs-time',
+    title: 'Energy vs Time: The Paradigm Shift',
+    icon: 'fa-exchange-alt',
+    color: '#e74c3c',
+    gradient: 'linear-gradient(135deg, #e74c3c 0%, #c0392b 100%)',
+    image: 'energy',
+    content: {
+      problem: 'Traditional time management asks: "What time should I work?"',
+      solution: 'Energy management asks: "What type of energy do I have right now?"',
+      why: 'Time is finite and fixed. Energy is renewable and variable. By matching tasks to energy levels, you work smarter, not harder.',
+      benefits: [
+        'Higher quality output when energy matches task difficulty',
+        'Reduced burnout and stress',
+        'Natural flow state achievement',
+        'Better work-life balance'
+      ]
+    },
+    apply: {
+      label: 'Check my energy now',
+      tool: 'energy',
+      completeOn: 'energy',
+      goal: 'Pick the energy level you have right now.'
+    },
+    blocks: [
+      {
+        type: 'quiz',
+        id: 'quiz',
+        question: 'What does energy management ask that time management doesn\'t?',
+        options: [
+          { text: 'What time should I start working?', correct: false, explanation: 'That is the time-management question this principle moves away from.' },
+          { text: 'What type of energy do I have right now?', correct: true, explanation: 'Right. The task follows your current energy, not the clock.' },
+          { text: 'How many hours can I fit into today?', correct: false, explanation: 'Counting hours treats every hour as equal, which energy management rejects.' }
+        ]
+      },
+      {
+        type: 'reflection',
+        id: 'reflection',
+        prompt: 'When in a typical day is your energy highest, and what do you usually spend that time on?'
+      }
+    ]
+  },
+  {
+    id: 'role-based-intent',
+    title: 'Role-Based Intent: Beyond Time Blocks',
+    icon: 'fa-layer-group',
+    color: '#3498db',
+    gradient: 'linear-gradient(135deg, #3498db 0%, #2980b9 100%)',
+    image: 'office',
+    content: {
+      problem: 'Time blocks force you into rigid schedules that break when life happens.',
+      solution: 'Role-based buckets assign intent, not time. You know what role you\'re in, not when.',
+      why: 'Life is unpredictable. Office hours change. Travel happens. Energy fluctuates. Intent adapts; time blocks break.',
+      benefits: [
+        'Flexibility to adapt to changing circumstances',
+        'Clear mental model of what to focus on',
+        'Reduced guilt when schedules change',
+        'Better alignment with real-world demands'
+      ]
+    },
+    apply: {
+      label: 'Open my Product bucket',
+      tool: 'roles',
+      preset: { role: 'product' },
+      completeOn: 'task',
+      goal: 'Finish one task from the bucket of the role you\'re in.'
+    },
+    blocks: [
+      {
+        type: 'quiz',
+        id: 'quiz',
+        question: 'Why do role-based buckets survive a disrupted day better than time blocks?',
+        options: [
+          { text: 'They assign intent, not a time slot', correct: true, explanation: 'Yes. You always know which role you\'re in, even when the schedule moves.' },
+          { text: 'They schedule more work into each hour', correct: false, explanation: 'Roles aren\'t about packing hours; they\'re about knowing what to focus on.' },
+          { text: 'They remove the need to plan', correct: false, explanation: 'You still plan, just around intent instead of fixed slots.' }
+        ]
+      },
+      {
+        type: 'reflection',
+        id: 'reflection',
+        prompt: 'Which of your roles gets squeezed out first when the week gets busy? Why?'
+      }
+    ]
+  },
+  {
+    id: 'momentum-over-focus',
+    title: 'Momentum Over Focus: The Anti-Perfectionism Model',
+    icon: 'fa-rocket',
+    color: '#2ecc71',
+    gradient: 'linear-gradient(135deg, #2ecc71 0%, #27ae60 100%)',
+    image: 'momentum',
+    content: {
+      problem: 'Waiting for perfect focus means waiting forever. Perfectionism kills progress.',
+      solution: 'Momentum > Motivation > Focus. Small progress compounds. One step is enough.',
+      why: 'Focus is unreliable. Motivation is fleeting. Momentum is sustainable. Small actions build into big results.',
+      benefits: [
+        'Consistent progress even on low-focus days',
+        'Reduced procrastination',
+        'Compound effect of small wins',
+        'Sustainable long-term growth'
+      ]
+    },
+    apply: {
+      label: 'Name my smallest task',
+      tool: 'control',
+      preset: { prompt: 'What step is so small it feels easy?' },
+      completeOn: 'checkIn',
+      goal: 'Log a check-in with the smallest useful task you can do.'
+    },
+    blocks: [
+      {
+        type: 'quiz',
+        id: 'quiz',
+        question: 'In this model, what comes first?',
+        options: [
+          { text: 'Focus', correct: false, explanation: 'Focus is unreliable, so waiting for it stalls progress.' },
+          { text: 'Motivation', correct: false, explanation: 'Motivation is fleeting; it tends to follow action rather than precede it.' },
+          { text: 'Momentum', correct: true, explanation: 'Correct. Momentum > Motivation > Focus: one small step gets things moving.' }
+        ]
+      },
+      {
+        type: 'reflection',
+        id: 'reflection',
+        prompt: 'What is one task you\'ve been waiting to feel ready for? What is the smallest step you could take today?'
+      }
+    ]
+  },
+  {
+    id: 'travel-productivity',
+    title: 'Travel Time: The Hidden Productivity Goldmine',
+    icon: 'fa-subway',
+    color: '#9b59b6',
+    gradient: 'linear-gradient(135deg, #9b59b6 0%, #8e44ad 100%)',
+    image: 'metro',
+    content: {
+      problem: '3 hours daily in transit = 15 hours/week = 60 hours/month of "wasted" time.',
+      solution: 'Use travel for low-focus, high-consistency activities. Feed your mind, don\'t drain it.',
+      why: 'Travel time is consistent but low-focus. Perfect for learning, planning, and idea capture. Not for deep work.',
+      benefits: [
+        'Transform dead time into growth time',
+        'Consistent learning without extra effort',
+        'Better use of unavoidable travel',
+        'Reduced stress about "lost" time'
+      ]
+    },
+    apply: {
+      label: 'Start a commute session',
+      tool: 'metro',
+      preset: { category: 'Audio Learning' },
+      completeOn: 'commute',
+      goal: 'Run and save one commute session.'
+    },
+    blocks: [
+      {
+        type: 'quiz',
+        id: 'quiz',
+        question: 'Which activity best fits commute time?',
+        options: [
+          { text: 'Deep coding on a hard problem', correct: false, explanation: 'Travel is low-focus time; deep work suffers from the interruptions.' },
+          { text: 'Listening to a podcast or planning tomorrow', correct: true, explanation: 'Exactly. Learning, planning and capturing ideas fit low-focus, consistent time.' },
+          { text: 'Making stressful decisions', correct: false, explanation: 'High-stakes decisions deserve better energy than a crowded train.' }
+        ]
+      },
+      {
+        type: 'reflection',
+        id: 'reflection',
+        prompt: 'How much time do you spend in transit each week, and what would you like that time to feed?'
+      }
+    ]
+  },
+  {
+    id: 'flow-state',
+    title: 'Flow State: The Natural High Performance Zone',
+    icon: 'fa-water',
+    color: '#16a085',
+    gradient: 'linear-gradient(135deg, #16a085 0%, #138d75 100%)',
+    image: 'flow',
+    content: {
+      problem: 'Forcing work when energy is low creates stress, poor quality, and burnout.',
+      solution: 'Match task difficulty to energy level. Flow happens naturally when challenge meets capacity.',
+      why: 'Flow state occurs when you\'re fully engaged in an activity that matches your current energy. It can\'t be forced, only facilitated.',
+      benefits: [
+        'Natural peak performance without forcing',
+        'Intrinsic motivation and enjoyment',
+        'Higher quality work with less effort',
+        'Sustainable high performance'
+      ]
+    },
+    apply: {
+      label: 'Match a task to my energy',
+      tool: 'energy',
+      completeOn: 'task',
+      goal: 'Finish one task that fits your current energy.'
+    },
+    blocks: [
+      {
+        type: 'quiz',
+        id: 'quiz',
+        question: 'When does flow tend to happen?',
+        options: [
+          { text: 'When you force yourself through a hard task on low energy', correct: false, explanation: 'Forcing work against low energy usually creates stress, not flow.' },
+          { text: 'When the challenge matches your current capacity', correct: true, explanation: 'Right. Flow can\'t be forced, only facilitated by matching difficulty to energy.' },
+          { text: 'When you remove every easy task from your day', correct: false, explanation: 'Easy tasks have their place on low-energy moments; flow is about fit.' }
+        ]
+      },
+      {
+        type: 'reflection',
+        id: 'reflection',
+        prompt: 'Describe the last time you lost track of time while working. What was your energy like?'
+      }
+    ]
+  },
+  {
+    id: 'small-wins',
+    title: 'Small Wins: The Compound Effect',
+    icon: 'fa-chart-line',
+    color: '#f39c12',
+    gradient: 'linear-gradient(135deg, #f39c12 0%, #e67e22 100%)',
+    image: 'wins',
+    content: {
+      problem: 'Big goals feel overwhelming. All-or-nothing thinking leads to nothing.',
+      solution: 'Break everything into smallest useful tasks. One step compounds into progress.',
+      why: 'Small wins build confidence, create momentum, and compound over time. Perfectionism waits; progress acts.',
+      benefits: [
+        'Overcome procrastination with tiny steps',
+        'Build consistent habits',
+        'Achieve big goals through small actions',
+        'Maintain motivation through progress'
+      ]
+    },
+    apply: {
+      label: 'Shrink a big goal',
+      tool: 'control',
+      preset: { prompt: 'Break a big goal down: what is the first tiny step?' },
+      completeOn: 'checkIn',
+      goal: 'Log a check-in with the first tiny step of a big goal.'
+    },
+    blocks: [
+      {
+        type: 'quiz',
+        id: 'quiz',
+        question: 'What is the best way to start an overwhelming goal?',
+        options: [
+          { text: 'Wait until you have a full free day', correct: false, explanation: 'That day rarely comes. All-or-nothing thinking usually leads to nothing.' },
+          { text: 'Break it into the smallest useful task and do that', correct: true, explanation: 'Yes. Small wins build confidence and momentum that compound.' },
+          { text: 'Plan every step in detail before starting', correct: false, explanation: 'Some planning helps, but perfectionism waits while progress acts.' }
+        ]
+      },
+      {
+        type: 'reflection',
+        id: 'reflection',
+        prompt: 'Which big goal feels heavy right now? Write down the smallest useful first step.'
+      }
+    ]
+  }
+];
@@ -0,0 +1,38 @@
+import { useState, useEffect, useCallback } from 'react';
+import { parseRoute, routeHref } from '../utils/routes';
+
+// The current hash route and a navigate(section, param, { replace }) to move.
+// Each navigation is a history entry, so the back button steps through them.
+const useHashRoute = () => {
+  const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+
+  useEffect(() => {
+    const handleHashChange = () => {
+      const next = parseRoute(window.location.hash);
+      const canonical = routeHref(next.section, next.param);
+      // Tidy old-style anchors (#sheet) into routes without adding a history entry
+      if (window.location.hash !== canonical) {
+        window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}${canonical}`);
+      }
+      setRoute(next);
+    };
+    handleHashChange();
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  const navigate = useCallback((section, param = null, { replace = false } = {}) => {
+    const href = routeHref(section, param);
+    if (window.location.hash === href) return;
+    if (replace) {
+      window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}${href}`);
+      setRoute({ section, param });
+    } else {
+      window.location.hash = href;
+    }
+  }, []);
+
+  return [route, navigate];
+};
+
+export default useHashRoute;
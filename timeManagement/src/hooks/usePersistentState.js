@@ -0,0 +1,15 @@
+import { useState, useEffect } from 'react';
+import { loadState, saveState } from '../utils/storage';
+
+// Drop-in replacement for useState that survives a page reload
+const usePersistentState = (key, initialValue) => {
+  const [value, setValue] = useState(() => loadState(key, initialValue));
+
+  useEffect(() => {
+    saveState(key, value);
+  }, [key, value]);
+
+  return [value, setValue];
+};
+
+export default usePersistentState;
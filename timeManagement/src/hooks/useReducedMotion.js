@@ -0,0 +1,28 @@
+import { useState, useEffect } from 'react';
+import usePersistentState from './usePersistentState';
+import { STORAGE_KEYS } from '../utils/storage';
+
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+const systemPrefersReducedMotion = () => (
+  Boolean(window.matchMedia) && window.matchMedia(QUERY).matches
+);
+
+// Follows the operating system setting until the user flips the toggle;
+// after that their choice wins. Returns [reduced, setReduced].
+const useReducedMotion = () => {
+  const [choice, setChoice] = usePersistentState(STORAGE_KEYS.reducedMotion, null);
+  const [systemReduced, setSystemReduced] = useState(systemPrefersReducedMotion);
+
+  useEffect(() => {
+    if (!window.matchMedia) return undefined;
+    const media = window.matchMedia(QUERY);
+    const handleChange = (e) => setSystemReduced(e.matches);
+    media.addEventListener('change', handleChange);
+    return () => media.removeEventListener('change', handleChange);
+  }, []);
+
+  return [choice === null ? systemReduced : choice, setChoice];
+};
+
+export default useReducedMotion;
@@ -0,0 +1,76 @@
+import { useEffect, useRef } from 'react';
+import { notifyWithActions, maxNotificationActions } from '../utils/notifications';
+import { routeHref } from '../utils/routes';
+import { dueReminder, isQuietNow, reminderNotification } from '../utils/reminders';
+import { syncBackgroundReminders, laterFired } from '../utils/backgroundReminders';
+
+const TICK_MS = 30 * 1000;
+const ENERGIES = ['high', 'medium', 'low'];
+
+// Runs the check-in reminder schedule while the app is open, hands it to the
+// service worker for while it's closed (see utils/backgroundReminders), and
+// passes every answer (a notification button, or ?checkin=level when the
+// notification opened a fresh tab) to onEnergyReply.
+const useReminders = ({ settings, setSettings, currentRole, onEnergyReply }) => {
+  const replyRef = useRef(onEnergyReply);
+  replyRef.current = onEnergyReply;
+
+  useEffect(() => {
+    if (!settings.enabled) return undefined;
+
+    const tick = () => {
+      const now = new Date();
+      if (!dueReminder(settings, now)) return;
+      setSettings((prev) => ({ ...prev, lastFiredAt: now.toISOString() }));
+      if (isQuietNow(settings, now, currentRole)) return;
+
+      const { title, body, options } = reminderNotification(maxNotificationActions());
+      notifyWithActions(title, body, options).then((notification) => {
+        // A plain notification (no service worker) can only bring the app forward
+        if (notification) {
+          notification.onclick = () => {
+            window.focus();
+            window.location.hash = routeHref('energy');
+          };
+        }
+      });
+    };
+
+    tick();
+    const interval = setInterval(tick, TICK_MS);
+    return () => clearInterval(interval);
+  }, [settings, setSettings, currentRole]);
+
+  // A reminder the service worker showed while the app was closed counts here too
+  useEffect(() => {
+    syncBackgroundReminders(settings, currentRole).then((lastFiredAt) => {
+      if (!lastFiredAt) return;
+      setSettings((prev) => (
+        laterFired(prev.lastFiredAt, lastFiredAt) === prev.lastFiredAt ? prev : { ...prev, lastFiredAt }
+      ));
+    });
+  }, [settings, setSettings, currentRole]);
+
+  useEffect(() => {
+    if (!('serviceWorker' in navigator)) return undefined;
+    const handleMessage = (event) => {
+      if (event.data && event.data.type === 'ENERGY_CHECK_IN' && ENERGIES.includes(event.data.energy)) {
+        replyRef.current(event.data.energy);
+      }
+    };
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+  }, []);
+
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const energy = params.get('checkin');
+    if (!ENERGIES.includes(energy)) return;
+    replyRef.current(energy);
+    params.delete('checkin');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  }, []);
+};
+
+export default useReminders;
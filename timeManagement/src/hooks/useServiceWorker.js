@@ -0,0 +1,32 @@
+import { useState, useEffect } from 'react';
+import { register, applyUpdate } from '../serviceWorkerRegistration';
+
+// Installs the offline service worker and tracks connectivity.
+// Returns { online, updateReady, reloadToUpdate }.
+const useServiceWorker = () => {
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [waitingRegistration, setWaitingRegistration] = useState(null);
+
+  useEffect(() => {
+    register({ onUpdate: setWaitingRegistration });
+  }, []);
+
+  useEffect(() => {
+    const goOnline = () => setOnline(true);
+    const goOffline = () => setOnline(false);
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, []);
+
+  return {
+    online,
+    updateReady: Boolean(waitingRegistration),
+    reloadToUpdate: () => applyUpdate(waitingRegistration)
+  };
+};
+
+export default useServiceWorker;
@@ -0,0 +1,89 @@
+/* eslint-disable no-restricted-globals */
+
+// Offline support. Create React App compiles this file with Workbox at build
+// time: self.__WB_MANIFEST becomes the list of every file in the build (JS,
+// CSS, fonts, bundled illustrations and Markdown lessons), all precached on
+// install so the app opens and runs with no connection.
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+import { REMINDER_TAG, dueReminder, isQuietNow, reminderNotification } from './utils/reminders';
+import { loadBackgroundReminders, saveBackgroundReminders } from './utils/backgroundReminders';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Every page load is the single-page app shell
+const fileExtensionRegexp = /[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false;
+    if (url.pathname.startsWith('/_')) return false;
+    if (url.pathname.match(fileExtensionRegexp)) return false;
+    return true;
+  },
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Images from elsewhere (e.g. a custom role picture) are kept once seen
+registerRoute(
+  ({ request, url }) => request.destination === 'image' && url.origin !== self.location.origin,
+  new StaleWhileRevalidate({
+    cacheName: 'remote-images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50, maxAgeSeconds: 30 * 24 * 60 * 60 })]
+  })
+);
+
+// Lets the page switch to a freshly installed version straight away
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// Check-in reminders while the app is closed (see utils/backgroundReminders).
+// An open tab runs the schedule itself. A wake-up can come hours after a
+// reminder was due, so any of today's missed ones still counts.
+const showDueReminder = () => Promise.all([
+  loadBackgroundReminders(),
+  self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+]).then(([stored, clients]) => {
+  if (!stored || clients.length > 0) return undefined;
+  const { settings, currentRole } = stored;
+  const now = new Date();
+  if (!dueReminder(settings, now, { graceMinutes: Infinity })) return undefined;
+
+  const saved = saveBackgroundReminders({ ...stored, settings: { ...settings, lastFiredAt: now.toISOString() } });
+  if (isQuietNow(settings, now, currentRole)) return saved;
+  const maxActions = self.Notification && self.Notification.maxActions !== undefined ? self.Notification.maxActions : 2;
+  const { title, body, options } = reminderNotification(maxActions);
+  return saved.then(() => self.registration.showNotification(title, { body, ...options }));
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === REMINDER_TAG) event.waitUntil(showDueReminder());
+});
+
+// Energy check-in reminders: an action button (high / medium / low) is the
+// answer. It goes to an open tab if there is one, otherwise a new tab picks it
+// up from the URL. Tapping the notification body just opens the app.
+self.addEventListener('notificationclick', (event) => {
+  const { notification, action } = event;
+  if (!notification.data || notification.data.kind !== REMINDER_TAG) return;
+  notification.close();
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      const client = clients[0];
+      if (client) {
+        if (action) client.postMessage({ type: 'ENERGY_CHECK_IN', energy: action });
+        return client.focus();
+      }
+      return self.clients.openWindow(action ? `./?checkin=${action}` : './#/energy');
+    })
+  );
+});
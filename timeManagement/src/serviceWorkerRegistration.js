@@ -0,0 +1,39 @@
+// Registers the Workbox service worker built from src/service-worker.js.
+// Production builds only: in development it would cache stale bundles.
+export const register = ({ onUpdate } = {}) => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  // The app is served from PUBLIC_URL; a worker on another origin could not control it
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  navigator.serviceWorker
+    .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+    .then((registration) => {
+      const notifyWhenInstalled = (worker) => {
+        worker.addEventListener('statechange', () => {
+          // A worker installed next to an active one is an update waiting its turn
+          if (worker.state === 'installed' && navigator.serviceWorker.controller && onUpdate) {
+            onUpdate(registration);
+          }
+        });
+      };
+
+      if (registration.waiting && navigator.serviceWorker.controller && onUpdate) {
+        onUpdate(registration);
+      }
+      registration.addEventListener('updatefound', () => {
+        if (registration.installing) notifyWhenInstalled(registration.installing);
+      });
+    })
+    .catch(() => {
+      // Without a service worker the app still works, just not offline
+    });
+};
+
+// Activates a waiting update and reloads once it has taken over
+export const applyUpdate = (registration) => {
+  if (!registration || !registration.waiting) return;
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload());
+  registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+};
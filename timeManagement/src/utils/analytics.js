@@ -0,0 +1,93 @@
+import { toDateKey, addDays, startOfWeek } from './dates';
+
+export const ENERGY_SCORES = { low: 1, medium: 2, high: 3 };
+
+// The colours of the low / medium / high energy cards, used wherever energy is drawn
+export const ENERGY_COLORS = {
+  high: '#ff6b6b',
+  medium: '#4ecdc4',
+  low: '#95a5a6'
+};
+
+// An average score (1-3) back to the level it is closest to
+export const scoreToLevel = (score) => {
+  if (score >= 2.5) return 'high';
+  if (score >= 1.5) return 'medium';
+  return 'low';
+};
+
+export const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+export const average = (values) =>
+  values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+const withEnergy = (checkIns) => checkIns.filter((c) => ENERGY_SCORES[c.energy]);
+
+// Average energy score (1-3) for each hour of the day, null where nothing was logged
+export const energyByHour = (checkIns) => {
+  const buckets = Array.from({ length: 24 }, () => []);
+  withEnergy(checkIns).forEach((c) => {
+    buckets[new Date(c.timestamp).getHours()].push(ENERGY_SCORES[c.energy]);
+  });
+  return buckets.map((scores, hour) => ({ hour, average: average(scores), count: scores.length }));
+};
+
+// Same as energyByHour, but Monday-first across the week
+export const energyByWeekday = (checkIns) => {
+  const buckets = Array.from({ length: 7 }, () => []);
+  withEnergy(checkIns).forEach((c) => {
+    buckets[(new Date(c.timestamp).getDay() + 6) % 7].push(ENERGY_SCORES[c.energy]);
+  });
+  return buckets.map((scores, index) => ({
+    label: WEEKDAY_LABELS[index],
+    average: average(scores),
+    count: scores.length
+  }));
+};
+
+// Check-in counts per role for each of the last `weeks` weeks, oldest first
+export const roleDistributionByWeek = (checkIns, weeks = 6, now = new Date()) => {
+  const firstWeek = addDays(startOfWeek(now), -7 * (weeks - 1));
+  const rows = Array.from({ length: weeks }, (_, index) => ({
+    weekStart: toDateKey(addDays(firstWeek, index * 7)),
+    roles: {},
+    total: 0
+  }));
+
+  checkIns.forEach((c) => {
+    if (!c.role) return;
+    const row = rows.find((r) => r.weekStart === toDateKey(startOfWeek(c.timestamp)));
+    if (!row) return;
+    row.roles[c.role] = (row.roles[c.role] || 0) + 1;
+    row.total += 1;
+  });
+
+  return rows;
+};
+
+// Streaks of consecutive days with at least one logged "smallest task".
+// Today without a task yet doesn't break the current streak - the day isn't over.
+export const taskStreaks = (checkIns, now = new Date()) => {
+  const days = new Set(
+    checkIns.filter((c) => c.task && c.task.trim()).map((c) => toDateKey(c.timestamp))
+  );
+
+  let current = 0;
+  let cursor = days.has(toDateKey(now)) ? new Date(now) : addDays(now, -1);
+  while (days.has(toDateKey(cursor))) {
+    current += 1;
+    cursor = addDays(cursor, -1);
+  }
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  [...days].sort().forEach((key) => {
+    const isNextDay = previous && toDateKey(addDays(new Date(`${previous}T12:00:00`), 1)) === key;
+    run = isNextDay ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = key;
+  });
+
+  return { current, longest, activeDays: days.size };
+};
@@ -0,0 +1,57 @@
+import { REMINDER_TAG } from './reminders';
+
+// Check-in reminders while the app is closed. Where the browser offers periodic
+// background sync (Chrome and Edge, for an installed app) the service worker
+// wakes up now and then and shows a reminder that came due. A service worker
+// can't read localStorage, so the page keeps a copy of the schedule for it in
+// Cache Storage. The browser decides how often it wakes, so these can be late.
+// Used by both the page and the service worker.
+
+const STORE_CACHE = 'energy-time-manager-reminders';
+const STORE_URL = `${process.env.PUBLIC_URL}/reminder-settings.json`;
+// Ask for a wake-up at most this often; browsers may wait much longer
+const MIN_SYNC_INTERVAL_MS = 60 * 60 * 1000;
+
+// { settings, currentRole } as last saved, or null
+export const loadBackgroundReminders = () => caches.open(STORE_CACHE)
+  .then((cache) => cache.match(STORE_URL))
+  .then((response) => (response ? response.json() : null))
+  .catch(() => null);
+
+export const saveBackgroundReminders = (state) => caches.open(STORE_CACHE)
+  .then((cache) => cache.put(STORE_URL, new Response(JSON.stringify(state), {
+    headers: { 'Content-Type': 'application/json' }
+  })));
+
+// The later of two lastFiredAt values, so neither side repeats a reminder the other showed
+export const laterFired = (a, b) => {
+  if (!a || !b) return a || b || null;
+  return new Date(a) >= new Date(b) ? a : b;
+};
+
+const registerSync = (registration, enabled) => {
+  if (!enabled) return registration.periodicSync.unregister(REMINDER_TAG).then(() => false);
+  return navigator.permissions.query({ name: 'periodic-background-sync' })
+    .then((status) => {
+      if (status.state !== 'granted') return false;
+      return registration.periodicSync.register(REMINDER_TAG, { minInterval: MIN_SYNC_INTERVAL_MS })
+        .then(() => true);
+    });
+};
+
+// Hands the page's schedule to the service worker and (un)registers the
+// wake-ups. Resolves to the merged lastFiredAt, or null where unsupported.
+export const syncBackgroundReminders = (settings, currentRole) => {
+  if (!('serviceWorker' in navigator) || typeof caches === 'undefined') return Promise.resolve(null);
+  return navigator.serviceWorker.ready
+    .then((registration) => {
+      if (!('periodicSync' in registration)) return null;
+      return loadBackgroundReminders().then((stored) => {
+        const lastFiredAt = laterFired(settings.lastFiredAt, stored && stored.settings.lastFiredAt);
+        return saveBackgroundReminders({ settings: { ...settings, lastFiredAt }, currentRole: currentRole || null })
+          .then(() => registerSync(registration, settings.enabled))
+          .then(() => lastFiredAt);
+      });
+    })
+    .catch(() => null);
+};
@@ -0,0 +1,257 @@
+import { STORAGE_PREFIX } from './storage';
+import { emptyPlans } from './plans';
+import { emptyProgress } from './courseProgress';
+import { emptyLearning } from './learning';
+import { emptyPractice } from './practice';
+
+// A backup is one JSON file holding everything under STORAGE_KEYS, plus voice
+// notes as data URLs when asked for. `version` changes whenever the file's
+// shape does; older files are brought up to date by MIGRATIONS on import.
+export const BACKUP_FORMAT = 'energy-time-manager-backup';
+export const BACKUP_VERSION = 1;
+
+// How each stored value is checked, and how it combines with what's already
+// on this device when merging:
+//   list    - array of records with an id; records are matched by id
+//   object  - nested maps (plans, progress, ...) merged key by key
+//   keep    - settings and running sessions; this device's value wins if set
+// `fields` (objects) and `record` (list entries) name the parts the app reads
+// without checking; a trailing "?" allows null. Objects with `defaults` get
+// any missing fields filled in, so `"learning": {}` is still usable.
+const SCHEMA = {
+  selectedEnergy: { type: 'string', merge: 'keep' },
+  selectedRole: { type: 'string', merge: 'keep' },
+  dailyAnswers: { type: 'object', merge: 'keep' },
+  checkIns: { type: 'list', merge: 'list', record: { timestamp: 'string' } },
+  taskLibrary: { type: 'object', merge: 'object' },
+  roles: { type: 'list', merge: 'list', record: { name: 'string' } },
+  tasks: { type: 'list', merge: 'list', record: { title: 'string' } },
+  commuteSessions: { type: 'list', merge: 'list' },
+  activeCommute: { type: 'object', merge: 'keep' },
+  ideas: { type: 'list', merge: 'list' },
+  plans: {
+    type: 'object',
+    merge: 'object',
+    fields: { longTerm: 'list', weekly: 'list', daily: 'list' },
+    defaults: emptyPlans
+  },
+  timeSheet: { type: 'list', merge: 'list' },
+  courseProgress: {
+    type: 'object',
+    merge: 'object',
+    fields: { completed: 'object', timeSpent: 'object', lastLessonId: 'string?' },
+    defaults: emptyProgress
+  },
+  learning: {
+    type: 'object',
+    merge: 'object',
+    fields: { quizzes: 'object', reflections: 'object' },
+    defaults: emptyLearning
+  },
+  practice: {
+    type: 'object',
+    merge: 'object',
+    fields: { active: 'object?', practised: 'object' },
+    defaults: emptyPractice
+  },
+  reducedMotion: { type: 'boolean', merge: 'keep' },
+  focusSessions: { type: 'list', merge: 'list' },
+  activeFocus: { type: 'object', merge: 'keep' },
+  focusNotifications: { type: 'boolean', merge: 'keep' },
+  calendar: { type: 'object', merge: 'keep' },
+  reminders: { type: 'object', merge: 'keep' },
+  reviews: { type: 'list', merge: 'list', record: { weekStart: 'string' } },
+  warnings: { type: 'object', merge: 'keep' }
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Version 0 is a raw localStorage dump, e.g. from
+// copy(JSON.stringify(localStorage)) in the browser console: prefixed keys
+// with every value still JSON-encoded as a string.
+const MIGRATIONS = {
+  0: (backup) => {
+    const data = {};
+    Object.entries(backup).forEach(([key, raw]) => {
+      if (!key.startsWith(STORAGE_PREFIX)) return;
+      try {
+        data[key.slice(STORAGE_PREFIX.length)] = typeof raw === 'string' ? JSON.parse(raw) : raw;
+      } catch (error) {
+        data[key.slice(STORAGE_PREFIX.length)] = raw;
+      }
+    });
+    return { format: BACKUP_FORMAT, version: 1, exportedAt: null, data, voiceNotes: {} };
+  }
+};
+
+export const createBackup = (data, voiceNotes = {}) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  data,
+  voiceNotes
+});
+
+const detectVersion = (backup) => {
+  if (backup.format === BACKUP_FORMAT) return backup.version;
+  if (Object.keys(backup).some((key) => key.startsWith(STORAGE_PREFIX))) return 0;
+  return null;
+};
+
+const hasType = (value, type) => {
+  if (type.endsWith('?')) return value === null || hasType(value, type.slice(0, -1));
+  if (type === 'list') return Array.isArray(value);
+  if (type === 'object') return isPlainObject(value);
+  return typeof value === type;
+};
+
+const TYPE_NAMES = { list: 'a list', object: 'an object', string: 'a string', boolean: 'a boolean' };
+
+const describeType = (type) => (
+  type.endsWith('?') ? `${TYPE_NAMES[type.slice(0, -1)]} or null` : TYPE_NAMES[type]
+);
+
+const checkValue = (key, value) => {
+  if (value === null) return null;
+  const { type, fields = {}, record = {} } = SCHEMA[key];
+  if (type === 'list') {
+    if (!Array.isArray(value)) return `${key} should be a list`;
+    const bad = value.findIndex((item) => !isPlainObject(item) || typeof item.id !== 'string');
+    if (bad !== -1) return `${key} entry ${bad + 1} has no id`;
+    for (let index = 0; index < value.length; index++) {
+      const missing = Object.keys(record).find((field) => !hasType(value[index][field], record[field]));
+      if (missing) return `${key} entry ${index + 1} has no valid ${missing}`;
+    }
+    return null;
+  }
+  if (!hasType(value, type)) return `${key} should be ${describeType(type)}`;
+  const wrong = Object.keys(fields).find((field) => field in value && !hasType(value[field], fields[field]));
+  return wrong ? `${key}.${wrong} should be ${describeType(fields[wrong])}` : null;
+};
+
+// Fills in fields an older or hand-edited file left out
+const normalize = (key, value) => {
+  const { defaults } = SCHEMA[key];
+  return defaults && value !== null ? { ...defaults, ...value } : value;
+};
+
+// Parses, migrates and validates a backup file. Unknown keys are dropped with
+// a warning; anything malformed is an error and nothing should be imported.
+export const readBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    return { errors: ['This file is not valid JSON.'], warnings: [], backup: null };
+  }
+  if (!isPlainObject(backup)) {
+    return { errors: ['This file is not an Energy Time Manager backup.'], warnings: [], backup: null };
+  }
+
+  let version = detectVersion(backup);
+  if (version === null || !Number.isInteger(version)) {
+    return { errors: ['This file is not an Energy Time Manager backup.'], warnings: [], backup: null };
+  }
+  if (version > BACKUP_VERSION) {
+    return {
+      errors: [`This backup was made by a newer version of the app (format ${version}). Update the app and try again.`],
+      warnings: [],
+      backup: null
+    };
+  }
+  while (version < BACKUP_VERSION) {
+    backup = MIGRATIONS[version](backup);
+    version = backup.version;
+  }
+
+  if (!isPlainObject(backup.data)) {
+    return { errors: ['The backup has no data section.'], warnings: [], backup: null };
+  }
+
+  const errors = [];
+  const warnings = [];
+  const data = {};
+  Object.entries(backup.data).forEach(([key, value]) => {
+    if (!SCHEMA[key]) {
+      warnings.push(`Skipped unknown entry "${key}".`);
+      return;
+    }
+    const problem = checkValue(key, value);
+    if (problem) {
+      errors.push(`${problem}.`);
+    } else {
+      data[key] = normalize(key, value);
+    }
+  });
+
+  const voiceNotes = {};
+  Object.entries(isPlainObject(backup.voiceNotes) ? backup.voiceNotes : {}).forEach(([id, url]) => {
+    if (typeof url === 'string' && url.startsWith('data:')) {
+      voiceNotes[id] = url;
+    } else {
+      warnings.push(`Skipped a voice note that could not be read (${id}).`);
+    }
+  });
+
+  return { errors, warnings, backup: { ...backup, data, voiceNotes } };
+};
+
+// Keeps this device's order; matching records are swapped for the imported copy
+const mergeLists = (current, incoming) => {
+  const byId = new Map(incoming.map((item) => [item.id, item]));
+  const currentIds = new Set(current.map((item) => item.id));
+  return [
+    ...current.map((item) => byId.get(item.id) || item),
+    ...incoming.filter((item) => !currentIds.has(item.id))
+  ];
+};
+
+const mergeObjects = (current, incoming) => {
+  const merged = { ...current };
+  Object.entries(incoming).forEach(([key, value]) => {
+    const existing = merged[key];
+    if (isPlainObject(existing) && isPlainObject(value)) {
+      merged[key] = mergeObjects(existing, value);
+    } else if (Array.isArray(existing) && Array.isArray(value)) {
+      merged[key] = value.every((item) => isPlainObject(item) && item.id)
+        ? mergeLists(existing, value)
+        : [...existing, ...value.filter((item) => !existing.includes(item))];
+    } else {
+      merged[key] = value;
+    }
+  });
+  return merged;
+};
+
+// The stored values after importing `incoming` into `current` (both keyed like
+// STORAGE_KEYS). A key missing from the result should be removed from storage.
+export const combineData = (current, incoming, mode) => {
+  if (mode === 'replace') return { ...incoming };
+
+  const result = { ...current };
+  Object.entries(incoming).forEach(([key, value]) => {
+    const existing = current[key];
+    if (existing === undefined || existing === null) {
+      result[key] = value;
+      return;
+    }
+    if (value === null) return;
+    switch (SCHEMA[key].merge) {
+      case 'list':
+        result[key] = mergeLists(existing, value);
+        break;
+      case 'object':
+        result[key] = mergeObjects(existing, value);
+        break;
+      default:
+        break;
+    }
+  });
+  return result;
+};
+
+// Counts shown before importing, e.g. "42 check-ins"
+export const summarizeData = (data) => ['checkIns', 'tasks', 'ideas', 'commuteSessions', 'focusSessions', 'roles']
+  .filter((key) => Array.isArray(data[key]))
+  .map((key) => ({ key, count: data[key].length }));
@@ -0,0 +1,419 @@
+import { toDateKey, addDays, startOfDay } from './dates';
+
+// A small iCalendar (.ics) reader: enough of RFC 5545 for the files calendar
+// apps export - single and recurring events, UTC / floating / TZID times,
+// all-day events, DURATION, EXDATE, moved instances (RECURRENCE-ID) and
+// cancelled or free events. Runs offline; time zones are resolved with the
+// browser's Intl data.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+// Recurrences are walked day by day; this bounds the walk for COUNT rules
+const MAX_RECURRENCE_DAYS = 3 * 366;
+// One-off events further ahead than this aren't kept after an import
+const KEEP_DAYS_AHEAD = 366;
+
+const unescapeText = (value) => value
+  .replace(/\\n/gi, '\n')
+  .replace(/\\([,;\\])/g, '$1');
+
+// "DTSTART;TZID=Europe/Paris:20240318T090000" -> { name, params, value }
+const parseLine = (line) => {
+  let inQuotes = false;
+  let split = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      split = i;
+      break;
+    }
+  }
+  if (split === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, split).split(';');
+  const params = {};
+  rawParams.forEach((param) => {
+    const [key, value = ''] = param.split('=');
+    params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(split + 1) };
+};
+
+// The wall-clock date and time in a time zone at a given instant
+const zonedFields = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant).reduce((map, part) => ({ ...map, [part.type]: Number(part.value) }), {});
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+};
+
+// Offset of a time zone from UTC at a given instant, in milliseconds
+const zoneOffset = (instant, timeZone) => {
+  const fields = zonedFields(instant, timeZone);
+  const asUtc = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+  return asUtc - instant;
+};
+
+const knownZone = (timeZone) => {
+  try {
+    zonedFields(new Date(), timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+const zonedToDate = (fields, timeZone) => {
+  const guess = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+  try {
+    const first = guess - zoneOffset(guess, timeZone);
+    // A second pass settles times near a daylight-saving switch
+    return new Date(guess - zoneOffset(first, timeZone));
+  } catch (e) {
+    // Unknown zone name: read it as local time rather than dropping the event
+    return new Date(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+  }
+};
+
+const parseDateValue = (value, params = {}) => {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const fields = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour || 0),
+    minute: Number(minute || 0),
+    second: Number(second || 0)
+  };
+
+  if (!hour || params.VALUE === 'DATE') {
+    return { date: new Date(fields.year, fields.month - 1, fields.day), allDay: true };
+  }
+  if (utc) {
+    return {
+      date: new Date(Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second)),
+      allDay: false,
+      timeZone: 'UTC'
+    };
+  }
+  if (params.TZID) {
+    return {
+      date: zonedToDate(fields, params.TZID),
+      allDay: false,
+      // Recurring instances are rebuilt in this zone, so they keep its wall-clock time
+      timeZone: knownZone(params.TZID) ? params.TZID : null
+    };
+  }
+  // Floating time: the same wall-clock time wherever you are
+  return { date: new Date(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second), allDay: false };
+};
+
+const parseDuration = (value) => {
+  const match = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const ms = ((Number(weeks || 0) * 7 + Number(days || 0)) * 24 * 3600
+    + Number(hours || 0) * 3600 + Number(minutes || 0) * 60 + Number(seconds || 0)) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+const parseRule = (value) => {
+  const rule = {};
+  value.split(';').forEach((part) => {
+    const [key, val] = part.split('=');
+    rule[key.toUpperCase()] = val;
+  });
+  if (!rule.FREQ) return null;
+  return {
+    freq: rule.FREQ.toUpperCase(),
+    interval: Number(rule.INTERVAL) || 1,
+    count: rule.COUNT ? Number(rule.COUNT) : null,
+    until: rule.UNTIL ? (parseDateValue(rule.UNTIL) || {}).date || null : null,
+    // Kept as written: "MO", or "1MO" / "-1FR" for the first Monday / last Friday of a month
+    byDay: rule.BYDAY ? rule.BYDAY.toUpperCase().split(',') : null
+  };
+};
+
+// Returns plain, storable events: { uid, summary, location, start, end, allDay, timeZone, busy, rule, exdates }
+export const parseIcs = (text) => {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  // Instances of a series that were moved or cancelled: { uid, day }
+  const overrides = [];
+  let current = null;
+
+  lines.forEach((raw) => {
+    const line = parseLine(raw);
+    if (!line) return;
+
+    if (line.name === 'BEGIN' && line.value.toUpperCase() === 'VEVENT') {
+      current = { exdates: [] };
+      return;
+    }
+    if (line.name === 'END' && line.value.toUpperCase() === 'VEVENT') {
+      if (current && current.uid && current.recurrenceId) {
+        overrides.push({ uid: current.uid, day: current.recurrenceId });
+      }
+      if (current && current.start && current.status !== 'CANCELLED') {
+        const end = current.end
+          || (current.duration !== undefined && current.duration !== null
+            ? new Date(current.start.getTime() + current.duration)
+            : new Date(current.start.getTime() + (current.allDay ? DAY_MS : 0)));
+        events.push({
+          uid: current.uid || `${current.start.toISOString()}-${events.length}`,
+          summary: current.summary || 'Busy',
+          location: current.location || '',
+          start: current.start.toISOString(),
+          end: end.toISOString(),
+          allDay: Boolean(current.allDay),
+          timeZone: current.timeZone || null,
+          busy: current.transparent !== true,
+          rule: current.rule || null,
+          exdates: current.exdates
+        });
+      }
+      current = null;
+      return;
+    }
+    if (!current) return;
+
+    switch (line.name) {
+      case 'UID':
+        current.uid = line.value;
+        break;
+      case 'SUMMARY':
+        current.summary = unescapeText(line.value);
+        break;
+      case 'LOCATION':
+        current.location = unescapeText(line.value);
+        break;
+      case 'STATUS':
+        current.status = line.value.toUpperCase();
+        break;
+      case 'TRANSP':
+        current.transparent = line.value.toUpperCase() === 'TRANSPARENT';
+        break;
+      case 'DTSTART': {
+        const parsed = parseDateValue(line.value, line.params);
+        if (parsed) {
+          current.start = parsed.date;
+          current.allDay = parsed.allDay;
+          current.timeZone = parsed.timeZone;
+        }
+        break;
+      }
+      case 'DTEND': {
+        const parsed = parseDateValue(line.value, line.params);
+        if (parsed) current.end = parsed.date;
+        break;
+      }
+      case 'DURATION':
+        current.duration = parseDuration(line.value);
+        break;
+      case 'RRULE':
+        current.rule = parseRule(line.value);
+        if (current.rule && current.rule.until) current.rule.until = current.rule.until.toISOString();
+        break;
+      case 'RECURRENCE-ID': {
+        const parsed = parseDateValue(line.value, line.params);
+        if (parsed) current.recurrenceId = toDateKey(parsed.date);
+        break;
+      }
+      case 'EXDATE':
+        line.value.split(',').forEach((value) => {
+          const parsed = parseDateValue(value, line.params);
+          if (parsed) current.exdates.push(toDateKey(parsed.date));
+        });
+        break;
+      default:
+        break;
+    }
+  });
+
+  // The override stands on its own, so the series skips that day
+  overrides.forEach(({ uid, day }) => {
+    const series = events.find((event) => event.uid === uid && event.rule);
+    if (series && !series.exdates.includes(day)) series.exdates.push(day);
+  });
+
+  return events;
+};
+
+const monthsBetween = (from, to) =>
+  (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth();
+
+// "-1FR" -> { weekday: 'FR', ordinal: -1 }; a plain "FR" has ordinal 0
+const parseByDay = (value) => {
+  const match = value.match(/^([+-]?\d+)?([A-Z]{2})$/);
+  return match ? { weekday: match[2], ordinal: Number(match[1] || 0) } : { weekday: value, ordinal: 0 };
+};
+
+// Whether the day is, say, the first Monday (1) or last Friday (-1) of its month
+const matchesOrdinal = (day, ordinal) => {
+  if (!ordinal) return true;
+  if (ordinal > 0) return Math.ceil(day.getDate() / 7) === ordinal;
+  const daysInMonth = new Date(day.getFullYear(), day.getMonth() + 1, 0).getDate();
+  return Math.ceil((daysInMonth - day.getDate() + 1) / 7) === -ordinal;
+};
+
+// Whether a recurring event's rule produces an occurrence on this calendar day
+const ruleMatchesDay = (rule, first, day) => {
+  const days = Math.round((startOfDay(day) - startOfDay(first)) / DAY_MS);
+  if (days < 0) return false;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return days % rule.interval === 0;
+    case 'WEEKLY': {
+      const weekdays = rule.byDay ? rule.byDay.map((value) => parseByDay(value).weekday) : [WEEKDAYS[first.getDay()]];
+      if (!weekdays.includes(WEEKDAYS[day.getDay()])) return false;
+      // Count whole weeks from the Monday-anchored week of the first occurrence
+      const firstWeekStart = addDays(startOfDay(first), -((first.getDay() + 6) % 7));
+      const weeks = Math.floor(Math.round((startOfDay(day) - firstWeekStart) / DAY_MS) / 7);
+      return weeks % rule.interval === 0;
+    }
+    case 'MONTHLY': {
+      if (monthsBetween(first, day) % rule.interval !== 0) return false;
+      if (!rule.byDay) return day.getDate() === first.getDate();
+      return rule.byDay.map(parseByDay).some(({ weekday, ordinal }) => (
+        weekday === WEEKDAYS[day.getDay()] && matchesOrdinal(day, ordinal)
+      ));
+    }
+    case 'YEARLY':
+      return day.getDate() === first.getDate()
+        && day.getMonth() === first.getMonth()
+        && (day.getFullYear() - first.getFullYear()) % rule.interval === 0;
+    default:
+      return false;
+  }
+};
+
+// Whether a recurring event has an instance starting on this day
+const occursOn = (event, day) => {
+  const first = new Date(event.start);
+  const key = toDateKey(day);
+  const { rule } = event;
+  if (rule.until && startOfDay(day) > new Date(rule.until)) return false;
+  if (event.exdates.includes(key)) return false;
+  if (!ruleMatchesDay(rule, first, day)) return false;
+  if (!rule.count) return true;
+
+  // COUNT includes excluded dates, so walk every candidate day up to this one
+  let seen = 0;
+  for (let offset = 0; offset <= MAX_RECURRENCE_DAYS; offset++) {
+    const candidate = addDays(startOfDay(first), offset);
+    if (ruleMatchesDay(rule, first, candidate)) seen += 1;
+    if (toDateKey(candidate) === key) return seen <= rule.count;
+  }
+  return false;
+};
+
+// The instance of a recurring event that starts on a given day
+const instanceOn = (event, day) => {
+  const first = new Date(event.start);
+  const length = new Date(event.end) - first;
+  if (event.allDay) {
+    const start = startOfDay(day);
+    return { ...event, start: start.toISOString(), end: addDays(start, Math.round(length / DAY_MS)).toISOString() };
+  }
+
+  let start;
+  if (event.timeZone) {
+    // Same wall-clock time in the event's own zone, across daylight-saving changes
+    const fields = zonedFields(first, event.timeZone);
+    const shifted = new Date(Date.UTC(fields.year, fields.month - 1, fields.day + Math.round((startOfDay(day) - startOfDay(first)) / DAY_MS)));
+    start = zonedToDate({
+      ...fields,
+      year: shifted.getUTCFullYear(),
+      month: shifted.getUTCMonth() + 1,
+      day: shifted.getUTCDate()
+    }, event.timeZone);
+  } else {
+    start = new Date(day);
+    start.setHours(first.getHours(), first.getMinutes(), first.getSeconds(), 0);
+  }
+  return { ...event, start: start.toISOString(), end: new Date(start.getTime() + length).toISOString() };
+};
+
+const instancesFor = (event, dayStart) => {
+  if (!event.rule) return [event];
+  // An instance that started on an earlier day can still run into this one
+  const span = Math.min(MAX_RECURRENCE_DAYS, Math.ceil((new Date(event.end) - new Date(event.start)) / DAY_MS));
+  const instances = [];
+  for (let back = Math.max(0, span); back >= 0; back--) {
+    const candidate = addDays(dayStart, -back);
+    if (occursOn(event, candidate)) instances.push(instanceOn(event, candidate));
+  }
+  return instances;
+};
+
+// The event instances that overlap a given day, with concrete start and end times
+export const eventsOnDay = (events, day) => {
+  const dayStart = startOfDay(day);
+  const dayEnd = addDays(dayStart, 1);
+  return events
+    .reduce((all, event) => all.concat(instancesFor(event, dayStart)), [])
+    .filter((event) => {
+      const start = new Date(event.start);
+      // Zero-length events still show on the day they happen
+      return start < dayEnd && (new Date(event.end) > dayStart || start >= dayStart);
+    })
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+};
+
+// Drops what can no longer show up from today on, so a long calendar history
+// doesn't fill the browser's storage
+export const upcomingEvents = (events, now = new Date()) => {
+  const today = startOfDay(now);
+  const horizon = addDays(today, KEEP_DAYS_AHEAD);
+  return events.filter((event) => (event.rule
+    ? !event.rule.until || new Date(event.rule.until) >= today
+    : new Date(event.end) >= today && new Date(event.start) < horizon));
+};
+
+// Half an hour of meetings is enough to break a high-energy hour
+export const CONFLICT_MINUTES = 30;
+
+// Lays the day's busy meetings over forecast hours (see forecastDay). Each hour
+// gains the minutes it is booked, the meetings involved and a conflict flag
+// when a predicted high-energy hour is mostly spoken for.
+export const overlayMeetings = (hours, dayEvents, day) => hours.map((h) => {
+  const slotStart = new Date(day);
+  slotStart.setHours(h.hour, 0, 0, 0);
+  const slotEnd = new Date(slotStart.getTime() + 60 * 60 * 1000);
+
+  const meetings = dayEvents.filter((event) => (
+    event.busy && !event.allDay && new Date(event.start) < slotEnd && new Date(event.end) > slotStart
+  ));
+  // Overlapping meetings count once: mark the booked minutes of the hour
+  const booked = new Array(60).fill(false);
+  meetings.forEach((event) => {
+    const from = Math.max(0, Math.floor((new Date(event.start) - slotStart) / 60000));
+    const to = Math.min(60, Math.ceil((new Date(event.end) - slotStart) / 60000));
+    for (let minute = from; minute < to; minute++) booked[minute] = true;
+  });
+  const meetingMinutes = booked.filter(Boolean).length;
+
+  return {
+    ...h,
+    meetingMinutes,
+    meetings,
+    conflict: h.level === 'high' && meetingMinutes >= CONFLICT_MINUTES
+  };
+});
@@ -0,0 +1,189 @@
+import { parseIcs, eventsOnDay, upcomingEvents } from './calendar';
+
+// Floating times, so the results don't depend on the machine's time zone
+const ics = (...events) => [
+  'BEGIN:VCALENDAR',
+  ...events.flatMap((lines) => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+  'END:VCALENDAR'
+].join('\r\n');
+
+const startsOn = (events, year, month, day) =>
+  eventsOnDay(events, new Date(year, month - 1, day)).map((event) => new Date(event.start).getHours());
+
+describe('monthly rules with BYDAY', () => {
+  const events = (rule) => parseIcs(ics([
+    'UID:monthly',
+    'DTSTART:20261005T090000',
+    'DTEND:20261005T100000',
+    `RRULE:${rule}`
+  ]));
+
+  it('places "1MO" on the first Monday of each month', () => {
+    const firstMonday = events('FREQ=MONTHLY;BYDAY=1MO');
+    expect(startsOn(firstMonday, 2026, 11, 2)).toEqual([9]);
+    expect(startsOn(firstMonday, 2026, 11, 5)).toEqual([]);
+    expect(startsOn(firstMonday, 2026, 11, 9)).toEqual([]);
+    expect(startsOn(firstMonday, 2026, 12, 7)).toEqual([9]);
+  });
+
+  it('counts a negative ordinal from the end of the month', () => {
+    const lastFriday = events('FREQ=MONTHLY;BYDAY=-1FR');
+    expect(startsOn(lastFriday, 2026, 10, 30)).toEqual([9]);
+    expect(startsOn(lastFriday, 2026, 10, 23)).toEqual([]);
+    expect(startsOn(lastFriday, 2026, 11, 27)).toEqual([9]);
+  });
+
+  it('reads a weekday without an ordinal as every such day of the month', () => {
+    const mondays = events('FREQ=MONTHLY;BYDAY=MO');
+    expect(startsOn(mondays, 2026, 11, 9)).toEqual([9]);
+    expect(startsOn(mondays, 2026, 11, 10)).toEqual([]);
+  });
+
+  it('keeps the interval and COUNT', () => {
+    const everyOther = events('FREQ=MONTHLY;INTERVAL=2;BYDAY=1MO;COUNT=2');
+    expect(startsOn(everyOther, 2026, 11, 2)).toEqual([]);
+    expect(startsOn(everyOther, 2026, 12, 7)).toEqual([9]);
+    expect(startsOn(everyOther, 2027, 2, 1)).toEqual([]);
+  });
+});
+
+describe('RECURRENCE-ID', () => {
+  const series = [
+    'UID:standup',
+    'DTSTART:20261019T090000',
+    'DTEND:20261019T093000',
+    'RRULE:FREQ=DAILY'
+  ];
+
+  it('shows a moved instance once, at its new time', () => {
+    const events = parseIcs(ics(series, [
+      'UID:standup',
+      'RECURRENCE-ID:20261020T090000',
+      'DTSTART:20261020T140000',
+      'DTEND:20261020T143000'
+    ]));
+    expect(startsOn(events, 2026, 10, 20)).toEqual([14]);
+    expect(startsOn(events, 2026, 10, 21)).toEqual([9]);
+  });
+
+  it('moves an instance to another day', () => {
+    const events = parseIcs(ics([
+      'UID:standup',
+      'RECURRENCE-ID:20261020T090000',
+      'DTSTART:20261021T160000',
+      'DTEND:20261021T163000'
+    ], series));
+    expect(startsOn(events, 2026, 10, 20)).toEqual([]);
+    expect(startsOn(events, 2026, 10, 21)).toEqual([9, 16]);
+  });
+
+  it('drops a cancelled instance', () => {
+    const events = parseIcs(ics(series, [
+      'UID:standup',
+      'RECURRENCE-ID:20261020T090000',
+      'DTSTART:20261020T090000',
+      'STATUS:CANCELLED'
+    ]));
+    expect(startsOn(events, 2026, 10, 20)).toEqual([]);
+    expect(startsOn(events, 2026, 10, 19)).toEqual([9]);
+  });
+});
+
+describe('recurring all-day events', () => {
+  it('shows a weekly all-day event on each of its days', () => {
+    const events = parseIcs(ics([
+      'UID:wfh',
+      'SUMMARY:WFH day',
+      'DTSTART;VALUE=DATE:20261019',
+      'RRULE:FREQ=WEEKLY'
+    ]));
+    const [instance] = eventsOnDay(events, new Date(2026, 9, 26));
+    expect(instance).toMatchObject({ summary: 'WFH day', allDay: true });
+    expect(new Date(instance.start)).toEqual(new Date(2026, 9, 26));
+    expect(new Date(instance.end)).toEqual(new Date(2026, 9, 27));
+    expect(eventsOnDay(events, new Date(2026, 9, 27))).toEqual([]);
+  });
+
+  it('shows a yearly all-day event once a year', () => {
+    const events = parseIcs(ics([
+      'UID:birthday',
+      'DTSTART;VALUE=DATE:20200304',
+      'DTEND;VALUE=DATE:20200305',
+      'RRULE:FREQ=YEARLY'
+    ]));
+    expect(eventsOnDay(events, new Date(2027, 2, 4))).toHaveLength(1);
+    expect(eventsOnDay(events, new Date(2027, 2, 5))).toEqual([]);
+  });
+});
+
+describe('eventsOnDay across midnight and time zones', () => {
+  const isoStarts = (events, day) => eventsOnDay(events, day).map((event) => new Date(event.start).getTime());
+
+  it('shows an event that runs past midnight on both days', () => {
+    const events = parseIcs(ics([
+      'UID:late',
+      'DTSTART:20261019T230000',
+      'DTEND:20261020T010000'
+    ]));
+    const start = new Date(2026, 9, 19, 23).getTime();
+    expect(isoStarts(events, new Date(2026, 9, 19))).toEqual([start]);
+    expect(isoStarts(events, new Date(2026, 9, 20))).toEqual([start]);
+    expect(isoStarts(events, new Date(2026, 9, 21))).toEqual([]);
+  });
+
+  it('carries a recurring late instance into the next day', () => {
+    const events = parseIcs(ics([
+      'UID:late-daily',
+      'DTSTART:20261019T230000',
+      'DTEND:20261020T010000',
+      'RRULE:FREQ=DAILY;COUNT=2'
+    ]));
+    expect(isoStarts(events, new Date(2026, 9, 20))).toEqual([
+      new Date(2026, 9, 19, 23).getTime(),
+      new Date(2026, 9, 20, 23).getTime()
+    ]);
+    expect(isoStarts(events, new Date(2026, 9, 21))).toEqual([new Date(2026, 9, 20, 23).getTime()]);
+  });
+
+  it('keeps a TZID series at its wall-clock time across a daylight-saving change', () => {
+    // New York leaves daylight saving time on 1 November 2026
+    const events = parseIcs(ics([
+      'UID:ny',
+      'DTSTART;TZID=America/New_York:20261026T090000',
+      'DTEND;TZID=America/New_York:20261026T093000',
+      'RRULE:FREQ=DAILY'
+    ]));
+    const before = new Date('2026-10-30T13:00:00Z');
+    const after = new Date('2026-11-02T14:00:00Z');
+    expect(isoStarts(events, before)).toContain(before.getTime());
+    expect(isoStarts(events, after)).toContain(after.getTime());
+    const [instance] = eventsOnDay(events, after).filter((event) => new Date(event.start).getTime() === after.getTime());
+    expect(new Date(instance.end) - new Date(instance.start)).toBe(30 * 60 * 1000);
+  });
+
+  it('keeps UTC series in UTC', () => {
+    const events = parseIcs(ics([
+      'UID:utc',
+      'DTSTART:20261026T130000Z',
+      'DTEND:20261026T133000Z',
+      'RRULE:FREQ=WEEKLY'
+    ]));
+    const next = new Date('2026-11-02T13:00:00Z');
+    expect(isoStarts(events, next)).toContain(next.getTime());
+  });
+});
+
+describe('upcomingEvents', () => {
+  const now = new Date(2026, 9, 19, 12);
+  const events = parseIcs(ics(
+    ['UID:past', 'DTSTART:20261001T090000', 'DTEND:20261001T100000'],
+    ['UID:earlier-today', 'DTSTART:20261019T080000', 'DTEND:20261019T090000'],
+    ['UID:far', 'DTSTART:20300101T090000', 'DTEND:20300101T100000'],
+    ['UID:ended-series', 'DTSTART:20260101T090000', 'RRULE:FREQ=DAILY;UNTIL=20260301T000000Z'],
+    ['UID:series', 'DTSTART:20250101T090000', 'RRULE:FREQ=WEEKLY']
+  ));
+
+  it('keeps what can still show from today on', () => {
+    expect(upcomingEvents(events, now).map((event) => event.uid)).toEqual(['earlier-today', 'series']);
+  });
+});
@@ -0,0 +1,15 @@
+import { createId } from './storage';
+
+const normalize = (value) => (value ? String(value).toLowerCase() : null);
+
+// A check-in is one answer to the three daily questions at a point in time
+export const createCheckIn = ({ energy, role, task, timestamp }) => ({
+  id: createId(),
+  timestamp: timestamp || new Date().toISOString(),
+  energy: normalize(energy),
+  role: normalize(role),
+  task: task ? task.trim() : ''
+});
+
+export const sortByNewest = (checkIns) =>
+  [...checkIns].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
@@ -0,0 +1,38 @@
+import { createId } from './storage';
+import { toDateKey, addDays, startOfWeek } from './dates';
+import { WEEKDAY_LABELS } from './analytics';
+
+// 1.5 hrs up + 1.5 hrs down, as the Metro section advertises
+export const LEG_MINUTES = 90;
+export const DAILY_BUDGET_MINUTES = LEG_MINUTES * 2;
+export const WORKING_DAYS = 5;
+
+export const startCommute = ({ leg, category }) => ({
+  id: createId(),
+  leg,
+  category,
+  startedAt: new Date().toISOString(),
+  endedAt: null,
+  note: ''
+});
+
+export const sessionMinutes = (session, now = new Date()) =>
+  Math.max(0, Math.round((new Date(session.endedAt || now) - new Date(session.startedAt)) / 60000));
+
+// Minutes logged per day this week (Monday first) against the daily commute budget
+export const weeklyCommuteSummary = (sessions, now = new Date()) => {
+  const monday = startOfWeek(now);
+  const days = WEEKDAY_LABELS.map((label, index) => {
+    const key = toDateKey(addDays(monday, index));
+    const minutes = sessions
+      .filter((session) => session.endedAt && toDateKey(session.startedAt) === key)
+      .reduce((sum, session) => sum + sessionMinutes(session), 0);
+    return { label, key, minutes };
+  });
+
+  return {
+    days,
+    total: days.reduce((sum, day) => sum + day.minutes, 0),
+    budget: DAILY_BUDGET_MINUTES * WORKING_DAYS
+  };
+};
@@ -0,0 +1,65 @@
+// Reading time beyond this is almost certainly an idle tab, not study
+const MAX_SESSION_SECONDS = 30 * 60;
+
+export const emptyProgress = {
+  completed: {},
+  timeSpent: {},
+  lastLessonId: null
+};
+
+const withDefaults = (progress) => ({ ...emptyProgress, ...(progress || {}) });
+
+export const lessonMinutes = (lesson) => parseInt(lesson.duration, 10) || 0;
+
+export const isComplete = (progress, lessonId) => Boolean(withDefaults(progress).completed[lessonId]);
+
+export const toggleComplete = (progress, lessonId) => {
+  const current = withDefaults(progress);
+  const completed = { ...current.completed };
+  if (completed[lessonId]) {
+    delete completed[lessonId];
+  } else {
+    completed[lessonId] = new Date().toISOString();
+  }
+  return { ...current, completed };
+};
+
+export const addTimeSpent = (progress, lessonId, seconds) => {
+  const current = withDefaults(progress);
+  const added = Math.min(MAX_SESSION_SECONDS, Math.max(0, Math.round(seconds)));
+  return {
+    ...current,
+    lastLessonId: lessonId,
+    timeSpent: { ...current.timeSpent, [lessonId]: (current.timeSpent[lessonId] || 0) + added }
+  };
+};
+
+const percentOf = (lessons, progress) => (
+  lessons.length
+    ? Math.round((lessons.filter((lesson) => isComplete(progress, lesson.id)).length / lessons.length) * 100)
+    : 0
+);
+
+export const sectionPercent = (section, progress) => percentOf(section.lessons, progress);
+
+export const allLessons = (sections) => sections.flatMap((section) => section.lessons);
+
+export const coursePercent = (sections, progress) => percentOf(allLessons(sections), progress);
+
+export const minutesRemaining = (sections, progress) =>
+  allLessons(sections)
+    .filter((lesson) => !isComplete(progress, lesson.id))
+    .reduce((sum, lesson) => sum + lessonMinutes(lesson), 0);
+
+// Resume the last lesson opened unless it's already done - then the next unfinished one
+export const findResumeLesson = (sections, progress) => {
+  const current = withDefaults(progress);
+  const lessons = allLessons(sections);
+  const lastIndex = lessons.findIndex((lesson) => lesson.id === current.lastLessonId);
+  if (lastIndex >= 0 && !isComplete(current, lessons[lastIndex].id)) return lessons[lastIndex];
+  const after = lessons.slice(lastIndex + 1).find((lesson) => !isComplete(current, lesson.id));
+  return after || lessons.find((lesson) => !isComplete(current, lesson.id)) || null;
+};
+
+export const findSectionOf = (sections, lessonId) =>
+  sections.find((section) => section.lessons.some((lesson) => lesson.id === lessonId)) || null;
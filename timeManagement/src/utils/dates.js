@@ -0,0 +1,45 @@
+const pad = (value) => String(value).padStart(2, '0');
+
+// Local calendar day, e.g. "2024-03-18" - used to group entries by day
+export const toDateKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+// Value format expected by <input type="datetime-local">
+export const toLocalInputValue = (date) => {
+  const d = new Date(date);
+  return `${toDateKey(d)}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+export const formatTime = (date) =>
+  new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+export const formatDay = (date) =>
+  new Date(date).toLocaleDateString([], { weekday: 'long', month: 'short', day: 'numeric' });
+
+// Minutes as "45m" or "1h 05m"
+export const formatDuration = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return hours ? `${hours}h ${String(rest).padStart(2, '0')}m` : `${rest}m`;
+};
+
+export const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+// Local midnight at the start of the day
+export const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+// Weeks start on Monday, matching the working week the app plans around
+export const startOfWeek = (date) => {
+  const d = startOfDay(date);
+  return addDays(d, -((d.getDay() + 6) % 7));
+};
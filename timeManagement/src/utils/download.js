@@ -0,0 +1,11 @@
+// Save generated text (CSV, JSON) as a file without a server round-trip
+export const downloadFile = (filename, content, type = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
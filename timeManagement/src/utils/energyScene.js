@@ -0,0 +1,56 @@
+import { ENERGY_SCORES, ENERGY_COLORS, scoreToLevel } from './analytics';
+import { toDateKey, addDays } from './dates';
+import { momentumStats } from './tasks';
+import { findRole } from './roles';
+
+// What the energy visualization shows, derived from the user's own data.
+// The component animates towards whatever this returns.
+
+const MIN_ORB_SCALE = 0.6;
+const ORB_SCALE_PER_TASK = 0.12;
+const MAX_COUNTED_TASKS = 10;
+const ROLE_MIX_FALLBACK_DAYS = 7;
+
+// Role shares of today's check-ins, or of the last week when nothing is logged today
+const roleBands = (checkIns, roles, now) => {
+  const today = toDateKey(now);
+  const weekAgo = addDays(now, -ROLE_MIX_FALLBACK_DAYS);
+  const withRole = checkIns.filter((c) => c.role && findRole(roles, c.role));
+  const todays = withRole.filter((c) => toDateKey(c.timestamp) === today);
+  const source = todays.length ? todays : withRole.filter((c) => new Date(c.timestamp) >= weekAgo);
+
+  const counts = source.reduce((map, c) => ({ ...map, [c.role]: (map[c.role] || 0) + 1 }), {});
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([roleId, count]) => {
+      const role = findRole(roles, roleId);
+      return { roleId, name: role.name, color: role.color, share: count / source.length };
+    });
+};
+
+export const energySceneState = ({ checkIns, tasks, roles, energyLevel, now = new Date() }) => {
+  const today = toDateKey(now);
+  const todaysScores = checkIns
+    .filter((c) => ENERGY_SCORES[c.energy] && toDateKey(c.timestamp) === today)
+    .map((c) => ENERGY_SCORES[c.energy]);
+
+  // Without check-ins today, the level picked in the energy selector stands in
+  const energyAverage = todaysScores.length
+    ? todaysScores.reduce((sum, score) => sum + score, 0) / todaysScores.length
+    : ENERGY_SCORES[energyLevel] || ENERGY_SCORES.medium;
+
+  const completedToday = momentumStats(tasks, now).today;
+  const bands = roleBands(checkIns, roles, now);
+  const energyColor = ENERGY_COLORS[scoreToLevel(energyAverage)];
+
+  return {
+    completedToday,
+    energyAverage,
+    energyFromCheckIns: todaysScores.length > 0,
+    orbScale: MIN_ORB_SCALE + Math.min(completedToday, MAX_COUNTED_TASKS) * ORB_SCALE_PER_TASK,
+    // 1 at low energy up to 3 at high energy
+    speed: energyAverage,
+    energyColor,
+    bands: bands.length ? bands : [{ roleId: null, name: null, color: energyColor, share: 1 }]
+  };
+};
@@ -0,0 +1,70 @@
+import { createId } from './storage';
+import { toDateKey } from './dates';
+
+// Focus length follows energy: long stretches when it is high, short bursts
+// when it is low - "reduce task size until it feels easy" applied to time.
+export const FOCUS_MINUTES = { high: 50, medium: 25, low: 10 };
+export const BREAK_MINUTES = { high: 10, medium: 5, low: 5 };
+export const FOCUS_PRESETS = [10, 15, 25, 50];
+
+export const BREAK_PROMPTS = [
+  'Stand up and stretch',
+  'Drink a glass of water',
+  'Look at something far away',
+  'Take ten slow breaths',
+  'Step outside for a minute'
+];
+
+export const defaultFocusMinutes = (energy) => FOCUS_MINUTES[energy] || FOCUS_MINUTES.medium;
+export const defaultBreakMinutes = (energy) => BREAK_MINUTES[energy] || BREAK_MINUTES.medium;
+
+export const startFocus = ({ minutes, taskId, taskTitle, role, energy }) => ({
+  id: createId(),
+  phase: 'focus',
+  plannedMinutes: minutes,
+  taskId: taskId || null,
+  taskTitle: (taskTitle || '').trim(),
+  role: role || null,
+  energy: energy || null,
+  startedAt: new Date().toISOString(),
+  endedAt: null,
+  completed: false
+});
+
+export const remainingSeconds = (session, now = new Date()) => {
+  const endsAt = new Date(session.startedAt).getTime() + session.plannedMinutes * 60000;
+  return Math.max(0, Math.ceil((endsAt - now) / 1000));
+};
+
+// Ends a focus session for the log; `completed` is whether it ran the full length.
+// A session found finished after a reload ends at its planned time, not now.
+export const finishFocus = (session, now = new Date()) => {
+  const plannedEnd = new Date(session.startedAt).getTime() + session.plannedMinutes * 60000;
+  return {
+    ...session,
+    phase: 'done',
+    endedAt: new Date(Math.min(new Date(now).getTime(), plannedEnd)).toISOString(),
+    completed: remainingSeconds(session, now) === 0
+  };
+};
+
+export const startBreak = (session, energy) => ({
+  id: session.id,
+  phase: 'break',
+  plannedMinutes: defaultBreakMinutes(energy),
+  startedAt: new Date().toISOString(),
+  prompt: BREAK_PROMPTS[Math.floor(Math.random() * BREAK_PROMPTS.length)]
+});
+
+export const focusedMinutes = (session) =>
+  Math.max(0, Math.round((new Date(session.endedAt) - new Date(session.startedAt)) / 60000));
+
+export const focusToday = (log, now = new Date()) => {
+  const today = toDateKey(now);
+  const sessions = log.filter((session) => toDateKey(session.startedAt) === today);
+  return {
+    sessions: sessions.length,
+    completed: sessions.filter((session) => session.completed).length,
+    minutes: sessions.reduce((sum, session) => sum + focusedMinutes(session), 0)
+  };
+};
@@ -0,0 +1,135 @@
+import { ENERGY_SCORES, scoreToLevel } from './analytics';
+import { addDays } from './dates';
+import { getActiveRoles } from './roles';
+
+// Tomorrow's energy, hour by hour, from past check-ins. Each check-in votes for
+// its own hour (and, more weakly, the hours either side) and fades with age.
+// Estimates are shrunk level by level: the weekday-and-hour average leans on
+// the all-days average for that hour, which leans on the overall mean, so a
+// handful of check-ins can't swing an hour on their own.
+
+export const FORECAST_START_HOUR = 6;
+export const FORECAST_END_HOUR = 23;
+
+const NEIGHBOUR_HOUR_WEIGHT = 0.5;
+const HALF_LIFE_DAYS = 28;
+const HOUR_PRIOR_WEIGHT = 1;
+const WEEKDAY_PRIOR_WEIGHT = 1;
+const WEEKDAY_ROLE_WEIGHT = 3;
+const MIN_WEIGHT = 0.5;
+const CONFIDENT_WEIGHT = 6;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const TASK_TYPES = {
+  high: 'Deep work: thinking, building, decisions',
+  medium: 'Writing, planning, reviewing',
+  low: 'Learning, listening, organising'
+};
+
+// Used when no check-ins at those hours name an active role, as long as the
+// role itself is still active
+const DEFAULT_ROLE_FOR_ENERGY = {
+  high: 'product',
+  medium: 'office',
+  low: 'growth'
+};
+
+const toSamples = (checkIns, now) => checkIns
+  .filter((c) => ENERGY_SCORES[c.energy])
+  .map((c) => {
+    const date = new Date(c.timestamp);
+    return {
+      hour: date.getHours(),
+      weekday: date.getDay(),
+      score: ENERGY_SCORES[c.energy],
+      role: c.role || null,
+      ageDays: Math.max(0, (now - date) / DAY_MS)
+    };
+  });
+
+const topKey = (weights) => {
+  const entries = Object.entries(weights);
+  if (entries.length === 0) return null;
+  return entries.sort((a, b) => b[1] - a[1])[0][0];
+};
+
+// One entry per hour from FORECAST_START_HOUR to FORECAST_END_HOUR - 1.
+// score and level are null for hours with too little history.
+export const forecastDay = (checkIns, day = addDays(new Date(), 1), now = new Date()) => {
+  const samples = toSamples(checkIns, now);
+  const weekday = new Date(day).getDay();
+  const mean = samples.length
+    ? samples.reduce((sum, s) => sum + s.score, 0) / samples.length
+    : null;
+
+  const hours = [];
+  for (let hour = FORECAST_START_HOUR; hour < FORECAST_END_HOUR; hour += 1) {
+    const all = { weight: 0, total: 0 };
+    const sameDay = { weight: 0, total: 0 };
+    const roleWeights = {};
+
+    samples.forEach((s) => {
+      const gap = Math.abs(s.hour - hour);
+      if (gap > 1) return;
+      const w = (gap === 0 ? 1 : NEIGHBOUR_HOUR_WEIGHT) * 0.5 ** (s.ageDays / HALF_LIFE_DAYS);
+      all.weight += w;
+      all.total += w * s.score;
+      if (s.weekday === weekday) {
+        sameDay.weight += w;
+        sameDay.total += w * s.score;
+      }
+      if (s.role) {
+        roleWeights[s.role] = (roleWeights[s.role] || 0) + w * (s.weekday === weekday ? WEEKDAY_ROLE_WEIGHT : 1);
+      }
+    });
+
+    if (all.weight < MIN_WEIGHT) {
+      hours.push({ hour, score: null, level: null, confidence: 0, roleWeights });
+    } else {
+      const hourScore = (all.total + HOUR_PRIOR_WEIGHT * mean) / (all.weight + HOUR_PRIOR_WEIGHT);
+      const score = (sameDay.total + WEEKDAY_PRIOR_WEIGHT * hourScore) / (sameDay.weight + WEEKDAY_PRIOR_WEIGHT);
+      hours.push({
+        hour,
+        score,
+        level: scoreToLevel(score),
+        confidence: Math.min(1, (all.weight + sameDay.weight) / CONFIDENT_WEIGHT),
+        roleWeights
+      });
+    }
+  }
+  return hours;
+};
+
+// Runs of consecutive hours at the same predicted level, each with a suggested
+// active role (the one most logged at those hours, or none) and the kind of
+// task that fits
+export const forecastBlocks = (hours, roles) => {
+  const activeIds = getActiveRoles(roles).map((role) => role.id);
+  const blocks = [];
+  hours.forEach((h) => {
+    if (!h.level) return;
+    const last = blocks[blocks.length - 1];
+    if (last && last.level === h.level && last.end === h.hour) {
+      last.end = h.hour + 1;
+      last.hours.push(h);
+    } else {
+      blocks.push({ start: h.hour, end: h.hour + 1, level: h.level, hours: [h] });
+    }
+  });
+
+  return blocks.map(({ hours: blockHours, ...block }) => {
+    const roleWeights = {};
+    blockHours.forEach((h) => {
+      Object.entries(h.roleWeights).forEach(([role, w]) => {
+        if (activeIds.includes(role)) roleWeights[role] = (roleWeights[role] || 0) + w;
+      });
+    });
+    const fallback = DEFAULT_ROLE_FOR_ENERGY[block.level];
+    return {
+      ...block,
+      role: topKey(roleWeights) || (activeIds.includes(fallback) ? fallback : null),
+      taskType: TASK_TYPES[block.level],
+      confidence: blockHours.reduce((sum, h) => sum + h.confidence, 0) / blockHours.length
+    };
+  });
+};
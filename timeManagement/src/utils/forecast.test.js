@@ -0,0 +1,126 @@
+import { forecastDay, forecastBlocks, TASK_TYPES } from './forecast';
+import { defaultRoles } from '../data/defaultRoles';
+
+// Synthetic histories in local time. Monday 19 October 2026 is the day being
+// forecast, the evening before is "now".
+const now = new Date(2026, 9, 18, 20);
+const monday = new Date(2026, 9, 19);
+const tuesday = new Date(2026, 9, 20);
+
+const daysAgo = (days, hour, minute = 0) => {
+  const date = new Date(2026, 9, 18, hour, minute);
+  date.setDate(date.getDate() - days);
+  return date;
+};
+const checkIn = (date, energy, role) => ({ timestamp: date.toISOString(), energy, role: role || null });
+const hourOf = (hours, hour) => hours.find((h) => h.hour === hour);
+
+describe('forecastDay', () => {
+  it('lets a weekday pattern beat the all-days average', () => {
+    // High at 9am on the last four Mondays, low at 9am every other weekday
+    const checkIns = [];
+    for (let week = 0; week < 4; week += 1) {
+      checkIns.push(checkIn(daysAgo(6 + week * 7, 9), 'high'));
+      [1, 2, 3, 4].forEach((offset) => {
+        checkIns.push(checkIn(daysAgo(6 + week * 7 - offset, 9), 'low'));
+      });
+    }
+    const allDaysAverage = (4 * 3 + 16 * 1) / 20;
+
+    const mondayNine = hourOf(forecastDay(checkIns, monday, now), 9);
+    const tuesdayNine = hourOf(forecastDay(checkIns, tuesday, now), 9);
+    expect(mondayNine.score).toBeGreaterThan(allDaysAverage);
+    expect(mondayNine.score).toBeGreaterThan(tuesdayNine.score);
+    expect(tuesdayNine.level).toBe('low');
+  });
+
+  it('has no score for an hour without history', () => {
+    const checkIns = [checkIn(daysAgo(1, 9), 'high'), checkIn(daysAgo(2, 9), 'high')];
+    const hours = forecastDay(checkIns, monday, now);
+    expect(hourOf(hours, 15)).toMatchObject({ score: null, level: null, confidence: 0 });
+    expect(hourOf(hours, 9).score).not.toBeNull();
+  });
+
+  it('counts recent check-ins more than old ones', () => {
+    const recentHigh = [checkIn(daysAgo(1, 14), 'high'), checkIn(daysAgo(120, 14), 'low')];
+    const recentLow = [checkIn(daysAgo(1, 14), 'low'), checkIn(daysAgo(120, 14), 'high')];
+    expect(hourOf(forecastDay(recentHigh, monday, now), 14).score).toBeGreaterThan(2);
+    expect(hourOf(forecastDay(recentLow, monday, now), 14).score).toBeLessThan(2);
+  });
+
+  it('needs at least MIN_WEIGHT of history before it predicts an hour', () => {
+    // A fresh check-in is enough for its own hour but, at half weight, not for its neighbours
+    const fresh = forecastDay([checkIn(daysAgo(0, 9), 'medium')], monday, now);
+    expect(hourOf(fresh, 9).score).not.toBeNull();
+    expect(hourOf(fresh, 10).score).toBeNull();
+    expect(hourOf(fresh, 8).score).toBeNull();
+
+    // Older than one 28-day half-life, a lone check-in falls below the cutoff
+    expect(hourOf(forecastDay([checkIn(daysAgo(27, 9), 'medium')], monday, now), 9).score).not.toBeNull();
+    expect(hourOf(forecastDay([checkIn(daysAgo(30, 9), 'medium')], monday, now), 9).score).toBeNull();
+  });
+});
+
+describe('forecastBlocks', () => {
+  const hour = (h, level, roleWeights = {}) => ({
+    hour: h,
+    score: level ? { high: 3, medium: 2, low: 1 }[level] : null,
+    level,
+    confidence: level ? 0.5 : 0,
+    roleWeights
+  });
+
+  it('merges consecutive hours at the same level', () => {
+    const blocks = forecastBlocks([
+      hour(6, 'high'),
+      hour(7, 'high'),
+      hour(8, 'low'),
+      hour(9, null),
+      hour(10, 'low'),
+      hour(11, 'medium')
+    ], defaultRoles);
+    expect(blocks.map(({ start, end, level }) => ({ start, end, level }))).toEqual([
+      { start: 6, end: 8, level: 'high' },
+      { start: 8, end: 9, level: 'low' },
+      { start: 10, end: 11, level: 'low' },
+      { start: 11, end: 12, level: 'medium' }
+    ]);
+    expect(blocks[0].taskType).toBe(TASK_TYPES.high);
+  });
+
+  it('suggests the role logged most at those hours', () => {
+    const [block] = forecastBlocks([
+      hour(9, 'high', { office: 1, product: 0.5 }),
+      hour(10, 'high', { product: 1 })
+    ], defaultRoles);
+    expect(block.role).toBe('product');
+  });
+
+  it('only suggests active roles', () => {
+    const roles = defaultRoles.map((role) => (role.id === 'product' ? { ...role, archived: true } : role));
+    const [block] = forecastBlocks([
+      hour(9, 'high', { office: 1, product: 2, deleted: 5 })
+    ], roles);
+    expect(block.role).toBe('office');
+  });
+
+  it('falls back to a default role when no check-in names one', () => {
+    const checkIns = [checkIn(daysAgo(1, 9), 'low'), checkIn(daysAgo(2, 9), 'low')];
+    const blocks = forecastBlocks(forecastDay(checkIns, monday, now), defaultRoles);
+    expect(blocks.length).toBeGreaterThan(0);
+    blocks.forEach((block) => {
+      expect(block.level).toBe('low');
+      expect(block.role).toBe('growth');
+    });
+  });
+
+  it('suggests no role when the default one was archived or deleted', () => {
+    const checkIns = [checkIn(daysAgo(1, 9), 'low'), checkIn(daysAgo(2, 9), 'low')];
+    const hours = forecastDay(checkIns, monday, now);
+    const archived = defaultRoles.map((role) => (role.id === 'growth' ? { ...role, archived: true } : role));
+    const deleted = defaultRoles.filter((role) => role.id !== 'growth');
+    [archived, deleted].forEach((roles) => {
+      forecastBlocks(hours, roles).forEach((block) => expect(block.role).toBeNull());
+    });
+  });
+});
@@ -0,0 +1,23 @@
+import { createId } from './storage';
+
+export const IDEA_STATUS = {
+  inbox: 'inbox',
+  converted: 'converted',
+  archived: 'archived'
+};
+
+export const createIdea = ({ text, role, hasAudio, audioSeconds }) => ({
+  id: createId(),
+  createdAt: new Date().toISOString(),
+  text: (text || '').trim(),
+  role: role || null,
+  hasAudio: Boolean(hasAudio),
+  audioSeconds: audioSeconds || 0,
+  status: IDEA_STATUS.inbox,
+  taskId: null
+});
+
+export const getInbox = (ideas) =>
+  ideas
+    .filter((idea) => idea.status === IDEA_STATUS.inbox)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
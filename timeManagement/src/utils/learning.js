@@ -0,0 +1,101 @@
+// Quiz answers and reflections from lessons and theory principles. Each entry
+// carries the question and where it came from, so the review page can list it
+// without loading the course again.
+
+export const emptyLearning = { quizzes: {}, reflections: {} };
+
+export const LEARNING_SOURCES = {
+  lesson: 'Lesson',
+  principle: 'Principle'
+};
+
+export const entryKey = (ownerId, block, index) => `${ownerId}:${block.id || `${block.type}-${index}`}`;
+
+export const recordQuizAnswer = (learning, key, { owner, question, choice, correct }) => ({
+  ...learning,
+  quizzes: {
+    ...learning.quizzes,
+    [key]: {
+      source: owner.source,
+      ownerId: owner.id,
+      ownerTitle: owner.title,
+      question,
+      choice,
+      correct,
+      answeredAt: new Date().toISOString()
+    }
+  }
+});
+
+export const clearQuizAnswer = (learning, key) => {
+  const { [key]: removed, ...quizzes } = learning.quizzes;
+  return { ...learning, quizzes };
+};
+
+export const removeReflection = (learning, key) => {
+  const { [key]: removed, ...reflections } = learning.reflections;
+  return { ...learning, reflections };
+};
+
+// Saving an empty reflection removes it
+export const saveReflection = (learning, key, { owner, prompt, text }) => {
+  if (!text.trim()) return removeReflection(learning, key);
+  return {
+    ...learning,
+    reflections: {
+      ...learning.reflections,
+      [key]: {
+        source: owner.source,
+        ownerId: owner.id,
+        ownerTitle: owner.title,
+        prompt,
+        text: text.trim(),
+        updatedAt: new Date().toISOString()
+      }
+    }
+  };
+};
+
+export const quizScore = (learning) => {
+  const answers = Object.values(learning.quizzes);
+  const correct = answers.filter(answer => answer.correct).length;
+  return {
+    answered: answers.length,
+    correct,
+    percent: answers.length ? Math.round((correct / answers.length) * 100) : 0
+  };
+};
+
+// Groups answers and reflections by the lesson or principle they belong to,
+// most recently touched first
+export const learningJournal = (learning) => {
+  const groups = {};
+  const groupFor = (entry) => {
+    const id = `${entry.source}:${entry.ownerId}`;
+    if (!groups[id]) {
+      groups[id] = {
+        id,
+        source: entry.source,
+        ownerId: entry.ownerId,
+        title: entry.ownerTitle,
+        quizzes: [],
+        reflections: [],
+        lastActivity: ''
+      };
+    }
+    return groups[id];
+  };
+
+  Object.entries(learning.quizzes).forEach(([key, entry]) => {
+    const group = groupFor(entry);
+    group.quizzes.push({ key, ...entry });
+    if (entry.answeredAt > group.lastActivity) group.lastActivity = entry.answeredAt;
+  });
+  Object.entries(learning.reflections).forEach(([key, entry]) => {
+    const group = groupFor(entry);
+    group.reflections.push({ key, ...entry });
+    if (entry.updatedAt > group.lastActivity) group.lastActivity = entry.updatedAt;
+  });
+
+  return Object.values(groups).sort((a, b) => b.lastActivity.localeCompare(a.lastActivity));
+};
@@ -0,0 +1,110 @@
+// Turns a Markdown lesson file into the same block schema course.json uses.
+// The supported syntax is described in src/data/course/README.md.
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+const HEADING = /^#{1,6}\s+(.*?)(?:\s*\{([^}]+)\})?$/;
+const ICON_SUFFIX = /^(.*?)(?:\s*\{([^}]+)\})?$/;
+const ACTION = /^\[(.+)\]\((.+)\)(?:\s*\{([^}]+)\})?$/;
+const OPTION = /^\(([ x])\)\s*(.*?)(?:\s*::\s*(.*))?$/;
+const LABEL = /^\*\*(.+?):\*\*\s*(.*)$/;
+const TITLED_BLOCKS = ['list', 'callout', 'plan-cards'];
+
+const parseFrontMatter = (source) => {
+  const match = source.match(FRONT_MATTER);
+  if (!match) return { meta: {}, body: source };
+
+  const meta = {};
+  match[1].split(/\r?\n/).forEach(line => {
+    const index = line.indexOf(':');
+    if (index === -1) return;
+    meta[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+  });
+  return { meta, body: source.slice(match[0].length) };
+};
+
+const allStartWith = (lines, prefix) => lines.every(line => line.startsWith(prefix));
+const strip = (lines, prefix) => lines.map(line => line.slice(prefix.length).trim());
+
+const withIcon = (text) => {
+  const [, value, icon] = text.match(ICON_SUFFIX);
+  return icon ? { text: value, icon } : { text: value };
+};
+
+const parseBody = (lines) => {
+  if (allStartWith(lines, '- ')) return { type: 'list', marker: 'check', items: strip(lines, '- ') };
+  if (allStartWith(lines, 'x ')) return { type: 'list', marker: 'cross', items: strip(lines, 'x ') };
+  if (allStartWith(lines, '* ')) return { type: 'list', variant: 'tiles', items: strip(lines, '* ').map(withIcon) };
+  if (allStartWith(lines, '+ ')) {
+    return {
+      type: 'plan-cards',
+      items: strip(lines, '+ ').map(line => {
+        const index = line.indexOf(':');
+        return index === -1
+          ? { name: line, description: '' }
+          : { name: line.slice(0, index).trim(), description: line.slice(index + 1).trim() };
+      })
+    };
+  }
+  if (lines[0].startsWith('? ') && allStartWith(lines.slice(1), '(')) {
+    return {
+      type: 'quiz',
+      question: lines[0].slice(2).trim(),
+      options: lines.slice(1).map(line => {
+        const [, mark, text, explanation] = line.match(OPTION) || [null, ' ', line, ''];
+        return { text: text.trim(), correct: mark === 'x', explanation: (explanation || '').trim() };
+      })
+    };
+  }
+  if (allStartWith(lines, '?>')) return { type: 'reflection', prompt: strip(lines, '?>').join(' ') };
+  if (allStartWith(lines, '!>')) return { type: 'callout', text: strip(lines, '!>').join(' ') };
+  if (allStartWith(lines, '>')) return { type: 'quote', text: strip(lines, '>').join(' ') };
+
+  const text = lines.join(' ');
+  const action = lines.length === 1 && text.match(ACTION);
+  if (action) return { type: 'action', label: action[1], href: action[2], ...(action[3] && { icon: action[3] }) };
+
+  const label = text.match(LABEL);
+  if (label) return { type: 'paragraph', label: label[1], text: label[2] };
+  return { type: 'paragraph', text };
+};
+
+// A heading directly above a list, callout or plan cards becomes that block's title
+const parseChunk = (lines) => {
+  const heading = lines[0].match(HEADING);
+  if (!heading) return [parseBody(lines)];
+
+  const icon = heading[2] ? { icon: heading[2] } : {};
+  const headingBlock = { type: 'heading', text: heading[1], ...icon };
+  const rest = lines.slice(1);
+  if (rest.length === 0) return [headingBlock];
+
+  const block = parseBody(rest);
+  if (TITLED_BLOCKS.includes(block.type)) return [{ ...block, title: heading[1], ...icon }];
+  return [headingBlock, block];
+};
+
+export const parseLessonBlocks = (body) => {
+  const blocks = body
+    .split(/\r?\n\s*\r?\n/)
+    .map(chunk => chunk.split(/\r?\n/).map(line => line.trim()).filter(Boolean))
+    .filter(lines => lines.length > 0)
+    .flatMap(parseChunk);
+
+  // The opening paragraph is the lesson's intro
+  if (blocks[0] && blocks[0].type === 'paragraph' && !blocks[0].label) {
+    blocks[0] = { ...blocks[0], variant: 'intro' };
+  }
+  return blocks;
+};
+
+export const parseLesson = (source) => {
+  const { meta, body } = parseFrontMatter(source);
+  return {
+    id: meta.id,
+    section: meta.section,
+    number: Number(meta.number),
+    title: meta.title,
+    duration: meta.duration,
+    blocks: parseLessonBlocks(body)
+  };
+};
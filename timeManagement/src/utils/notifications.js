@@ -0,0 +1,46 @@
+// Thin wrapper over the browser Notification API. Everything here is optional:
+// when notifications are unsupported or denied, callers simply carry on.
+
+export const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+export const notificationPermission = () => (
+  notificationsSupported() ? window.Notification.permission : 'unsupported'
+);
+
+export const requestNotificationPermission = () => {
+  if (!notificationsSupported()) return Promise.resolve('unsupported');
+  if (window.Notification.permission !== 'default') return Promise.resolve(window.Notification.permission);
+  return window.Notification.requestPermission();
+};
+
+export const notify = (title, body, options = {}) => {
+  if (notificationPermission() !== 'granted') return null;
+  try {
+    return new window.Notification(title, { body, ...options });
+  } catch (e) {
+    // Some mobile browsers only allow notifications from a service worker
+    return null;
+  }
+};
+
+// Notifications with buttons (actions) must come from a service worker; its
+// notificationclick handler passes the chosen action back to the page.
+// Without an active worker this falls back to a plain notification.
+export const notifyWithActions = (title, body, { actions = [], ...options } = {}) => {
+  if (notificationPermission() !== 'granted') return Promise.resolve(null);
+  const fallback = () => notify(title, body, options);
+  if (!('serviceWorker' in navigator)) return Promise.resolve(fallback());
+
+  return navigator.serviceWorker.getRegistration()
+    .then((registration) => {
+      if (!registration || !registration.active) return fallback();
+      const maxActions = window.Notification.maxActions || actions.length;
+      return registration.showNotification(title, { body, actions: actions.slice(0, maxActions), ...options })
+        .then(() => null);
+    })
+    .catch(fallback);
+};
+
+export const maxNotificationActions = () => (
+  notificationsSupported() && window.Notification.maxActions !== undefined ? window.Notification.maxActions : 2
+);
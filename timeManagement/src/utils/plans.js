@@ -0,0 +1,135 @@
+import { createId } from './storage';
+import { toDateKey, addDays, startOfWeek } from './dates';
+import { WEEKDAY_LABELS } from './analytics';
+
+// The three plans from lesson 7: one daily priority, weekly goals per role,
+// and long-term goals. Daily priorities link to a weekly goal, which links to
+// a long-term goal, so attention can be traced all the way up.
+export const emptyPlans = {
+  longTerm: [],
+  weekly: [],
+  daily: []
+};
+
+const withDefaults = (plans) => ({ ...emptyPlans, ...(plans || {}) });
+
+export const addLongTermGoal = (plans, { title, description }) => {
+  const current = withDefaults(plans);
+  return {
+    ...current,
+    longTerm: [...current.longTerm, {
+      id: createId(),
+      title: title.trim(),
+      description: (description || '').trim(),
+      createdAt: new Date().toISOString(),
+      archived: false
+    }]
+  };
+};
+
+export const addWeeklyGoal = (plans, { title, role, longTermGoalId, weekStart }) => {
+  const current = withDefaults(plans);
+  return {
+    ...current,
+    weekly: [...current.weekly, {
+      id: createId(),
+      title: title.trim(),
+      role: role || null,
+      longTermGoalId: longTermGoalId || null,
+      weekStart: weekStart || toDateKey(startOfWeek(new Date())),
+      done: false
+    }]
+  };
+};
+
+// Only one daily priority per day - setting it again replaces the old one
+export const setDailyPriority = (plans, { title, weeklyGoalId, date }) => {
+  const current = withDefaults(plans);
+  const day = date || toDateKey(new Date());
+  return {
+    ...current,
+    daily: [
+      ...current.daily.filter((priority) => priority.date !== day),
+      {
+        id: createId(),
+        date: day,
+        title: title.trim(),
+        weeklyGoalId: weeklyGoalId || null,
+        done: false
+      }
+    ]
+  };
+};
+
+export const updatePlanItem = (plans, type, id, changes) => {
+  const current = withDefaults(plans);
+  return {
+    ...current,
+    [type]: current[type].map((item) => (item.id === id ? { ...item, ...changes } : item))
+  };
+};
+
+// Removing a goal unlinks anything that pointed at it instead of deleting it
+export const removePlanItem = (plans, type, id) => {
+  const current = withDefaults(plans);
+  const next = { ...current, [type]: current[type].filter((item) => item.id !== id) };
+  if (type === 'longTerm') {
+    next.weekly = next.weekly.map((goal) => (
+      goal.longTermGoalId === id ? { ...goal, longTermGoalId: null } : goal
+    ));
+  }
+  if (type === 'weekly') {
+    next.daily = next.daily.map((priority) => (
+      priority.weeklyGoalId === id ? { ...priority, weeklyGoalId: null } : priority
+    ));
+  }
+  return next;
+};
+
+export const getDailyPriority = (plans, date = new Date()) =>
+  withDefaults(plans).daily.find((priority) => priority.date === toDateKey(date)) || null;
+
+export const getWeeklyGoals = (plans, weekStart) =>
+  withDefaults(plans).weekly.filter((goal) => goal.weekStart === weekStart);
+
+const weekDays = (weekStart) => WEEKDAY_LABELS.map((label, index) => ({
+  label,
+  key: toDateKey(addDays(new Date(`${weekStart}T12:00:00`), index))
+}));
+
+export const getWeekPriorities = (plans, weekStart) => {
+  const dayKeys = weekDays(weekStart).map((day) => day.key);
+  return withDefaults(plans).daily.filter((priority) => dayKeys.includes(priority.date));
+};
+
+// For each weekly goal: which days of that week had a daily priority pointing at it
+export const weeklyReview = (plans, weekStart) => {
+  const current = withDefaults(plans);
+  const days = weekDays(weekStart);
+  const weekPriorities = getWeekPriorities(current, weekStart);
+
+  const goals = getWeeklyGoals(current, weekStart).map((goal) => {
+    const linked = weekPriorities.filter((priority) => priority.weeklyGoalId === goal.id);
+    return {
+      goal,
+      attentionDays: linked.map((priority) => priority.date),
+      completedDays: linked.filter((priority) => priority.done).map((priority) => priority.date)
+    };
+  });
+
+  const longTerm = current.longTerm.map((longTermGoal) => {
+    const children = goals.filter((row) => row.goal.longTermGoalId === longTermGoal.id);
+    return {
+      goal: longTermGoal,
+      weeklyGoals: children.length,
+      attentionDays: children.reduce((sum, row) => sum + row.attentionDays.length, 0)
+    };
+  }).filter((row) => row.weeklyGoals > 0 || !row.goal.archived);
+
+  return {
+    days,
+    goals,
+    longTerm,
+    unlinkedDays: weekPriorities.filter((priority) => !priority.weeklyGoalId).length
+  };
+};
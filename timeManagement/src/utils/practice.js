@@ -0,0 +1,49 @@
+// "Apply it" practice for the theory principles. Starting a practice records
+// which principle is being tried; the matching action in a live tool (logging
+// a check-in, finishing a commute, ...) completes it and marks it practised.
+
+export const PRACTICE_EVENTS = {
+  energy: 'energy',
+  task: 'task',
+  checkIn: 'checkIn',
+  commute: 'commute'
+};
+
+export const emptyPractice = { active: null, practised: {} };
+
+export const startPractice = (practice, principle) => ({
+  ...practice,
+  active: {
+    principleId: principle.id,
+    title: principle.title,
+    ...principle.apply,
+    startedAt: new Date().toISOString()
+  }
+});
+
+export const cancelPractice = (practice) => ({ ...practice, active: null });
+
+// Returns the practice unchanged when nothing is waiting for this event
+export const completePractice = (practice, event) => {
+  const { active } = practice;
+  if (!active || active.completeOn !== event) return practice;
+
+  const previous = practice.practised[active.principleId];
+  return {
+    active: null,
+    practised: {
+      ...practice.practised,
+      [active.principleId]: {
+        count: (previous ? previous.count : 0) + 1,
+        lastAt: new Date().toISOString()
+      }
+    }
+  };
+};
+
+export const isPractised = (practice, principleId) => Boolean(practice.practised[principleId]);
+
+// The live tool a practice is waiting on, if it matches
+export const activePracticeFor = (practice, tool) => (
+  practice.active && practice.active.tool === tool ? practice.active : null
+);
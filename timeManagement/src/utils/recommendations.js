@@ -0,0 +1,70 @@
+import { ENERGY_SCORES } from './analytics';
+import { isOpen } from './tasks';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SIZE_POINTS = { small: 1.5, medium: 1, large: 0.5 };
+
+const scoreEnergy = (task, energy) => {
+  if (!energy) return { points: 0 };
+  const gap = ENERGY_SCORES[energy] - ENERGY_SCORES[task.energy];
+  if (gap < 0) return { points: -4, reason: `Needs ${task.energy} energy - more than you have now` };
+  if (gap === 0) return { points: 3, reason: `Matches your ${energy} energy` };
+  return { points: 3 - gap, reason: `Easy on your ${energy} energy` };
+};
+
+const scoreRole = (task, role, roleName) => {
+  if (!role) return { points: 0 };
+  if (task.role === role) return { points: 3, reason: `You're in your ${roleName || role} role` };
+  if (!task.role) return { points: 1, reason: 'Fits any role' };
+  return { points: -1 };
+};
+
+const scoreSize = (task, energy) => {
+  // Big tasks only earn their keep when there's energy to carry them
+  if (energy === 'high' && task.size === 'large') {
+    return { points: 1.5, reason: 'A big task for a high-energy moment' };
+  }
+  if (task.size === 'small') {
+    return { points: SIZE_POINTS.small, reason: 'Small enough to start right away' };
+  }
+  return { points: SIZE_POINTS[task.size] || 0 };
+};
+
+const scoreAge = (task, now) => {
+  const days = Math.floor((now - new Date(task.createdAt)) / DAY_MS);
+  if (days < 2) return { points: 0 };
+  return { points: Math.min(2, days / 7), reason: `Waiting for ${days} days` };
+};
+
+const scoreTimeOfDay = (task, now) => {
+  const hour = now.getHours();
+  if ((hour >= 21 || hour < 6) && task.energy === 'low') {
+    return { points: 1, reason: 'Light work suits the late hours' };
+  }
+  if (hour >= 6 && hour < 12 && task.energy === 'high') {
+    return { points: 0.5, reason: 'Mornings are good for demanding work' };
+  }
+  return { points: 0 };
+};
+
+// Ranks open tasks for "what should I do now?", best first, each with the reasons behind its score
+export const recommendTasks = (tasks, { energy, role, roleName, now = new Date() } = {}) =>
+  tasks
+    .filter(isOpen)
+    .map((task) => {
+      const parts = [
+        scoreEnergy(task, energy),
+        scoreRole(task, role, roleName),
+        scoreSize(task, energy),
+        scoreAge(task, now),
+        scoreTimeOfDay(task, now)
+      ];
+      return {
+        task,
+        score: parts.reduce((sum, part) => sum + part.points, 0),
+        reasons: parts.filter((part) => part.reason && part.points > 0).map((part) => part.reason),
+        fits: !energy || parts[0].points >= 0
+      };
+    })
+    .sort((a, b) => b.score - a.score || new Date(a.task.createdAt) - new Date(b.task.createdAt));
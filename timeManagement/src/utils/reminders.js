@@ -0,0 +1,114 @@
+import { addDays } from './dates';
+
+// Energy check-in nudges. Reminders come at fixed times of day or every N
+// minutes inside a daily window, and never during quiet hours: the Recovery
+// role's time (a nightly window, plus whenever Recovery is the current role).
+
+export const RECOVERY_ROLE_ID = 'recovery';
+export const REMINDER_MODES = { times: 'times', interval: 'interval' };
+export const INTERVAL_OPTIONS = [30, 60, 90, 120, 180];
+export const REMINDER_TAG = 'energy-check-in';
+export const REMINDER_QUESTION = "What's your energy right now?";
+
+// A reminder missed by more than this (laptop asleep, tab frozen) is skipped
+const GRACE_MINUTES = 15;
+
+export const defaultReminders = {
+  enabled: false,
+  mode: REMINDER_MODES.times,
+  times: ['09:30', '13:30', '16:30'],
+  intervalMinutes: 90,
+  windowStart: '08:00',
+  windowEnd: '20:00',
+  quietStart: '21:00',
+  quietEnd: '07:00',
+  lastFiredAt: null
+};
+
+export const withDefaults = (settings) => ({ ...defaultReminders, ...(settings || {}) });
+
+// "09:30" -> 570
+export const clockToMinutes = (clock) => {
+  const [hours, minutes] = String(clock).split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+};
+
+const minutesOfDay = (date) => date.getHours() * 60 + date.getMinutes();
+
+const atClock = (day, minutes) => {
+  const d = new Date(day);
+  d.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  return d;
+};
+
+// The quiet window may run past midnight (21:00 - 07:00)
+export const inQuietWindow = (settings, date) => {
+  const { quietStart, quietEnd } = withDefaults(settings);
+  const start = clockToMinutes(quietStart);
+  const end = clockToMinutes(quietEnd);
+  const minute = minutesOfDay(date);
+  if (start === end) return false;
+  return start < end
+    ? minute >= start && minute < end
+    : minute >= start || minute < end;
+};
+
+export const isQuietNow = (settings, now, currentRole) => (
+  currentRole === RECOVERY_ROLE_ID || inQuietWindow(settings, now)
+);
+
+// Every reminder on a calendar day that falls outside the quiet window
+export const remindersOn = (settings, day) => {
+  const s = withDefaults(settings);
+  let minutes;
+  if (s.mode === REMINDER_MODES.interval) {
+    const start = clockToMinutes(s.windowStart);
+    const end = clockToMinutes(s.windowEnd);
+    const step = Math.max(15, Number(s.intervalMinutes) || defaultReminders.intervalMinutes);
+    minutes = [];
+    for (let m = start; m <= end; m += step) minutes.push(m);
+  } else {
+    minutes = [...new Set(s.times.map(clockToMinutes))].sort((a, b) => a - b);
+  }
+  return minutes
+    .map((m) => atClock(day, m))
+    .filter((date) => !inQuietWindow(s, date));
+};
+
+export const nextReminder = (settings, now = new Date()) => {
+  const upcoming = [...remindersOn(settings, now), ...remindersOn(settings, addDays(now, 1))]
+    .filter((date) => date > now);
+  return upcoming.length ? upcoming[0] : null;
+};
+
+// The reminder to show right now, if one has come due since the last one fired.
+// The service worker wakes too rarely for the grace period, so it passes its own.
+export const dueReminder = (settings, now = new Date(), { graceMinutes = GRACE_MINUTES } = {}) => {
+  const s = withDefaults(settings);
+  if (!s.enabled) return null;
+  const lastFired = s.lastFiredAt ? new Date(s.lastFiredAt) : null;
+  const due = remindersOn(s, now).filter((date) => (
+    date <= now
+    && now - date <= graceMinutes * 60000
+    && (!lastFired || date > lastFired)
+  ));
+  return due.length ? due[due.length - 1] : null;
+};
+
+// Notification buttons, one per energy level. Most platforms show only two,
+// so the extremes come first and the rest of the choice is a tap away.
+export const energyActions = (maxActions = 3) => [
+  { action: 'high', title: 'High' },
+  { action: 'low', title: 'Low' },
+  { action: 'medium', title: 'Medium' }
+].slice(0, Math.max(0, maxActions));
+
+// The check-in notification, with as many answer buttons as the platform shows
+export const reminderNotification = (maxActions) => {
+  const actions = energyActions(maxActions);
+  return {
+    title: 'Energy check-in',
+    body: actions.length < energyActions().length ? `${REMINDER_QUESTION} Tap to choose another level.` : REMINDER_QUESTION,
+    options: { actions, tag: REMINDER_TAG, data: { kind: REMINDER_TAG } }
+  };
+};
@@ -0,0 +1,50 @@
+import { defaultReminders, dueReminder, reminderNotification, REMINDER_TAG } from './reminders';
+import { laterFired } from './backgroundReminders';
+
+// Local times, so reminder slots don't depend on the machine's time zone
+const at = (hour, minute = 0) => new Date(2026, 9, 19, hour, minute);
+const settings = { ...defaultReminders, enabled: true, lastFiredAt: at(8).toISOString() };
+
+describe('dueReminder', () => {
+  it('returns the slot that just came due', () => {
+    expect(dueReminder(settings, at(9, 40))).toEqual(at(9, 30));
+  });
+
+  it('skips a slot missed by more than the grace period', () => {
+    expect(dueReminder(settings, at(10, 30))).toBeNull();
+  });
+
+  it('takes a longer grace period for the service worker', () => {
+    expect(dueReminder(settings, at(15), { graceMinutes: Infinity })).toEqual(at(13, 30));
+  });
+
+  it('does not repeat a slot that already fired', () => {
+    expect(dueReminder({ ...settings, lastFiredAt: at(13, 31).toISOString() }, at(15), { graceMinutes: Infinity })).toBeNull();
+  });
+});
+
+describe('reminderNotification', () => {
+  it('asks for another level when not every answer fits', () => {
+    const { body, options } = reminderNotification(2);
+    expect(options.actions.map((a) => a.action)).toEqual(['high', 'low']);
+    expect(body).toMatch(/Tap to choose another level/);
+    expect(options.data).toEqual({ kind: REMINDER_TAG });
+  });
+
+  it('offers every level when the platform shows three buttons', () => {
+    const { body, options } = reminderNotification(3);
+    expect(options.actions).toHaveLength(3);
+    expect(body).not.toMatch(/Tap/);
+  });
+});
+
+describe('laterFired', () => {
+  it('keeps the later time, or whichever is set', () => {
+    const early = at(9).toISOString();
+    const late = at(13).toISOString();
+    expect(laterFired(early, late)).toBe(late);
+    expect(laterFired(late, early)).toBe(late);
+    expect(laterFired(null, early)).toBe(early);
+    expect(laterFired(null, undefined)).toBeNull();
+  });
+});
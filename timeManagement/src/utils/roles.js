@@ -0,0 +1,25 @@
+import { createId } from './storage';
+
+export const getActiveRoles = (roles) => roles.filter((role) => !role.archived);
+
+// Archived roles still resolve so old check-ins and tasks keep their labels
+export const findRole = (roles, id) => roles.find((role) => role.id === id) || null;
+
+const darken = (hex, amount = 0.15) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  const channel = (shift) => Math.round(((value >> shift) & 0xff) * (1 - amount));
+  return `rgb(${channel(16)}, ${channel(8)}, ${channel(0)})`;
+};
+
+export const roleGradient = (color) =>
+  `linear-gradient(135deg, ${color} 0%, ${darken(color)} 100%)`;
+
+export const createRole = ({ name, icon, color, description }) => ({
+  id: `role-${createId()}`,
+  name: name.trim(),
+  icon: icon || 'fa-star',
+  color: color || '#667eea',
+  description: (description || '').trim(),
+  image: null,
+  archived: false
+});
@@ -0,0 +1,47 @@
+// Hash routes, one per section: #/energy/high, #/roles/product, #/course/lesson7.
+// The part after the section is an optional parameter the section restores
+// its selection from. Old in-page anchors (#energy, #sheet) still resolve.
+
+export const ROUTES = [
+  'energy',
+  'analytics',
+  'forecast',
+  'meetings',
+  'roles',
+  'tasks',
+  'planner',
+  'review',
+  'metro',
+  'control',
+  'focus',
+  'reminders',
+  'history',
+  'theory',
+  'course',
+  'reflections',
+  'sheet',
+  'data'
+];
+
+export const HOME_ROUTE = 'energy';
+
+// "#/roles/product" -> { section: 'roles', param: 'product' }
+export const parseRoute = (hash) => {
+  const [section, ...rest] = String(hash || '')
+    .replace(/^#\/?/, '')
+    .split('/')
+    .filter(Boolean)
+    .map((part) => {
+      try {
+        return decodeURIComponent(part);
+      } catch (error) {
+        return part;
+      }
+    });
+  if (!ROUTES.includes(section)) return { section: HOME_ROUTE, param: null };
+  return { section, param: rest.length ? rest.join('/') : null };
+};
+
+export const routeHref = (section, param) => (
+  `#/${section}${param ? `/${encodeURIComponent(param)}` : ''}`
+);
@@ -0,0 +1,66 @@
+// Everything the app remembers lives in localStorage under one prefix,
+// so it can be found (and cleared) without touching other sites' data.
+export const STORAGE_PREFIX = 'energy-time-manager:';
+
+export const STORAGE_KEYS = {
+  selectedEnergy: 'selectedEnergy',
+  selectedRole: 'selectedRole',
+  dailyAnswers: 'dailyAnswers',
+  checkIns: 'checkIns',
+  taskLibrary: 'taskLibrary',
+  roles: 'roles',
+  tasks: 'tasks',
+  commuteSessions: 'commuteSessions',
+  activeCommute: 'activeCommute',
+  ideas: 'ideas',
+  plans: 'plans',
+  timeSheet: 'timeSheet',
+  courseProgress: 'courseProgress',
+  learning: 'learning',
+  practice: 'practice',
+  reducedMotion: 'reducedMotion',
+  focusSessions: 'focusSessions',
+  activeFocus: 'activeFocus',
+  focusNotifications: 'focusNotifications',
+  calendar: 'calendar',
+  reminders: 'reminders',
+  reviews: 'reviews',
+  warnings: 'warnings'
+};
+
+export const loadState = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+// Returns whether the value was stored
+export const saveState = (key, value) => {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    // Storage can be full or disabled (private mode) - the app keeps working in memory
+    return false;
+  }
+};
+
+// Every stored value, keyed like STORAGE_KEYS; keys never written are left out
+export const loadAllState = () => Object.values(STORAGE_KEYS).reduce((all, key) => {
+  const value = loadState(key, undefined);
+  return value === undefined ? all : { ...all, [key]: value };
+}, {});
+
+export const removeState = (key) => {
+  try {
+    window.localStorage.removeItem(STORAGE_PREFIX + key);
+  } catch (error) {
+    // Nothing to do - see saveState
+  }
+};
+
+export const createId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
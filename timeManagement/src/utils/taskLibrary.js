@@ -0,0 +1,44 @@
+import { createId } from './storage';
+import { defaultTaskLibrary, getDefaultTasks } from '../data/defaultTasks';
+
+// Buckets missing from the saved library (e.g. a role added later) fall back to defaults
+export const getLibraryTasks = (library, bucketId, energy) => {
+  const bucket = (library || {})[bucketId];
+  if (bucket && bucket[energy]) return bucket[energy];
+  return getDefaultTasks(bucketId, energy);
+};
+
+const updateCell = (library, bucketId, energy, updater) => ({
+  ...library,
+  [bucketId]: {
+    ...(library[bucketId] || {}),
+    [energy]: updater(getLibraryTasks(library, bucketId, energy))
+  }
+});
+
+export const addTask = (library, bucketId, energy, text) =>
+  updateCell(library, bucketId, energy, (tasks) => [...tasks, { id: createId(), text: text.trim() }]);
+
+export const renameTask = (library, bucketId, energy, taskId, text) =>
+  updateCell(library, bucketId, energy, (tasks) =>
+    tasks.map((task) => (task.id === taskId ? { ...task, text: text.trim() } : task))
+  );
+
+export const removeTask = (library, bucketId, energy, taskId) =>
+  updateCell(library, bucketId, energy, (tasks) => tasks.filter((task) => task.id !== taskId));
+
+export const moveTask = (library, bucketId, energy, taskId, offset) =>
+  updateCell(library, bucketId, energy, (tasks) => {
+    const from = tasks.findIndex((task) => task.id === taskId);
+    const to = from + offset;
+    if (from < 0 || to < 0 || to >= tasks.length) return tasks;
+    const reordered = [...tasks];
+    const [task] = reordered.splice(from, 1);
+    reordered.splice(to, 0, task);
+    return reordered;
+  });
+
+export const resetCell = (library, bucketId, energy) =>
+  updateCell(library, bucketId, energy, () => getDefaultTasks(bucketId, energy));
+
+export const resetLibrary = () => defaultTaskLibrary;
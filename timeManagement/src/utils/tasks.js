@@ -0,0 +1,42 @@
+import { createId } from './storage';
+import { ENERGY_SCORES } from './analytics';
+import { toDateKey, startOfWeek } from './dates';
+
+export const TASK_SIZES = [
+  { id: 'small', name: 'Small', hint: '15 min or less' },
+  { id: 'medium', name: 'Medium', hint: 'About an hour' },
+  { id: 'large', name: 'Large', hint: 'Half a day or more' }
+];
+
+export const createTask = ({ title, role, energy, size }) => ({
+  id: createId(),
+  title: title.trim(),
+  role: role || null,
+  energy: energy || 'medium',
+  size: size || 'small',
+  createdAt: new Date().toISOString(),
+  completedAt: null
+});
+
+export const isOpen = (task) => !task.completedAt;
+
+// A task fits when it needs no more energy than you have right now
+export const fitsEnergy = (task, energy) =>
+  Boolean(energy) && ENERGY_SCORES[task.energy] <= ENERGY_SCORES[energy];
+
+export const getOpenTasksForEnergy = (tasks, energy, roleId) =>
+  tasks.filter((task) => (
+    isOpen(task) && fitsEnergy(task, energy) && (!roleId || task.role === roleId)
+  ));
+
+export const completedSince = (tasks, since) =>
+  tasks.filter((task) => task.completedAt && new Date(task.completedAt) >= since);
+
+export const momentumStats = (tasks, now = new Date()) => {
+  const today = toDateKey(now);
+  return {
+    today: tasks.filter((task) => task.completedAt && toDateKey(task.completedAt) === today).length,
+    week: completedSince(tasks, startOfWeek(now)).length,
+    total: tasks.filter((task) => task.completedAt).length
+  };
+};
@@ -0,0 +1,86 @@
+import { createId } from './storage';
+
+export const VALUE_SCALE = [
+  { id: 1, name: 'Very low' },
+  { id: 2, name: 'Low' },
+  { id: 3, name: 'Medium' },
+  { id: 4, name: 'High' },
+  { id: 5, name: 'Very high' }
+];
+
+// The "vital few" are the activities that together produce this share of the value
+export const PARETO_THRESHOLD = 0.8;
+
+export const createRow = () => ({
+  id: createId(),
+  activity: '',
+  role: '',
+  energy: 'medium',
+  value: 3,
+  minutes: 30
+});
+
+const minutesOf = (row) => Math.max(0, Number(row.minutes) || 0);
+
+const sumBy = (rows, keyOf) => rows.reduce((totals, row) => {
+  const key = keyOf(row) || 'none';
+  return { ...totals, [key]: (totals[key] || 0) + minutesOf(row) };
+}, {});
+
+export const sheetTotals = (rows) => ({
+  minutes: rows.reduce((sum, row) => sum + minutesOf(row), 0),
+  byRole: sumBy(rows, (row) => row.role),
+  byEnergy: sumBy(rows, (row) => row.energy)
+});
+
+// Lesson 8's 80/20 split: rank activities by value per minute spent, and find
+// the smallest set of top activities that yields 80% of the total value.
+// Everything else is a candidate to remove, shrink or batch.
+export const paretoBreakdown = (rows) => {
+  const scored = rows
+    .filter((row) => minutesOf(row) > 0)
+    .map((row) => ({ row, impact: Number(row.value) }));
+  const totalImpact = scored.reduce((sum, item) => sum + item.impact, 0);
+  const totalMinutes = scored.reduce((sum, item) => sum + minutesOf(item.row), 0);
+
+  const ranked = [...scored].sort((a, b) => (
+    b.impact / minutesOf(b.row) - a.impact / minutesOf(a.row)
+  ));
+
+  const vitalFew = [];
+  let impact = 0;
+  ranked.forEach((item) => {
+    if (totalImpact && impact / totalImpact < PARETO_THRESHOLD) {
+      vitalFew.push(item.row);
+      impact += item.impact;
+    }
+  });
+  const trivialMany = ranked.map((item) => item.row).filter((row) => !vitalFew.includes(row));
+  const vitalMinutes = vitalFew.reduce((sum, row) => sum + minutesOf(row), 0);
+
+  return {
+    vitalFew,
+    trivialMany,
+    valueShare: totalImpact ? impact / totalImpact : 0,
+    timeShare: totalMinutes ? vitalMinutes / totalMinutes : 0
+  };
+};
+
+const csvCell = (value) => {
+  const raw = String(value === null || value === undefined ? '' : value);
+  // Spreadsheets run text starting with = + - @ as a formula; a leading ' keeps it text
+  const text = typeof value === 'string' && /^[=+\-@]/.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows, roleName) => {
+  const header = ['Activity', 'Role', 'Energy required', 'Value (1-5)', 'Time spent (min)'];
+  const lines = rows.map((row) => [
+    row.activity,
+    roleName(row.role),
+    row.energy,
+    row.value,
+    minutesOf(row)
+  ]);
+  return [header, ...lines].map((line) => line.map(csvCell).join(',')).join('\n');
+};
@@ -0,0 +1,46 @@
+// Voice recordings are binary and can run to megabytes, so they go to IndexedDB
+// keyed by idea id; the idea itself stays in localStorage with everything else.
+const DB_NAME = 'energy-time-manager';
+const STORE_NAME = 'voiceNotes';
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = window.indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const withStore = (mode, action) => openDatabase().then((db) => new Promise((resolve, reject) => {
+  const transaction = db.transaction(STORE_NAME, mode);
+  const request = action(transaction.objectStore(STORE_NAME));
+  transaction.oncomplete = () => {
+    db.close();
+    resolve(request.result);
+  };
+  transaction.onerror = () => {
+    db.close();
+    reject(transaction.error);
+  };
+}));
+
+export const isRecordingSupported = () =>
+  typeof window !== 'undefined' &&
+  Boolean(window.MediaRecorder && navigator.mediaDevices && window.indexedDB);
+
+export const saveVoiceNote = (id, blob) => withStore('readwrite', (store) => store.put(blob, id));
+
+export const loadVoiceNote = (id) => withStore('readonly', (store) => store.get(id));
+
+export const deleteVoiceNote = (id) => withStore('readwrite', (store) => store.delete(id));
+
+export const clearVoiceNotes = () => withStore('readwrite', (store) => store.clear());
+
+// Backups carry recordings as data URLs so they fit in a JSON file
+export const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+export const dataUrlToBlob = (url) => fetch(url).then((response) => response.blob());
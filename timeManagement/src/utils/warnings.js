@@ -0,0 +1,177 @@
+import { toDateKey, addDays, startOfDay } from './dates';
+import { ENERGY_SCORES } from './analytics';
+import { findRole } from './roles';
+import { routeHref } from './routes';
+import { RECOVERY_ROLE_ID } from './reminders';
+
+// Burnout warnings. The Flow State principle says forcing work on low energy
+// leads to burnout; these rules look for that pattern in what's been logged.
+// Every rule can be switched off and its thresholds changed, and a warning
+// can be put aside until tomorrow.
+
+export const WARNING_RULES = [
+  {
+    id: 'mismatch',
+    name: 'Hard tasks on low energy',
+    icon: 'fa-battery-quarter',
+    description: 'High-energy tasks finished while your last check-in said low.',
+    params: [
+      { id: 'count', label: 'Warn after', unit: 'tasks', min: 1, max: 20 },
+      { id: 'days', label: 'within', unit: 'days', min: 1, max: 30 }
+    ]
+  },
+  {
+    id: 'noRecovery',
+    name: 'No Recovery time',
+    icon: 'fa-spa',
+    description: 'No check-in with the Recovery role for a while.',
+    params: [
+      { id: 'days', label: 'Warn after', unit: 'days without Recovery', min: 1, max: 30 }
+    ]
+  },
+  {
+    id: 'lowStreak',
+    name: 'Running on empty',
+    icon: 'fa-tired',
+    description: 'Your latest check-ins were all low energy.',
+    params: [
+      { id: 'checkIns', label: 'Warn after', unit: 'low check-ins in a row', min: 2, max: 20 }
+    ]
+  }
+];
+
+export const defaultWarnings = {
+  rules: {
+    mismatch: { enabled: true, count: 3, days: 7 },
+    noRecovery: { enabled: true, days: 5 },
+    lowStreak: { enabled: true, checkIns: 4 }
+  },
+  // Rule id -> the day ("2024-03-18") it was put aside
+  snoozed: {}
+};
+
+export const withDefaults = (settings) => {
+  const current = settings || {};
+  const rules = {};
+  WARNING_RULES.forEach((rule) => {
+    rules[rule.id] = { ...defaultWarnings.rules[rule.id], ...((current.rules || {})[rule.id] || {}) };
+  });
+  return { rules, snoozed: { ...(current.snoozed || {}) } };
+};
+
+// Thresholds are kept inside each parameter's range
+export const updateRule = (settings, ruleId, changes) => {
+  const current = withDefaults(settings);
+  const rule = WARNING_RULES.find((r) => r.id === ruleId);
+  const next = { ...current.rules[ruleId], ...changes };
+  rule.params.forEach((param) => {
+    const value = Math.round(Number(next[param.id]));
+    next[param.id] = Number.isNaN(value) ? current.rules[ruleId][param.id] : Math.min(param.max, Math.max(param.min, value));
+  });
+  return { ...current, rules: { ...current.rules, [ruleId]: next } };
+};
+
+export const snoozeWarning = (settings, ruleId, now = new Date()) => {
+  const current = withDefaults(settings);
+  return { ...current, snoozed: { ...current.snoozed, [ruleId]: toDateKey(now) } };
+};
+
+const byTime = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+
+const withEnergy = (checkIns) => checkIns.filter((c) => ENERGY_SCORES[c.energy]).sort(byTime);
+
+const daysBetween = (from, to) =>
+  Math.round((startOfDay(to) - startOfDay(from)) / (24 * 60 * 60 * 1000));
+
+// The energy logged most recently before `time` on the same day, or null
+export const energyAt = (checkIns, time) => {
+  const day = toDateKey(time);
+  const earlier = withEnergy(checkIns).filter((c) => (
+    new Date(c.timestamp) <= new Date(time) && toDateKey(c.timestamp) === day
+  ));
+  return earlier.length ? earlier[earlier.length - 1].energy : null;
+};
+
+// High-energy tasks completed in the last `days` days while energy was low
+export const findMismatches = (tasks, checkIns, days, now = new Date()) => {
+  const since = startOfDay(addDays(now, -(days - 1)));
+  return tasks.filter((task) => (
+    task.completedAt
+    && task.energy === 'high'
+    && new Date(task.completedAt) >= since
+    && new Date(task.completedAt) <= now
+    && energyAt(checkIns, task.completedAt) === 'low'
+  ));
+};
+
+// Whole days since the role was last checked into. With no such check-in at
+// all, counts from the first check-in, so a brand-new user isn't warned.
+export const daysSinceRole = (checkIns, roleId, now = new Date()) => {
+  const sorted = [...checkIns].sort(byTime);
+  if (!sorted.length) return null;
+  const last = sorted.filter((c) => c.role === roleId).pop();
+  return daysBetween((last || sorted[0]).timestamp, now);
+};
+
+// How many of the latest energy check-ins in a row were low
+export const lowRun = (checkIns) => {
+  const latestFirst = withEnergy(checkIns).reverse();
+  const firstOther = latestFirst.findIndex((c) => c.energy !== 'low');
+  return firstOther === -1 ? latestFirst.length : firstOther;
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const checks = {
+  mismatch: ({ tasks, checkIns, now }, rule) => {
+    const mismatches = findMismatches(tasks, checkIns, rule.days, now);
+    if (mismatches.length < rule.count) return null;
+    return {
+      title: 'Pushing hard on low energy',
+      message: `You finished ${plural(mismatches.length, 'high-energy task')} while checked in at low energy in the last ${plural(rule.days, 'day')}. That works for a while, then it costs you.`,
+      suggestions: [
+        { label: 'Tasks that fit low energy', icon: 'fa-battery-quarter', href: routeHref('energy', 'low') },
+        { label: 'Read: Flow State', icon: 'fa-graduation-cap', href: routeHref('theory', 'flow-state') }
+      ]
+    };
+  },
+  noRecovery: ({ checkIns, roles, now }, rule) => {
+    const recovery = findRole(roles, RECOVERY_ROLE_ID);
+    if (!recovery || recovery.archived) return null;
+    const days = daysSinceRole(checkIns, RECOVERY_ROLE_ID, now);
+    if (days === null || days < rule.days) return null;
+    return {
+      title: `No ${recovery.name} time lately`,
+      message: `It's been ${plural(days, 'day')} since you last checked in as ${recovery.name}. Rest is part of the work, not a reward for finishing it.`,
+      suggestions: [
+        { label: `Switch to ${recovery.name}`, icon: recovery.icon, href: routeHref('roles', RECOVERY_ROLE_ID) },
+        { label: 'Plan a rest block', icon: 'fa-calendar-check', href: routeHref('planner') }
+      ]
+    };
+  },
+  lowStreak: ({ checkIns }, rule) => {
+    const run = lowRun(checkIns);
+    if (run < rule.checkIns) return null;
+    return {
+      title: 'Running on empty',
+      message: `Your last ${run} check-ins were all low energy. Maybe today is for small tasks and an early stop.`,
+      suggestions: [
+        { label: 'Take a short break', icon: 'fa-mug-hot', href: routeHref('focus') },
+        { label: 'Look at your patterns', icon: 'fa-chart-bar', href: routeHref('analytics') }
+      ]
+    };
+  }
+};
+
+// The warnings to show right now, in rule order
+export const evaluateWarnings = ({ checkIns, tasks, roles }, settings, now = new Date()) => {
+  const { rules, snoozed } = withDefaults(settings);
+  const today = toDateKey(now);
+  return WARNING_RULES
+    .filter((rule) => rules[rule.id].enabled && snoozed[rule.id] !== today)
+    .map((rule) => {
+      const warning = checks[rule.id]({ checkIns, tasks, roles, now }, rules[rule.id]);
+      return warning && { id: rule.id, icon: rule.icon, ...warning };
+    })
+    .filter(Boolean);
+};
@@ -0,0 +1,159 @@
+import {
+  defaultWarnings,
+  energyAt,
+  findMismatches,
+  daysSinceRole,
+  lowRun,
+  updateRule,
+  snoozeWarning,
+  evaluateWarnings
+} from './warnings';
+
+// Local times, so day boundaries don't depend on the machine's time zone
+const at = (day, hour, minute = 0) => new Date(2026, 9, day, hour, minute).toISOString();
+const now = new Date(2026, 9, 19, 15);
+
+const checkIn = (day, hour, energy, role = 'office') => ({ energy, role, timestamp: at(day, hour) });
+const highTask = (day, hour) => ({ energy: 'high', completedAt: at(day, hour) });
+
+const recoveryRole = [{ id: 'recovery', name: 'Recovery', icon: 'fa-spa', archived: false }];
+
+describe('energyAt', () => {
+  const checkIns = [
+    checkIn(18, 20, 'low'),
+    checkIn(19, 9, 'high'),
+    checkIn(19, 13, 'low')
+  ];
+
+  it('uses the latest check-in at or before the time', () => {
+    expect(energyAt(checkIns, at(19, 10))).toBe('high');
+    expect(energyAt(checkIns, at(19, 13))).toBe('low');
+    expect(energyAt(checkIns, at(19, 14))).toBe('low');
+  });
+
+  it('only looks at the same day', () => {
+    expect(energyAt(checkIns, at(19, 8))).toBeNull();
+  });
+
+  it('ignores check-ins without an energy level', () => {
+    expect(energyAt([{ energy: null, timestamp: at(19, 9) }], at(19, 10))).toBeNull();
+  });
+});
+
+describe('findMismatches', () => {
+  const checkIns = [checkIn(13, 8, 'low'), checkIn(12, 8, 'low'), checkIn(19, 8, 'low'), checkIn(19, 11, 'high')];
+
+  it('counts high-energy tasks finished on a low check-in', () => {
+    const tasks = [
+      highTask(19, 9),
+      highTask(19, 12),
+      { energy: 'low', completedAt: at(19, 9) },
+      { energy: 'high', completedAt: null }
+    ];
+    expect(findMismatches(tasks, checkIns, 7, now)).toEqual([tasks[0]]);
+  });
+
+  it('includes the first day of the window and nothing before it', () => {
+    // 7 days back from the 19th starts at midnight on the 13th
+    const tasks = [highTask(13, 9), highTask(12, 9)];
+    expect(findMismatches(tasks, checkIns, 7, now)).toEqual([tasks[0]]);
+    expect(findMismatches(tasks, checkIns, 8, now)).toHaveLength(2);
+  });
+
+  it('ignores tasks completed after now', () => {
+    expect(findMismatches([highTask(19, 16)], checkIns, 7, now)).toHaveLength(0);
+  });
+});
+
+describe('daysSinceRole', () => {
+  it('counts whole days since the last check-in in the role', () => {
+    const checkIns = [checkIn(10, 9, 'low', 'recovery'), checkIn(14, 22, 'low', 'recovery'), checkIn(19, 9, 'low')];
+    expect(daysSinceRole(checkIns, 'recovery', now)).toBe(5);
+  });
+
+  it('counts from the first check-in when the role was never used', () => {
+    const checkIns = [checkIn(19, 9, 'low'), checkIn(16, 9, 'high')];
+    expect(daysSinceRole(checkIns, 'recovery', now)).toBe(3);
+  });
+
+  it('returns null without any check-ins', () => {
+    expect(daysSinceRole([], 'recovery', now)).toBeNull();
+  });
+});
+
+describe('lowRun', () => {
+  it('counts the latest low check-ins in a row', () => {
+    const checkIns = [checkIn(19, 12, 'low'), checkIn(17, 9, 'high'), checkIn(18, 9, 'low'), checkIn(19, 9, 'low')];
+    expect(lowRun(checkIns)).toBe(3);
+  });
+
+  it('skips check-ins without an energy level', () => {
+    expect(lowRun([checkIn(18, 9, 'low'), { energy: null, timestamp: at(19, 9) }])).toBe(1);
+  });
+
+  it('is zero when the latest check-in is not low', () => {
+    expect(lowRun([checkIn(18, 9, 'low'), checkIn(19, 9, 'medium')])).toBe(0);
+    expect(lowRun([])).toBe(0);
+  });
+});
+
+describe('updateRule', () => {
+  it('clamps thresholds to the parameter range', () => {
+    expect(updateRule(defaultWarnings, 'mismatch', { count: 99 }).rules.mismatch.count).toBe(20);
+    expect(updateRule(defaultWarnings, 'lowStreak', { checkIns: 0 }).rules.lowStreak.checkIns).toBe(2);
+    expect(updateRule(defaultWarnings, 'noRecovery', { days: '4.6' }).rules.noRecovery.days).toBe(5);
+  });
+
+  it('keeps the previous value when the new one is not a number', () => {
+    const settings = updateRule(defaultWarnings, 'mismatch', { days: 10 });
+    expect(updateRule(settings, 'mismatch', { days: 'soon' }).rules.mismatch.days).toBe(10);
+  });
+
+  it('leaves other rules and fields alone', () => {
+    const settings = updateRule(undefined, 'mismatch', { enabled: false });
+    expect(settings.rules.mismatch).toEqual({ enabled: false, count: 3, days: 7 });
+    expect(settings.rules.lowStreak).toEqual(defaultWarnings.rules.lowStreak);
+  });
+});
+
+describe('evaluateWarnings', () => {
+  // Enough to trip every rule with the default thresholds
+  const data = {
+    roles: recoveryRole,
+    checkIns: [
+      checkIn(10, 9, 'medium', 'recovery'),
+      checkIn(16, 9, 'low'),
+      checkIn(17, 9, 'low'),
+      checkIn(18, 9, 'low'),
+      checkIn(19, 9, 'low')
+    ],
+    tasks: [highTask(17, 10), highTask(18, 10), highTask(19, 10)]
+  };
+  const ids = (settings, when = now) => evaluateWarnings(data, settings, when).map((warning) => warning.id);
+
+  it('shows every rule that is tripped, in rule order', () => {
+    expect(ids(defaultWarnings)).toEqual(['mismatch', 'noRecovery', 'lowStreak']);
+  });
+
+  it('skips a disabled rule', () => {
+    expect(ids(updateRule(defaultWarnings, 'noRecovery', { enabled: false }))).toEqual(['mismatch', 'lowStreak']);
+  });
+
+  it('hides a rule snoozed today', () => {
+    expect(ids(snoozeWarning(defaultWarnings, 'lowStreak', now))).toEqual(['mismatch', 'noRecovery']);
+  });
+
+  it('shows a rule again when it was snoozed yesterday', () => {
+    const yesterday = new Date(2026, 9, 18, 20);
+    expect(ids(snoozeWarning(defaultWarnings, 'lowStreak', yesterday))).toEqual(['mismatch', 'noRecovery', 'lowStreak']);
+  });
+
+  it('does not warn about Recovery when the role is archived', () => {
+    const archived = { ...data, roles: [{ ...recoveryRole[0], archived: true }] };
+    expect(evaluateWarnings(archived, defaultWarnings, now).map((warning) => warning.id)).not.toContain('noRecovery');
+  });
+
+  it('finds nothing in an empty log', () => {
+    expect(evaluateWarnings({ checkIns: [], tasks: [], roles: recoveryRole }, {}, now)).toEqual([]);
+  });
+});
@@ -0,0 +1,16 @@
+let webglAvailable = null;
+
+// Checked once per page load; creating a throwaway context is not free
+export const isWebGLAvailable = () => {
+  if (webglAvailable === null) {
+    try {
+      const canvas = document.createElement('canvas');
+      webglAvailable = Boolean(
+        window.WebGLRenderingContext && (canvas.getContext('webgl2') || canvas.getContext('webgl'))
+      );
+    } catch (e) {
+      webglAvailable = false;
+    }
+  }
+  return webglAvailable;
+};
@@ -0,0 +1,120 @@
+import { createId } from './storage';
+import { toDateKey, addDays, startOfWeek } from './dates';
+import { ENERGY_SCORES, WEEKDAY_LABELS, average } from './analytics';
+import { IDEA_STATUS } from './ideas';
+import { getWeeklyGoals, getWeekPriorities } from './plans';
+
+export const REVIEW_STEPS = [
+  { id: 'roles', name: 'What went well', icon: 'fa-user-tie' },
+  { id: 'energy', name: 'Energy trends', icon: 'fa-chart-line' },
+  { id: 'plans', name: 'Planned vs done', icon: 'fa-clipboard-check' },
+  { id: 'ideas', name: 'Ideas captured', icon: 'fa-lightbulb' },
+  { id: 'adjust', name: 'One adjustment', icon: 'fa-sliders-h' }
+];
+
+// The numbers compared between reviews, in the order they're shown
+export const REVIEW_METRICS = [
+  { id: 'energyAverage', name: 'Average energy', digits: 1 },
+  { id: 'checkIns', name: 'Check-ins', digits: 0 },
+  { id: 'tasksDone', name: 'Tasks completed', digits: 0 },
+  { id: 'goalsDone', name: 'Weekly goals done', digits: 0 },
+  { id: 'prioritiesDone', name: 'Daily priorities done', digits: 0 },
+  { id: 'ideasCaptured', name: 'Ideas captured', digits: 0 }
+];
+
+const weekOf = (date) => toDateKey(startOfWeek(date));
+
+export const weekStartFor = (weeksAgo = 0, now = new Date()) =>
+  toDateKey(addDays(startOfWeek(now), -7 * weeksAgo));
+
+const energyForWeek = (checkIns, weekStart) => {
+  const week = checkIns.filter((c) => ENERGY_SCORES[c.energy] && weekOf(c.timestamp) === weekStart);
+  const days = WEEKDAY_LABELS.map((label, index) => {
+    const key = toDateKey(addDays(new Date(`${weekStart}T12:00:00`), index));
+    const scores = week
+      .filter((c) => toDateKey(c.timestamp) === key)
+      .map((c) => ENERGY_SCORES[c.energy]);
+    return { label, key, average: average(scores), count: scores.length };
+  });
+  return { days, average: average(week.map((c) => ENERGY_SCORES[c.energy])) };
+};
+
+export const ideasForWeek = (ideas, weekStart) =>
+  ideas
+    .filter((idea) => weekOf(idea.createdAt) === weekStart)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+// Everything the wizard shows about one week, worked out from the live data.
+// A saved review keeps a copy so later edits to tasks or plans don't rewrite it.
+export const weekStats = ({ checkIns, tasks, ideas, plans }, weekStart) => {
+  const weekCheckIns = checkIns.filter((c) => weekOf(c.timestamp) === weekStart);
+  const tasksDone = tasks.filter((task) => task.completedAt && weekOf(task.completedAt) === weekStart);
+  const weekIdeas = ideasForWeek(ideas, weekStart);
+  const goals = getWeeklyGoals(plans, weekStart);
+  const priorities = getWeekPriorities(plans, weekStart);
+  const energy = energyForWeek(checkIns, weekStart);
+  const previous = energyForWeek(checkIns, toDateKey(addDays(new Date(`${weekStart}T12:00:00`), -7)));
+
+  const roles = {};
+  const roleRow = (id) => {
+    roles[id] = roles[id] || { checkIns: 0, tasksDone: 0 };
+    return roles[id];
+  };
+  weekCheckIns.forEach((c) => {
+    if (c.role) roleRow(c.role).checkIns += 1;
+  });
+  tasksDone.forEach((task) => {
+    if (task.role) roleRow(task.role).tasksDone += 1;
+  });
+
+  return {
+    roles,
+    days: energy.days,
+    energyAverage: energy.average,
+    previousEnergyAverage: previous.average,
+    checkIns: weekCheckIns.length,
+    tasksDone: tasksDone.length,
+    tasksAdded: tasks.filter((task) => weekOf(task.createdAt) === weekStart).length,
+    goalsPlanned: goals.length,
+    goalsDone: goals.filter((goal) => goal.done).length,
+    prioritiesPlanned: priorities.length,
+    prioritiesDone: priorities.filter((priority) => priority.done).length,
+    ideasCaptured: weekIdeas.length,
+    ideasConverted: weekIdeas.filter((idea) => idea.status === IDEA_STATUS.converted).length
+  };
+};
+
+export const createReview = ({ weekStart, wentWell, adjustment, stats }) => ({
+  id: createId(),
+  weekStart,
+  createdAt: new Date().toISOString(),
+  wentWell: Object.keys(wentWell).reduce((notes, roleId) => (
+    wentWell[roleId].trim() ? { ...notes, [roleId]: wentWell[roleId].trim() } : notes
+  ), {}),
+  adjustment: adjustment.trim(),
+  stats
+});
+
+// One review per week - reviewing the same week again replaces the old entry
+export const saveReview = (reviews, review) => [
+  ...reviews.filter((r) => r.weekStart !== review.weekStart),
+  review
+].sort((a, b) => b.weekStart.localeCompare(a.weekStart));
+
+export const findReview = (reviews, weekStart) =>
+  reviews.find((review) => review.weekStart === weekStart) || null;
+
+// The most recent review from an earlier week, for "last time you said..."
+export const reviewBefore = (reviews, weekStart) =>
+  reviews
+    .filter((review) => review.weekStart < weekStart)
+    .sort((a, b) => b.weekStart.localeCompare(a.weekStart))[0] || null;
+
+// Metric rows for two reviews side by side; delta is null when either side has no value
+export const compareReviews = (review, other) =>
+  REVIEW_METRICS.map((metric) => {
+    const value = review.stats[metric.id];
+    const otherValue = other ? other.stats[metric.id] : null;
+    const known = typeof value === 'number' && typeof otherValue === 'number';
+    return { ...metric, value, otherValue, delta: known ? value - otherValue : null };
+  });